@@ -2,167 +2,1677 @@
  * Goal Update Analyzer - Heuristic-based Analysis
  * 
  * This module provides simple, deterministic analysis of goal updates.
- * Designed to be easily replaceable with API calls in the future.
+ * It is the default provider in providers.js, which can swap in other
+ * backends (e.g. a local model server) behind the same interface.
+ * Sentiment keywords and their weights come from the editable lexicon
+ * in lexicon.js; word lists for each supported language from languages.js,
+ * mood.js and blockers.js.
  */
 
+const lexicon = require('./lexicon');
+const languages = require('./languages');
+const emoji = require('./emoji');
+const { MOOD_DIMENSIONS } = require('./mood');
+const { BLOCKER_CUES, BLOCKER_CATEGORIES } = require('./blockers');
+
 /**
  * Analyzes a text input and returns summary, sentiment, and next step suggestion.
  * 
  * @param {string} text - The goal update text to analyze
- * @returns {Object} Analysis result with summaryBullets, sentimentLabel, and nextStep
+ * @param {Object} [options] - { now, area, tags, history, language } where now is the
+ *   reference date for relative due dates, area/tags are what the user picked for this
+ *   entry, history holds past entries ({ text, area, tags, timestamp, sentimentLabel,
+ *   actionItems, blocked }) used to learn suggestions and for history-aware next steps, and
+ *   language overrides language detection
+ * @returns {Object} Analysis result with language (plus languageConfidence, null
+ *   when overridden), summaryBullets (plus summaryDetails with
+ *   relevance scores), sentimentLabel, sentimentScore (-1..1), confidence (0..1),
+ *   evidence (rules that fired, with character offsets), mood (energy, stress and
+ *   confidence scores), lexiconVersion (the
+ *   sentiment lexicon version that scored it), per-sentence breakdown,
+ *   metrics, actionItems, tasks (Markdown checkbox items), blocked and blockers
+ *   (sentences reporting a blocker, categorized), suggestedArea,
+ *   suggestedTags, nextStep, and nextSteps (all rule-based suggestions, best first)
  */
-function analyzeText(text) {
+function analyzeText(text, options = {}) {
   // Trim whitespace
   const trimmedText = text.trim();
+  const now = options.now || new Date();
+  
+  // Use the requested language, or detect it from the text
+  const detection = options.language
+    ? { language: options.language, confidence: null }
+    : languages.detectLanguage(trimmedText);
+  const language = detection.language;
   
   // Analyze sentiment
-  const sentimentLabel = analyzeSentiment(trimmedText);
+  const sentiment = analyzeSentiment(trimmedText, language);
+  const sentimentLabel = sentiment.label;
+  
+  // Energy, stress and confidence, scored separately from sentiment
+  const mood = analyzeMood(trimmedText, language);
+  
+  // Score each sentence on its own so mixed updates show both sides
+  const sentences = analyzeSentences(trimmedText, language);
+  
+  // Extract ranked summary bullets (with relevance scores and reasons)
+  const summaryDetails = extractSummary(trimmedText, language);
+  const summaryBullets = summaryDetails.map(bullet => bullet.text);
+  
+  // Pull out numbers with units (distances, times, reps, pages, ...)
+  const metrics = extractMetrics(trimmedText);
   
-  // Extract summary bullets
-  const summaryBullets = extractSummary(trimmedText);
+  // Pull out plans and to-dos the writer committed to
+  const actionItems = extractActionItems(trimmedText, now, language);
   
-  // Suggest next step based on sentiment
-  const nextStep = suggestNextStep(sentimentLabel);
+  // Checkbox items ("- [x] long run", "- [ ] book physio")
+  const tasks = extractTasks(trimmedText);
+  
+  // Sentences that report a blocker, with a category each
+  const blockers = findBlockers(trimmedText, language);
+  
+  // Suggest an area and tags (learning from the user's labeled entries, if given)
+  const { suggestedArea, suggestedTags } = suggestAreaAndTags(trimmedText, {
+    metrics,
+    blockers,
+    examples: options.history
+  });
+  
+  // Suggest next steps from this update and recent history (best first)
+  const nextSteps = suggestNextSteps({
+    text: trimmedText,
+    area: options.area || suggestedArea.area,
+    tags: options.tags || suggestedTags,
+    sentimentLabel,
+    actionItems,
+    blocked: blockers.length > 0,
+    history: options.history,
+    now
+  });
+  const nextStep = nextSteps[0].text;
   
   return {
+    language,
+    languageConfidence: detection.confidence,
     summaryBullets,
+    summaryDetails,
     sentimentLabel,
-    nextStep
+    sentimentScore: sentiment.score,
+    confidence: sentiment.confidence,
+    evidence: sentiment.evidence,
+    mood,
+    lexiconVersion: lexicon.getLexicon().version,
+    sentences,
+    metrics,
+    actionItems,
+    tasks,
+    blocked: blockers.length > 0,
+    blockers,
+    suggestedArea,
+    suggestedTags,
+    nextStep,
+    nextSteps
   };
 }
 
+// How far back (in words) a negator can reach, and how strongly it flips a keyword
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.5;
+
+// Modifiers only apply when they sit right before the keyword ("really very good")
+const INTENSIFIER_WINDOW = 2;
+
+// Weight of keywords before / after the last contrast word
+const CONTRAST_BEFORE_WEIGHT = 0.5;
+const CONTRAST_AFTER_WEIGHT = 1.5;
+
+// Controls how quickly the raw score approaches -1 / 1
+const NORMALIZATION_ALPHA = 4;
+
+// Normalized scores within this distance of zero are labeled Neutral
+const NEUTRAL_THRESHOLD = 0.05;
+
+/**
+ * Splits text into lowercase word tokens with their character offsets.
+ * 
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} Tokens as { word, start, end }
+ */
+function tokenize(text) {
+  const tokens = [];
+  const regex = /\p{L}+(?:['\u2019]\p{L}+)*/gu;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/\u2019/g, '\''),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
 /**
- * Analyzes sentiment using keyword matching and punctuation patterns.
+ * Checks whether a word negates what follows it.
+ * 
+ * @param {string} word - Lowercase token
+ * @param {Object} profile - Language profile from languages.js
+ * @param {Object} index - Compiled lexicon for the same language
+ * @returns {boolean} True for negators like "not", "wasn't" or "nicht"
+ */
+function isNegator(word, profile, index) {
+  if (profile.negators.includes(word)) {
+    return true;
+  }
+  // "can't" is a negative keyword in its own right, not a negator
+  const entry = index.single.get(word);
+  return Boolean(profile.negatorSuffix) && profile.negatorSuffix.test(word) && !(entry && entry.weight < 0);
+}
+
+// Compiled lexicons by language, rebuilt whenever the stored lexicon's version changes
+let lexiconIndexes = { version: null };
+
+/**
+ * Gets the lexicon for one language compiled for matching (see compileTerms),
+ * so phrases like "shin splints" win over their single words.
+ * 
+ * @param {string} language - Language code
+ * @returns {Object} Compiled terms as { single, phrases }
+ */
+function getLexiconIndex(language) {
+  const { version, terms } = lexicon.getLexicon();
+  if (lexiconIndexes.version !== version) {
+    lexiconIndexes = { version };
+  }
+  if (lexiconIndexes[language]) {
+    return lexiconIndexes[language];
+  }
+  
+  lexiconIndexes[language] = compileTerms(terms.filter(item => item.language === language));
+  return lexiconIndexes[language];
+}
+
+/**
+ * Compiles weighted terms for matching: single-word terms by word, and
+ * multi-word terms grouped by first word, longest first.
+ * 
+ * @param {Array<Object>} terms - Terms as { term, weight }
+ * @returns {Object} { single: Map<word, entry>, phrases: Map<word, entry[]> }
+ *   where entry is { term, words, weight }
+ */
+function compileTerms(terms) {
+  const single = new Map();
+  const phrases = new Map();
+  terms.forEach(({ term, weight }) => {
+    const words = tokenize(term).map(token => token.word);
+    if (words.length === 0) return;
+    
+    const entry = { term, words, weight };
+    if (words.length === 1) {
+      single.set(words[0], entry);
+    } else {
+      if (!phrases.has(words[0])) phrases.set(words[0], []);
+      phrases.get(words[0]).push(entry);
+    }
+  });
+  phrases.forEach(list => list.sort((a, b) => b.words.length - a.words.length));
+  
+  return { single, phrases };
+}
+
+/**
+ * Finds the lexicon term starting at a token, preferring the longest phrase.
+ * 
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {number} i - Index of the first token
+ * @param {Object} index - Compiled lexicon from getLexiconIndex()
+ * @returns {Object|null} Matching entry as { term, words, weight }, or null
+ */
+function matchLexiconTerm(tokens, i, index) {
+  const candidates = index.phrases.get(tokens[i].word) || [];
+  const phrase = candidates.find(entry =>
+    entry.words.every((word, k) => tokens[i + k] && tokens[i + k].word === word)
+  );
+  return phrase || index.single.get(tokens[i].word) || null;
+}
+
+/**
+ * Checks whether two neighbouring tokens belong to the same clause
+ * (no sentence or clause punctuation or line break between them).
+ * 
+ * @param {string} text - Original text
+ * @param {Object} left - Earlier token
+ * @param {Object} right - Later token
+ * @returns {boolean} True if no clause boundary separates them
+ */
+function inSameClause(text, left, right) {
+  return !/[.,;:!?\n]/.test(text.slice(left.end, right.start));
+}
+
+/**
+ * Finds compiled terms in the text, applying negation and intensifier rules.
+ * 
+ * @param {string} text - Text to search
+ * @param {Array<Object>} tokens - Tokens from tokenize(text)
+ * @param {Object} index - Compiled terms from compileTerms()
+ * @param {Object} profile - Language profile from languages.js
+ * @returns {Array<Object>} Matches as { term, weight, negated, start, end }
+ */
+function matchTerms(text, tokens, index, profile) {
+  const negatorIndex = getLexiconIndex(profile.code);
+  const matches = [];
+  
+  for (let i = 0; i < tokens.length; i++) {
+    const entry = matchLexiconTerm(tokens, i, index);
+    if (!entry) continue;
+    
+    const first = tokens[i];
+    const last = tokens[i + entry.words.length - 1];
+    let weight = entry.weight;
+    let negated = false;
+    
+    // Look back within the same clause for modifiers and negators
+    for (let j = i - 1; j >= 0 && j >= i - NEGATION_WINDOW; j--) {
+      if (!inSameClause(text, tokens[j], tokens[j + 1])) break;
+      
+      const word = tokens[j].word;
+      if (i - j <= INTENSIFIER_WINDOW && profile.intensifiers[word]) {
+        weight *= profile.intensifiers[word];
+      }
+      if (isNegator(word, profile, negatorIndex)) {
+        weight *= NEGATION_FACTOR;
+        negated = true;
+        break;
+      }
+    }
+    
+    matches.push({ term: text.slice(first.start, last.end), weight, negated, start: first.start, end: last.end });
+    
+    // Don't match the rest of a phrase again on its own
+    i += entry.words.length - 1;
+  }
+  
+  return matches;
+}
+
+/**
+ * Finds keyword hits in the text, applying negation and intensifier rules.
  * 
  * @param {string} text - Text to analyze
- * @returns {string} 'Positive', 'Neutral', or 'Negative'
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Hits as { term, rule, weight, start, end }
  */
-function analyzeSentiment(text) {
-  const lowerText = text.toLowerCase();
+function findKeywordHits(text, language = languages.DEFAULT_LANGUAGE) {
+  const profile = languages.getLanguage(language);
+  const tokens = tokenize(text);
+  const hits = matchTerms(text, tokens, getLexiconIndex(profile.code), profile)
+    .map(({ term, weight, negated, start, end }) => {
+      let rule = weight > 0 ? 'positive-keyword' : 'negative-keyword';
+      if (negated) rule = 'negated-keyword';
+      return { term, rule, weight, start, end };
+    });
   
-  // Positive keywords
-  const positiveKeywords = [
-    'good', 'great', 'excellent', 'progress', 'achieved', 'completed',
-    'happy', 'satisfied', 'improved', 'better', 'success', 'win',
-    'accomplished', 'proud', 'excited', 'motivated', 'grateful', 'thankful'
-  ];
-  
-  // Negative keywords
-  const negativeKeywords = [
-    'bad', 'failed', 'struggled', 'difficult', 'problem', 'stuck',
-    'worried', 'disappointed', 'frustrated', 'hard', 'challenge',
-    'blocked', 'stressed', 'overwhelmed', 'stuck', 'can\'t', 'cannot'
-  ];
-  
-  // Count positive keywords
-  let positiveCount = 0;
-  positiveKeywords.forEach(keyword => {
-    const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-    const matches = lowerText.match(regex);
-    if (matches) positiveCount += matches.length;
-  });
-  
-  // Count negative keywords
-  let negativeCount = 0;
-  negativeKeywords.forEach(keyword => {
-    const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-    const matches = lowerText.match(regex);
-    if (matches) negativeCount += matches.length;
-  });
-  
-  // Check for positive emojis
-  const positiveEmojis = /[😊😄👍🎉✅🙂😃]/g;
-  const positiveEmojiCount = (lowerText.match(positiveEmojis) || []).length;
-  positiveCount += positiveEmojiCount;
-  
-  // Check for negative emojis
-  const negativeEmojis = /[😞😢❌😔😟😕]/g;
-  const negativeEmojiCount = (lowerText.match(negativeEmojis) || []).length;
-  negativeCount += negativeEmojiCount;
+  // Keywords after the last contrast word ("but", "however") carry more weight
+  const contrastTokens = tokens.filter(token => profile.contrastWords.includes(token.word));
+  if (contrastTokens.length > 0) {
+    const pivot = contrastTokens[contrastTokens.length - 1].start;
+    hits.forEach(hit => {
+      hit.weight *= hit.start < pivot ? CONTRAST_BEFORE_WEIGHT : CONTRAST_AFTER_WEIGHT;
+    });
+  }
+  
+  return hits;
+}
+
+/**
+ * Finds every match of a regex in the text as evidence hits.
+ * 
+ * @param {string} text - Text to search
+ * @param {RegExp} regex - Global regex to match
+ * @param {string} rule - Rule name recorded on each hit
+ * @param {number} weight - Weight of each hit
+ * @returns {Array<Object>} Hits as { term, rule, weight, start, end }
+ */
+function findPatternHits(text, regex, rule, weight) {
+  const hits = [];
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    hits.push({
+      term: match[0],
+      rule,
+      weight,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return hits;
+}
+
+/**
+ * Analyzes sentiment using keyword matching (with negation, intensifiers
+ * and contrast words) plus emoji, emoticons and punctuation patterns.
+ * 
+ * @param {string} text - Text to analyze
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Object} { label, score, confidence, evidence } where label is 'Positive',
+ *   'Neutral' or 'Negative', score is in -1..1, confidence is in 0..1 and
+ *   evidence lists the rules that fired as { term, rule, weight, start, end }
+ */
+function analyzeSentiment(text, language = languages.DEFAULT_LANGUAGE) {
+  const hits = findKeywordHits(text, language);
+  
+  // Emoji (including skin-tone and ZWJ variants) and text emoticons like ":)"
+  hits.push(...emoji.findEmojiHits(text));
   
   // Punctuation analysis
-  // Exclamation marks often indicate positive excitement
-  const exclamationCount = (text.match(/!/g) || []).length;
-  if (exclamationCount > 0) positiveCount += Math.min(exclamationCount, 2);
+  // Exclamation marks often indicate positive excitement (only the first two count)
+  hits.push(...findPatternHits(text, /!/g, 'exclamation', 1).slice(0, 2));
   
   // Multiple question marks can indicate concern/frustration
-  const questionCount = (text.match(/\?/g) || []).length;
-  if (questionCount > 1) negativeCount += 1;
+  // (worth -1 in total, spread over the question marks that triggered it)
+  const questionHits = findPatternHits(text, /\?/g, 'questions', -1);
+  if (questionHits.length > 1) {
+    questionHits.forEach(hit => {
+      hit.weight = -1 / questionHits.length;
+    });
+    hits.push(...questionHits);
+  }
+  
+  // Raw score is the weighted balance of positive and negative evidence
+  const rawScore = hits.reduce((sum, hit) => sum + hit.weight, 0);
+  const totalWeight = hits.reduce((sum, hit) => sum + Math.abs(hit.weight), 0);
   
-  // Calculate sentiment score
-  const sentimentScore = positiveCount - negativeCount;
+  // Squash into -1..1 so long updates don't produce unbounded scores
+  const score = rawScore / Math.sqrt(rawScore * rawScore + NORMALIZATION_ALPHA);
   
   // Classify sentiment
-  if (sentimentScore > 0) {
-    return 'Positive';
-  } else if (sentimentScore < 0) {
-    return 'Negative';
+  let label;
+  if (score > NEUTRAL_THRESHOLD) {
+    label = 'Positive';
+  } else if (score < -NEUTRAL_THRESHOLD) {
+    label = 'Negative';
+  } else {
+    label = 'Neutral';
+  }
+  
+  // Confidence grows with the amount of evidence and how much of it agrees.
+  // With no evidence at all, Neutral is only a guess.
+  let confidence;
+  if (totalWeight === 0) {
+    confidence = 0.5;
   } else {
-    return 'Neutral';
+    const agreement = Math.abs(rawScore) / totalWeight;
+    const coverage = Math.min(1, totalWeight / 4);
+    confidence = label === 'Neutral'
+      ? coverage * (1 - agreement)
+      : coverage * agreement;
+  }
+  
+  // Report evidence in reading order
+  const evidence = hits
+    .sort((a, b) => a.start - b.start)
+    .map(hit => ({ ...hit, weight: Math.round(hit.weight * 100) / 100 }));
+  
+  return {
+    label,
+    score: Math.round(score * 100) / 100,
+    confidence: Math.round(confidence * 100) / 100,
+    evidence
+  };
+}
+
+// Mood scores use a gentler squash than sentiment: one clear word ("exhausted")
+// should already read as a clear signal
+const MOOD_NORMALIZATION_ALPHA = 2;
+
+// Compiled mood word lists by dimension and language (built on first use)
+const moodIndexes = {};
+
+/**
+ * Gets one mood dimension's word list for a language, compiled for matching.
+ * 
+ * @param {string} dimension - Key of MOOD_DIMENSIONS
+ * @param {string} language - Language code
+ * @returns {Object} Compiled terms as { single, phrases }
+ */
+function getMoodIndex(dimension, language) {
+  const key = `${dimension}:${language}`;
+  if (!moodIndexes[key]) {
+    const terms = MOOD_DIMENSIONS[dimension].terms[language] || {};
+    moodIndexes[key] = compileTerms(Object.entries(terms).map(([term, weight]) => ({ term, weight })));
   }
+  return moodIndexes[key];
 }
 
 /**
- * Extracts 2-3 key sentences as summary bullets.
+ * Scores the mood dimensions (energy, stress, confidence) from their word
+ * lists, with the same negation and intensifier rules as sentiment. "Exhausted
+ * but proud" is tired and positive; "calm, nothing happened" is calm and neutral.
  * 
- * @param {string} text - Text to summarize
- * @returns {Array<string>} Array of 2-3 summary sentences
- */
-function extractSummary(text) {
-  // Split text into sentences
-  // Match sentences ending with . ! or ?
-  const sentences = text.split(/([.!?]+[\s\n]+)/)
-    .filter(s => s.trim().length > 0)
-    .reduce((acc, curr, idx, arr) => {
-      // Rejoin punctuation with previous sentence
-      if (/^[.!?]+[\s\n]*$/.test(curr)) {
-        if (acc.length > 0) {
-          acc[acc.length - 1] += curr;
-        }
-      } else {
-        acc.push(curr.trim());
+ * @param {string} text - Text to analyze
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Object} Map of dimension to { score, label, evidence } where score
+ *   runs from -1 (low pole) to 1 (high pole), label is the pole's name or
+ *   'neutral', and both are null when the text says nothing about the dimension
+ */
+function analyzeMood(text, language = languages.DEFAULT_LANGUAGE) {
+  const profile = languages.getLanguage(language);
+  const tokens = tokenize(text);
+  const mood = {};
+  
+  Object.entries(MOOD_DIMENSIONS).forEach(([dimension, { low, high }]) => {
+    const matches = matchTerms(text, tokens, getMoodIndex(dimension, profile.code), profile);
+    if (matches.length === 0) {
+      mood[dimension] = { score: null, label: null, evidence: [] };
+      return;
+    }
+    
+    const raw = matches.reduce((sum, match) => sum + match.weight, 0);
+    const score = raw / Math.sqrt(raw * raw + MOOD_NORMALIZATION_ALPHA);
+    
+    let label = 'neutral';
+    if (score > NEUTRAL_THRESHOLD) {
+      label = high;
+    } else if (score < -NEUTRAL_THRESHOLD) {
+      label = low;
+    }
+    
+    mood[dimension] = {
+      score: Math.round(score * 100) / 100,
+      label,
+      evidence: matches.map(({ term, weight, start, end }) => ({
+        term,
+        weight: Math.round(weight * 100) / 100,
+        start,
+        end
+      }))
+    };
+  });
+  
+  return mood;
+}
+
+// Compiled blocker cues and category keywords by language (built on first use)
+const blockerIndexes = {};
+
+/**
+ * Gets the blocker cues and category keywords for a language, compiled for matching.
+ * 
+ * @param {string} language - Language code
+ * @returns {Object} { cues, categories } where cues is compiled terms and
+ *   categories maps each category to its compiled keywords
+ */
+function getBlockerIndex(language) {
+  if (!blockerIndexes[language]) {
+    const cues = Object.entries(BLOCKER_CUES[language] || {}).map(([term, weight]) => ({ term, weight }));
+    const categories = {};
+    Object.entries(BLOCKER_CATEGORIES).forEach(([category, terms]) => {
+      categories[category] = compileTerms((terms[language] || []).map(term => ({ term, weight: 1 })));
+    });
+    blockerIndexes[language] = { cues: compileTerms(cues), categories };
+  }
+  return blockerIndexes[language];
+}
+
+/**
+ * Picks the category whose keywords appear most often in a blocker sentence.
+ * 
+ * @param {Array<Object>} tokens - Tokens of the sentence
+ * @param {Object} categories - Compiled keywords by category
+ * @returns {string} Category, or 'other' when no keyword matches
+ */
+function classifyBlocker(tokens, categories) {
+  let best = { category: 'other', count: 0 };
+  
+  Object.entries(categories).forEach(([category, index]) => {
+    let count = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const entry = matchLexiconTerm(tokens, i, index);
+      if (entry) {
+        count++;
+        i += entry.words.length - 1;
       }
-      return acc;
-    }, [])
-    .filter(s => s.length >= 10); // Filter out very short sentences
+    }
+    if (count > best.count) best = { category, count };
+  });
+  
+  return best.category;
+}
+
+/**
+ * Finds sentences that report a blocker ("stuck on the DP problem", "waiting
+ * on design review") and categorizes each as time, energy (energy/health),
+ * dependency (waiting on someone else), knowledge, motivation, tooling or
+ * other. A sentence without category keywords borrows them from the sentence
+ * before it ("Slept badly. Can't focus."). Negated cues ("no longer stuck") and
+ * completed checkbox items don't count.
+ * 
+ * @param {string} text - Text to analyze
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Blockers as { text, category, cue, start, end }
+ */
+function findBlockers(text, language = languages.DEFAULT_LANGUAGE) {
+  const profile = languages.getLanguage(language);
+  const { cues, categories } = getBlockerIndex(profile.code);
+  const blockers = [];
+  
+  const segments = splitSegments(text, profile.code);
+  
+  segments.forEach((segment, index) => {
+    if (segment.kind === 'heading' || segment.done) return;
+    
+    const tokens = tokenize(segment.text);
+    const cue = matchTerms(segment.text, tokens, cues, profile)
+      .find(match => match.weight > 0 && !match.negated);
+    if (!cue) return;
+    
+    let category = classifyBlocker(tokens, categories);
+    if (category === 'other' && index > 0) {
+      category = classifyBlocker(tokenize(segments[index - 1].text), categories);
+    }
+    
+    blockers.push({
+      text: segment.text,
+      category,
+      cue: cue.term,
+      start: segment.start,
+      end: segment.end
+    });
+  });
+  
+  return blockers;
+}
+
+/**
+ * Splits text into sentences ending with . ! or ? (followed by whitespace
+ * or end of text), keeping each sentence's character offsets. A period after
+ * a known abbreviation ("e.g.", "z.B.", "Sra.") doesn't end a sentence.
+ * 
+ * @param {string} text - Text to split
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Sentences as { text, start, end }
+ */
+function splitSentences(text, language = languages.DEFAULT_LANGUAGE) {
+  const { abbreviations } = languages.getLanguage(language);
+  const sentences = [];
+  const boundary = /[.!?]+(?=\s|$)/g;
+  let cursor = 0;
+  let match;
+  
+  const pushSentence = (start, end) => {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    if (trimmed.length === 0) return;
+    const offset = start + raw.indexOf(trimmed);
+    sentences.push({ text: trimmed, start: offset, end: offset + trimmed.length });
+  };
+  
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    
+    const previousWord = text.slice(cursor, match.index).match(/([\p{L}.]+)$/u);
+    if (match[0] === '.' && previousWord && abbreviations.includes(previousWord[1].toLowerCase())) {
+      continue;
+    }
+    
+    pushSentence(cursor, end);
+    cursor = end;
+  }
+  
+  // Trailing text without terminal punctuation is a sentence too
+  pushSentence(cursor, text.length);
+  
+  return sentences;
+}
+
+// Markdown line structure, checked in order. Each pattern captures the marker
+// ("## ", "- [x] ", "2. ") so offsets can point at the content after it.
+const LINE_PATTERNS = [
+  { kind: 'heading', pattern: /^(\s{0,3}#{1,6}\s+)/ },
+  { kind: 'task', pattern: /^(\s*(?:[-*+•]|\d+[.)])\s+\[([ xX])\]\s+)/ },
+  { kind: 'bullet', pattern: /^(\s*[-*+•]\s+)/ },
+  { kind: 'numbered', pattern: /^(\s*\d+[.)]\s+)/ }
+];
+
+/**
+ * Works out what kind of Markdown line this is.
+ * 
+ * @param {string} line - Single line of text
+ * @returns {Object} { kind, marker, done } where kind is 'heading', 'task',
+ *   'bullet', 'numbered' or 'text', marker is the prefix before the content
+ *   and done is true/false for checkbox tasks (undefined otherwise)
+ */
+function parseLine(line) {
+  for (const { kind, pattern } of LINE_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) {
+      return {
+        kind,
+        marker: match[1],
+        done: kind === 'task' ? match[2] !== ' ' : undefined
+      };
+    }
+  }
+  return { kind: 'text', marker: '' };
+}
+
+/**
+ * Splits text into segments using its structure: every line break, heading,
+ * bullet and numbered item starts a new segment, and lines are further split
+ * into sentences. List markers are left out of the segment text.
+ * 
+ * @param {string} text - Text to split
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Segments as { text, start, end, kind, line, done? } where
+ *   kind is 'heading', 'task', 'bullet', 'numbered' or 'text' and line is the
+ *   0-based line number
+ */
+function splitSegments(text, language = languages.DEFAULT_LANGUAGE) {
+  const segments = [];
+  let offset = 0;
+  
+  text.split('\n').forEach((line, lineNumber) => {
+    const { kind, marker, done } = parseLine(line);
+    const content = line.slice(marker.length);
+    const contentStart = offset + marker.length;
+    
+    // A heading is a single label, even if it contains a period
+    const parts = kind === 'heading'
+      ? [{ start: content.length - content.trimStart().length, end: content.trimEnd().length }]
+      : splitSentences(content, language);
+    
+    parts.forEach(part => {
+      if (part.end <= part.start) return;
+      
+      const segment = {
+        text: text.slice(contentStart + part.start, contentStart + part.end),
+        start: contentStart + part.start,
+        end: contentStart + part.end,
+        kind,
+        line: lineNumber
+      };
+      if (kind === 'task') segment.done = done;
+      segments.push(segment);
+    });
+    offset += line.length + 1;
+  });
+  
+  return segments;
+}
+
+/**
+ * Extracts Markdown checkbox items ("- [x] long run", "- [ ] book physio").
+ * 
+ * @param {string} text - Text to analyze
+ * @returns {Array<Object>} Tasks as { text, done, start, end }
+ */
+function extractTasks(text) {
+  const tasks = [];
+  let offset = 0;
+  
+  text.split('\n').forEach(line => {
+    const { kind, marker, done } = parseLine(line);
+    const content = line.slice(marker.length).trim();
+    if (kind === 'task' && content.length > 0) {
+      const start = offset + marker.length;
+      tasks.push({ text: content, done, start, end: start + content.length });
+    }
+    offset += line.length + 1;
+  });
+  
+  return tasks;
+}
+
+/**
+ * Scores every sentence separately.
+ * 
+ * @param {string} text - Text to analyze
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Sentences as { text, start, end, kind, label, score }
+ *   (headings are skipped; kind is 'task', 'bullet', 'numbered' or 'text')
+ */
+function analyzeSentences(text, language = languages.DEFAULT_LANGUAGE) {
+  return splitSegments(text, language)
+    .filter(segment => segment.kind !== 'heading')
+    .map(sentence => {
+      const sentiment = analyzeSentiment(sentence.text, language);
+      return {
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.end,
+        kind: sentence.kind,
+        label: sentiment.label,
+        score: sentiment.score
+      };
+    });
+}
+
+// Relevance = weighted content score plus small boosts (capped at 1)
+const SUMMARY_CONTENT_WEIGHT = 0.7;
+const SUMMARY_FIRST_SENTENCE_BOOST = 0.15;
+const SUMMARY_ACCOMPLISHMENT_BOOST = 0.15;
+const SUMMARY_NUMBER_BOOST = 0.1;
+const SUMMARY_SENTIMENT_BOOST = 0.1;
+const SUMMARY_MAX_BULLETS = 3;
+
+/**
+ * Gets the topic words of a sentence (lowercase, stopwords removed).
+ * 
+ * @param {string} text - Sentence text
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {string[]} Content words in order
+ */
+function contentWords(text, language = languages.DEFAULT_LANGUAGE) {
+  const { stopwords } = languages.getLanguage(language);
+  return tokenize(text)
+    .map(token => token.word)
+    .filter(word => word.length > 1 && !stopwords.includes(word));
+}
+
+/**
+ * Scores sentences by TF-IDF: words that are frequent in a sentence but rare
+ * across the update's other sentences make that sentence stand out.
+ * Scores are normalized so the best sentence gets 1.
+ * 
+ * @param {Array<string[]>} sentenceWords - Content words of each sentence
+ * @returns {number[]} Content score (0..1) per sentence
+ */
+function scoreTfIdf(sentenceWords) {
+  const sentenceCount = sentenceWords.length;
+  
+  // Document frequency: in how many sentences does each word appear?
+  const documentFrequency = {};
+  sentenceWords.forEach(words => {
+    new Set(words).forEach(word => {
+      documentFrequency[word] = (documentFrequency[word] || 0) + 1;
+    });
+  });
+  
+  const rawScores = sentenceWords.map(words => {
+    if (words.length === 0) return 0;
+    
+    const termFrequency = {};
+    words.forEach(word => {
+      termFrequency[word] = (termFrequency[word] || 0) + 1;
+    });
+    
+    const total = Object.entries(termFrequency).reduce((sum, [word, count]) => {
+      const idf = Math.log(sentenceCount / documentFrequency[word]) + 1;
+      return sum + count * idf;
+    }, 0);
+    
+    // Dampen length so long rambling sentences don't always win
+    return total / Math.sqrt(words.length);
+  });
+  
+  const maxScore = Math.max(...rawScores);
+  return rawScores.map(score => (maxScore > 0 ? score / maxScore : 0));
+}
+
+/**
+ * Extracts the 2-3 most relevant sentences as summary bullets, ranked by
+ * TF-IDF with boosts for the opening sentence, accomplishment verbs,
+ * numbers and sentiment keywords.
+ * 
+ * @param {string} text - Text to summarize
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Up to 3 bullets in original order as
+ *   { text, score, reasons } where score is the relevance (0..1) and reasons
+ *   explain why the sentence was picked
+ */
+function extractSummary(text, language = languages.DEFAULT_LANGUAGE) {
+  const { accomplishmentWords } = languages.getLanguage(language);
+  
+  // Headings are labels, not content; completed checkbox items count as accomplishments
+  const segments = splitSegments(text, language)
+    .filter(segment => segment.kind !== 'heading')
+    .filter(segment => segment.text.length >= 10); // Filter out very short sentences
+  const sentences = segments.map(segment => segment.text);
   
   if (sentences.length === 0) {
     // If no sentences found, return first 200 chars as single bullet
-    return [text.substring(0, 200).trim() + (text.length > 200 ? '...' : '')];
+    return [{
+      text: text.substring(0, 200).trim() + (text.length > 200 ? '...' : ''),
+      score: 1,
+      reasons: ['only content']
+    }];
+  }
+  
+  const sentenceWords = sentences.map(sentence => contentWords(sentence, language));
+  const contentScores = scoreTfIdf(sentenceWords);
+  
+  const ranked = sentences.map((sentence, index) => {
+    const reasons = [];
+    let score = SUMMARY_CONTENT_WEIGHT * contentScores[index];
+    
+    // Name up to three topic words that only this sentence uses
+    const keyTerms = [...new Set(sentenceWords[index])]
+      .filter(word => !sentenceWords.some((words, other) => other !== index && words.includes(word)))
+      .slice(0, 3);
+    if (keyTerms.length > 0) {
+      reasons.push(`key terms: ${keyTerms.join(', ')}`);
+    }
+    
+    if (index === 0 && sentences.length > 1) {
+      score += SUMMARY_FIRST_SENTENCE_BOOST;
+      reasons.push('opening sentence');
+    }
+    
+    if (segments[index].done) {
+      score += SUMMARY_ACCOMPLISHMENT_BOOST;
+      reasons.push('completed task');
+    } else if (sentenceWords[index].some(word => accomplishmentWords.includes(word))) {
+      score += SUMMARY_ACCOMPLISHMENT_BOOST;
+      reasons.push('reports an accomplishment');
+    }
+    
+    if (/\d/.test(sentence)) {
+      score += SUMMARY_NUMBER_BOOST;
+      reasons.push('contains numbers');
+    }
+    
+    if (findKeywordHits(sentence, language).length > 0) {
+      score += SUMMARY_SENTIMENT_BOOST;
+      reasons.push('sentiment keywords');
+    }
+    
+    return {
+      index,
+      text: sentence,
+      score: Math.round(Math.min(1, score) * 100) / 100,
+      reasons
+    };
+  });
+  
+  // Keep the top sentences (earlier sentence wins ties), then restore original order
+  return [...ranked]
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, SUMMARY_MAX_BULLETS)
+    .sort((a, b) => a.index - b.index)
+    .map(({ text, score, reasons }) => ({ text, score, reasons }));
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Due-date hints, checked in order; each resolves to a number of days from today
+// (English only, like metrics)
+const DUE_HINTS = [
+  { pattern: /\b(?:today|tonight|this (?:morning|afternoon|evening))\b/i, days: () => 0 },
+  { pattern: /\bday after tomorrow\b/i, days: () => 2 },
+  { pattern: /\btomorrow\b/i, days: () => 1 },
+  { pattern: /\bin (\d+) days?\b/i, days: (match) => parseInt(match[1], 10) },
+  { pattern: /\bthis weekend\b/i, days: (match, now) => daysUntilWeekday(now, 6, true) },
+  { pattern: /\b(?:by )?(?:the )?end of (?:the )?week\b/i, days: (match, now) => daysUntilWeekday(now, 5, true) },
+  { pattern: /\bnext week\b/i, days: (match, now) => daysUntilWeekday(now, 1, false) },
+  {
+    pattern: /\b(?:by|on|this|next|before)?\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i,
+    days: (match, now) => daysUntilWeekday(now, WEEKDAYS.indexOf(match[1].toLowerCase()), false)
+  }
+];
+
+/**
+ * Counts the days from `now` until the next given weekday.
+ * 
+ * @param {Date} now - Reference date
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @param {boolean} includeToday - Whether today counts if it already is that weekday
+ * @returns {number} Days until that weekday
+ */
+function daysUntilWeekday(now, weekday, includeToday) {
+  const days = (weekday - now.getDay() + 7) % 7;
+  return days === 0 && !includeToday ? 7 : days;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ * 
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Finds a due-date hint ("tomorrow", "by Friday") in a piece of text.
+ * 
+ * @param {string} text - Sentence or line to search
+ * @param {Date} now - Reference date for resolving relative hints
+ * @returns {Object|null} { hint, date } or null when there is no hint
+ */
+function findDueHint(text, now) {
+  for (const { pattern, days } of DUE_HINTS) {
+    const match = text.match(pattern);
+    if (match) {
+      const due = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days(match, now));
+      return { hint: match[0].trim().toLowerCase(), date: formatLocalDate(due) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Cleans up an extracted action phrase (trailing punctuation, clause after "but").
+ * 
+ * @param {string} action - Raw text following the trigger
+ * @returns {string} Action phrase
+ */
+function cleanAction(action) {
+  return action
+    .split(/\s+(?:but|however)\s+|[;]/i)[0]
+    .replace(/[.!?,:\s]+$/, '')
+    .trim();
+}
+
+/**
+ * Extracts action items: commitment phrases ("I'll", "going to", "need to",
+ * "plan to", "TODO"), imperative bullets ("- email the landlord"), open
+ * checkbox items ("- [ ] book physio") and their due-date hints. Commitment
+ * phrases and to-do verbs come from the language profile; due hints are
+ * English only.
+ * 
+ * @param {string} text - Text to analyze
+ * @param {Date} [now] - Reference date for resolving due hints (defaults to now)
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Array<Object>} Items as { text, source, dueHint, dueDate, start, end }
+ *   where source is 'commitment', 'todo', 'imperative' or 'task'
+ */
+function extractActionItems(text, now = new Date(), language = languages.DEFAULT_LANGUAGE) {
+  const profile = languages.getLanguage(language);
+  const items = [];
+  
+  let previousLine = -1;
+  
+  splitSegments(text, language).forEach(segment => {
+    const startsLine = segment.line !== previousLine;
+    previousLine = segment.line;
+    
+    // Completed checkbox items are done, not planned
+    if (segment.done) return;
+    
+    // Open checkbox item ("- [ ] book physio") or imperative bullet
+    // ("- call mom", "1. book dentist by Friday"), judged by the item's first sentence
+    const isListItem = segment.kind === 'bullet' || segment.kind === 'numbered';
+    const words = tokenize(segment.text);
+    const verb = words.length > 0 ? words[profile.todoVerbLast ? words.length - 1 : 0].word : '';
+    if (startsLine && (segment.kind === 'task' || (isListItem && profile.todoVerbs.includes(verb)))) {
+      const due = findDueHint(segment.text, now);
+      const action = cleanAction(segment.text);
+      if (action.length > 0) {
+        items.push({
+          text: action,
+          source: segment.kind === 'task' ? 'task' : 'imperative',
+          dueHint: due ? due.hint : null,
+          dueDate: due ? due.date : null,
+          start: segment.start,
+          end: segment.end
+        });
+        return;
+      }
+    }
+    
+    const pattern = profile.commitmentPattern;
+    pattern.lastIndex = 0;
+    const match = pattern.exec(segment.text);
+    if (!match) return;
+    
+    // Skip past or negated plans ("I was going to run")
+    const before = tokenize(segment.text.slice(0, match.index));
+    const previousWord = before.length > 0 ? before[before.length - 1].word : '';
+    if (profile.commitmentCancellers.includes(previousWord)) return;
+    
+    const action = cleanAction(segment.text.slice(match.index + match[0].length));
+    if (action.length < 3) return;
+    
+    // ...including negations after the phrase ("I'll never", "ich muss nicht laufen")
+    const actionWords = tokenize(action);
+    if (actionWords.length > 0 && profile.negators.includes(actionWords[0].word)) return;
+    
+    const due = findDueHint(segment.text, now);
+    items.push({
+      text: action,
+      source: /^to-?do/i.test(match[0].trim()) ? 'todo' : 'commitment',
+      dueHint: due ? due.hint : null,
+      dueDate: due ? due.date : null,
+      start: segment.start,
+      end: segment.end
+    });
+  });
+  
+  return items;
+}
+
+/**
+ * Parses a time written as seconds ("14.23"), m:ss(.xx) or h:mm:ss.
+ * 
+ * @param {string} raw - Time text
+ * @returns {number} Total seconds
+ */
+function parseClockTime(raw) {
+  return raw.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parses a number that may use thousands separators ("10,000").
+ * 
+ * @param {string} raw - Number text
+ * @returns {number} Parsed value
+ */
+function parseNumber(raw) {
+  return parseFloat(raw.replace(/,/g, ''));
+}
+
+// Seconds per duration unit
+const DURATION_UNITS = { h: 3600, hr: 3600, hour: 3600, min: 60, minute: 60, m: 60, s: 1, sec: 1, second: 1 };
+
+// Canonical distance units
+const DISTANCE_UNITS = { km: 'km', k: 'km', kilometer: 'km', kilometre: 'km', mi: 'mi', mile: 'mi', m: 'm', meter: 'm', metre: 'm' };
+
+/**
+ * Strips a plural "s" so "miles", "mins" and "hours" share a unit table entry.
+ * 
+ * @param {string} unit - Unit as written
+ * @returns {string} Lowercase singular unit
+ */
+function singularUnit(unit) {
+  const lower = unit.toLowerCase();
+  return lower.length > 2 && lower.endsWith('s') ? lower.slice(0, -1) : lower;
+}
+
+// Metric patterns, most specific first. Each build() returns the metric fields
+// or null to skip the match. Earlier patterns claim their text, so later ones
+// can't double-count it ("5:30/km" is a pace, not a time plus a distance).
+const METRIC_PATTERNS = [
+  {
+    // Cubing averages: "ao5 14.23", "ao12: 1:02.5", "aof5 of 13.9", "mo3 20.1"
+    regex: /\b(ao|aof|mo)(\d+)\s*(?:of|:|=|-)?\s*(\d+(?::\d{1,2})*(?:\.\d+)?)\s*s?\b/gi,
+    build: (m) => ({ kind: 'average', value: parseClockTime(m[3]), unit: 's', label: `${m[1].toLowerCase()}${m[2]}` })
+  },
+  {
+    // Cubing singles: "single of 9.87", "best solve 11.2s"
+    regex: /\b(?:single|solve)s?\s*(?:of|:|=|-)?\s*(\d+(?::\d{1,2})*(?:\.\d+)?)\s*s?\b/gi,
+    build: (m) => ({ kind: 'solve', value: parseClockTime(m[1]), unit: 's' })
+  },
+  {
+    // Running pace: "5:30/km", "8:45 min/mi", "4:50 per km"
+    regex: /\b(\d{1,2}:\d{2})\s*(?:min(?:utes)?\s*)?(?:\/|per)\s*(km|mi|mile)\b/gi,
+    build: (m) => ({ kind: 'pace', value: parseClockTime(m[1]), unit: `s/${DISTANCE_UNITS[m[2].toLowerCase()]}` })
+  },
+  {
+    // Distances, optionally as intervals: "10k", "5.2 km", "3 miles", "3x400m"
+    regex: /\b(?:(\d+)\s*x\s*)?(\d+(?:\.\d+)?)\s*(km|k|kilomet(?:er|re)s?|mi|miles?|m|met(?:er|re)s?)\b/gi,
+    build: (m) => {
+      const unit = DISTANCE_UNITS[singularUnit(m[3])];
+      const value = parseFloat(m[2]);
+      // A bare "m" under 100 is much more likely minutes ("30m nap")
+      if (m[3].toLowerCase() === 'm' && value < 100 && !m[1]) {
+        return { kind: 'duration', value: value * 60, unit: 's' };
+      }
+      const metric = { kind: 'distance', value, unit };
+      if (m[1]) metric.sets = parseInt(m[1], 10);
+      return metric;
+    }
+  },
+  {
+    // Durations with units: "45 min", "1.5 hours", "90 seconds", "2h"
+    regex: /\b(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|seconds?|secs?|s)\b/gi,
+    build: (m) => ({ kind: 'duration', value: parseFloat(m[1]) * DURATION_UNITS[singularUnit(m[2])], unit: 's' })
+  },
+  {
+    // Clock-style durations: "24:30", "1:45:10", "1:02.34" (not times of day
+    // like "7:15pm", "meeting at 10:30", "@ 9:00", "by 17:00", "until 22:00",
+    // and never the tail of a longer clock token such as "45:10" in "at 1:45:10")
+    regex: /(?<!(?:\b(?:at|by|until|till)|@)\s*)(?<![\d:])\b(\d{1,2}(?::\d{2}){1,2}(?:\.\d+)?)(?!\s*(?:am|pm)\b)/gi,
+    build: (m) => ({ kind: 'duration', value: parseClockTime(m[1]), unit: 's' })
+  },
+  {
+    // Weights: "80kg", "135 lbs", "20 kilos"
+    regex: /\b(\d+(?:\.\d+)?)\s*(kgs?|kilos?|lbs?|pounds?)\b/gi,
+    build: (m) => ({ kind: 'weight', value: parseFloat(m[1]), unit: /^(kg|kilo)/i.test(m[2]) ? 'kg' : 'lb' })
+  },
+  {
+    // Sets x reps: "3x10", "5 x 5"
+    regex: /\b(\d+)\s*x\s*(\d+)\b/gi,
+    build: (m) => ({ kind: 'reps', value: parseInt(m[2], 10), unit: 'reps', sets: parseInt(m[1], 10) })
+  },
+  {
+    // Counted exercise: "20 reps", "4 sets", "50 push-ups"
+    regex: /\b(\d+)\s*(reps?|sets?|push-?ups?|pull-?ups?|squats?|burpees?)\b/gi,
+    build: (m) => {
+      const unit = singularUnit(m[2]).replace('-', '');
+      return unit === 'set'
+        ? { kind: 'sets', value: parseInt(m[1], 10), unit: 'sets' }
+        : { kind: 'reps', value: parseInt(m[1], 10), unit: unit === 'rep' ? 'reps' : `${unit}s` };
+    }
+  },
+  {
+    // Reading: "30 pages", "2 chapters"
+    regex: /\b(\d[\d,]*)\s*(pages?|chapters?)\b/gi,
+    build: (m) => ({ kind: singularUnit(m[2]) === 'page' ? 'pages' : 'chapters', value: parseNumber(m[1]), unit: `${singularUnit(m[2])}s` })
+  },
+  {
+    // Reading position: "chapter 7", "page 212"
+    regex: /\b(chapter|page)\s+(\d+)\b/gi,
+    build: (m) => ({ kind: m[1].toLowerCase(), value: parseInt(m[2], 10), unit: m[1].toLowerCase() })
+  },
+  {
+    // Step counts: "10,000 steps"
+    regex: /\b(\d[\d,]*)\s*steps\b/gi,
+    build: (m) => ({ kind: 'steps', value: parseNumber(m[1]), unit: 'steps' })
+  }
+];
+
+/**
+ * Extracts measurable quantities (distances, paces, times, cubing averages,
+ * weights, reps, pages) from the text.
+ * 
+ * @param {string} text - Text to analyze
+ * @returns {Array<Object>} Metrics in reading order as { kind, value, unit, raw,
+ *   start, end }, plus `label` for averages ("ao5") and `sets` for "3x" intervals
+ */
+function extractMetrics(text) {
+  const metrics = [];
+  const claimed = [];
+  
+  const overlapsClaimed = (start, end) => claimed.some(range => start < range.end && end > range.start);
+  
+  METRIC_PATTERNS.forEach(({ regex, build }) => {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].trimEnd().length;
+      if (overlapsClaimed(start, end)) continue;
+      
+      const metric = build(match);
+      if (!metric || !Number.isFinite(metric.value)) continue;
+      
+      claimed.push({ start, end });
+      metrics.push({ ...metric, value: Math.round(metric.value * 100) / 100, raw: text.slice(start, end), start, end });
+    }
+  });
+  
+  return metrics.sort((a, b) => a.start - b.start);
+}
+
+// Areas in display order (keep in sync with AREAS_ORDER in public/app.js)
+const AREAS = [
+  'Running',
+  'Fitness / Health',
+  'Cubing',
+  'Coding / Projects',
+  'Reading / Learning',
+  'Home / Chores',
+  'Relationship / Social',
+  'Life Admin',
+  'Work',
+  'Misc'
+];
+
+// Built-in area lexicon: words that point to an area on their own
+const AREA_KEYWORDS = {
+  'Running': [
+    'run', 'ran', 'runs', 'running', 'jog', 'jogged', 'jogging', 'tempo', 'intervals',
+    'marathon', 'half', 'parkrun', 'trail', 'pace', 'strava', 'splits', 'long run', 'race'
+  ],
+  'Fitness / Health': [
+    'gym', 'workout', 'lift', 'lifting', 'squat', 'squats', 'deadlift', 'bench', 'yoga',
+    'stretch', 'stretching', 'sleep', 'slept', 'diet', 'protein', 'physio', 'doctor',
+    'knee', 'injury', 'sore', 'weights', 'cardio', 'push-ups', 'pushups', 'swim', 'cycling'
+  ],
+  'Cubing': [
+    'cube', 'cubing', 'solve', 'solves', 'oll', 'pll', 'f2l', 'cross', '3x3', '4x4',
+    'ao5', 'ao12', 'aof5', 'cstimer', 'algs', 'algorithms', 'lookahead', 'scramble', 'wca'
+  ],
+  'Coding / Projects': [
+    'code', 'coding', 'bug', 'bugs', 'refactor', 'refactored', 'deploy', 'deployed', 'shipped',
+    'commit', 'merged', 'pr', 'feature', 'api', 'frontend', 'backend', 'repo', 'github',
+    'javascript', 'python', 'app', 'migration', 'prod', 'side project', 'tests'
+  ],
+  'Reading / Learning': [
+    'read', 'reading', 'book', 'books', 'chapter', 'chapters', 'pages', 'course', 'lecture',
+    'studied', 'study', 'studying', 'learned', 'learning', 'notes', 'kindle', 'audiobook', 'duolingo'
+  ],
+  'Home / Chores': [
+    'clean', 'cleaned', 'cleaning', 'laundry', 'dishes', 'vacuum', 'vacuumed', 'groceries',
+    'cooking', 'cooked', 'garden', 'tidy', 'tidied', 'repair', 'fixed the', 'declutter'
+  ],
+  'Relationship / Social': [
+    'friend', 'friends', 'family', 'mom', 'dad', 'partner', 'girlfriend', 'boyfriend', 'wife',
+    'husband', 'date', 'dinner with', 'party', 'called', 'visited', 'birthday', 'catch up'
+  ],
+  'Life Admin': [
+    'taxes', 'tax', 'bank', 'bills', 'bill', 'rent', 'landlord', 'insurance', 'appointment',
+    'passport', 'visa', 'paperwork', 'budget', 'email', 'emails', 'forms', 'renew', 'dentist'
+  ],
+  'Work': [
+    'work', 'meeting', 'meetings', 'manager', 'boss', 'colleague', 'colleagues', 'client',
+    'clients', 'deadline', 'presentation', 'standup', 'office', 'team', 'sprint', 'quarterly'
+  ]
+};
+
+// Metric kinds that point to an area
+const METRIC_AREAS = {
+  distance: 'Running',
+  pace: 'Running',
+  average: 'Cubing',
+  solve: 'Cubing',
+  pages: 'Reading / Learning',
+  chapters: 'Reading / Learning',
+  chapter: 'Reading / Learning',
+  page: 'Reading / Learning',
+  reps: 'Fitness / Health',
+  sets: 'Fitness / Health',
+  weight: 'Fitness / Health',
+  steps: 'Fitness / Health'
+};
+
+// Preset tags (keep in sync with TAG_PRESETS in public/app.js) and the text that
+// suggests them; 'blocker' comes from findBlockers instead
+const TAG_RULES = {
+  'aof5': /\bao(?:f)?5\b/i,
+  'pb': /\b(?:pb|pr|personal (?:best|record)|new record)\b/i,
+  'weekly': /\b(?:weekly|this week|week in review|weekly review)\b/i,
+  'milestone': /\b(?:milestone|finished|completed|shipped|launched|released|first ever|done with)\b/i,
+  'progress': /\b(?:progress|improved|improving|better|faster|closer)\b/i,
+  'reflection': /\b(?:realized|realised|reflect(?:ing|ed)?|learned that|i think|i feel|lesson)\b/i,
+  'planning': /\b(?:plan|planning|next week|tomorrow|going to|i['\u2019]ll|schedule)\b/i
+};
+
+// Scoring weights for area suggestions
+const AREA_KEYWORD_WEIGHT = 1;
+const AREA_METRIC_WEIGHT = 1.5;
+const AREA_HASHTAG_WEIGHT = 3;
+const AREA_LEARNED_WEIGHT = 0.75;
+
+// Tags learned from past entries need this much support to be suggested
+const LEARNED_TAG_THRESHOLD = 1;
+const MAX_SUGGESTED_TAGS = 5;
+
+/**
+ * Counts, for each content word, how often past entries containing it were
+ * labeled with each area and tag.
+ * 
+ * @param {Array<Object>} examples - Past entries as { text, area, tags }
+ * @returns {Object} { areas: { word: { area: count } }, tags: { word: { tag: count } }, words: { word: count } }
+ */
+function buildLabelIndex(examples) {
+  const index = { areas: {}, tags: {}, words: {} };
+  
+  examples.forEach(example => {
+    new Set(contentWords(example.text)).forEach(word => {
+      index.words[word] = (index.words[word] || 0) + 1;
+      
+      if (example.area && example.area !== 'Misc') {
+        index.areas[word] = index.areas[word] || {};
+        index.areas[word][example.area] = (index.areas[word][example.area] || 0) + 1;
+      }
+      
+      (example.tags || []).forEach(tag => {
+        index.tags[word] = index.tags[word] || {};
+        index.tags[word][tag] = (index.tags[word][tag] || 0) + 1;
+      });
+    });
+  });
+  
+  return index;
+}
+
+/**
+ * Extracts #hashtags from the text.
+ * 
+ * @param {string} text - Text to search
+ * @returns {string[]} Lowercase hashtags without the "#"
+ */
+function extractHashtags(text) {
+  return (text.match(/(?:^|\s)#([a-z0-9][\w-]*)/gi) || [])
+    .map(tag => tag.trim().slice(1).toLowerCase());
+}
+
+/**
+ * Finds the area a single word names ("running", "cubing", "coding" for
+ * "Coding / Projects"); words of 3+ letters also match the start of an area
+ * word ("read" for "Reading / Learning").
+ * 
+ * @param {string} word - Lowercase word, e.g. a hashtag without the "#"
+ * @returns {string|null} Area, or null if the word names none
+ */
+function matchAreaName(word) {
+  return AREAS.find(name => name.toLowerCase().split('/')
+    .map(part => part.replace(/[^a-z]/g, ''))
+    .some(part => part === word || (word.length >= 3 && part.startsWith(word)))) || null;
+}
+
+/**
+ * Checks whether a lexicon term (word or short phrase) appears in the text.
+ * 
+ * @param {string} lowerText - Lowercase text
+ * @param {string} term - Lexicon term
+ * @returns {boolean} True if the term appears as whole words
+ */
+function containsTerm(lowerText, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(lowerText);
+}
+
+/**
+ * Suggests an area and tags for the update from the built-in lexicon,
+ * extracted metrics, #hashtags and the user's own previously labeled entries.
+ * 
+ * @param {string} text - Text to classify
+ * @param {Object} [context] - { metrics, blockers, examples } where examples are
+ *   past entries as { text, area, tags }
+ * @returns {Object} { suggestedArea: { area, confidence }, suggestedTags: string[] }
+ */
+function suggestAreaAndTags(text, context = {}) {
+  const lowerText = text.toLowerCase();
+  const metrics = context.metrics || extractMetrics(text);
+  const blockers = context.blockers || findBlockers(text, languages.detectLanguage(text).language);
+  const examples = context.examples || [];
+  const hashtags = extractHashtags(text);
+  const words = new Set(contentWords(text));
+  const index = buildLabelIndex(examples);
+  
+  const areaScores = {};
+  const addAreaScore = (area, score) => {
+    areaScores[area] = (areaScores[area] || 0) + score;
+  };
+  
+  // Built-in lexicon
+  Object.entries(AREA_KEYWORDS).forEach(([area, keywords]) => {
+    keywords.forEach(keyword => {
+      if (containsTerm(lowerText, keyword)) addAreaScore(area, AREA_KEYWORD_WEIGHT);
+    });
+  });
+  
+  // Metrics ("10k" is a run, "ao5" is cubing)
+  new Set(metrics.map(metric => METRIC_AREAS[metric.kind]).filter(Boolean))
+    .forEach(area => addAreaScore(area, AREA_METRIC_WEIGHT));
+  
+  // Hashtags naming an area ("#running", "#cubing", "#work")
+  hashtags.forEach(tag => {
+    const area = matchAreaName(tag);
+    if (area) addAreaScore(area, AREA_HASHTAG_WEIGHT);
+  });
+  
+  // Learned from past entries: each shared word votes for the areas it was labeled with
+  words.forEach(word => {
+    const counts = index.areas[word];
+    if (!counts) return;
+    const total = index.words[word];
+    Object.entries(counts).forEach(([area, count]) => addAreaScore(area, AREA_LEARNED_WEIGHT * count / total));
+  });
+  
+  const ranked = Object.entries(areaScores).sort((a, b) => b[1] - a[1]);
+  let suggestedArea = { area: 'Misc', confidence: 0 };
+  if (ranked.length > 0) {
+    const [area, top] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    // Share of the evidence, scaled down when there is little of it
+    const confidence = (top / total) * Math.min(1, top / 3);
+    suggestedArea = { area, confidence: Math.round(confidence * 100) / 100 };
   }
   
-  // If we have 3 or fewer sentences, return them all
-  if (sentences.length <= 3) {
-    return sentences;
+  // Tags: preset rules, hashtags, then tags learned from past entries
+  const tagScores = {};
+  Object.entries(TAG_RULES).forEach(([tag, pattern]) => {
+    if (pattern.test(text)) tagScores[tag] = (tagScores[tag] || 0) + 1;
+  });
+  if (blockers.length > 0) {
+    tagScores.blocker = (tagScores.blocker || 0) + 1;
   }
+  hashtags.forEach(tag => {
+    tagScores[tag] = (tagScores[tag] || 0) + 2;
+  });
+  words.forEach(word => {
+    const counts = index.tags[word];
+    if (!counts) return;
+    const total = index.words[word];
+    Object.entries(counts).forEach(([tag, count]) => {
+      tagScores[tag] = (tagScores[tag] || 0) + count / total;
+    });
+  });
   
-  // If we have more, pick the 2-3 shortest sentences (they're often most concise)
-  const sortedByLength = [...sentences].sort((a, b) => a.length - b.length);
-  const selected = sortedByLength.slice(0, 3);
+  const suggestedTags = Object.entries(tagScores)
+    .filter(([, score]) => score >= LEARNED_TAG_THRESHOLD)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SUGGESTED_TAGS)
+    .map(([tag]) => tag);
   
-  // Return in original order
-  return sentences.filter(s => selected.includes(s)).slice(0, 3);
+  return { suggestedArea, suggestedTags };
 }
 
+// How far back history-based rules look
+const HISTORY_WINDOW_DAYS = 7;
+const FOLLOW_UP_WINDOW_DAYS = 2;
+const STALE_AREA_DAYS = 7;
+const STREAK_MIN_LENGTH = 3;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 /**
- * Suggests a next step based on sentiment.
+ * Counts whole calendar days between two dates (local time).
  * 
- * @param {string} sentimentLabel - 'Positive', 'Neutral', or 'Negative'
- * @returns {string} Suggested next step
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} Days from `from` to `to`
  */
-function suggestNextStep(sentimentLabel) {
+function daysBetween(from, to) {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((end - start) / MS_PER_DAY);
+}
+
+/**
+ * Parses a YYYY-MM-DD date as local midnight.
+ * 
+ * @param {string} value - Calendar date
+ * @returns {Date} Local date
+ */
+function parseLocalDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Formats a number as an ordinal ("1st", "2nd", "3rd", "4th").
+ * 
+ * @param {number} n - Number to format
+ * @returns {string} Ordinal
+ */
+function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = n % 100;
+  return `${n}${(lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+}
+
+/**
+ * Describes a past or current due date relative to today ("today", "yesterday", "on Mon").
+ * 
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {Date} now - Reference date
+ * @returns {string} Relative description
+ */
+function describeDueDate(dueDate, now) {
+  const due = parseLocalDate(dueDate);
+  const days = daysBetween(due, now);
+  if (days === 0) return 'today';
+  if (days === 1) return 'yesterday';
+  const weekday = WEEKDAYS[due.getDay()];
+  return `on ${weekday.charAt(0).toUpperCase()}${weekday.slice(1, 3)}`;
+}
+
+/**
+ * Checks whether an entry reports a blocker (tagged, or a blocker sentence in
+ * the text). The text is only scanned when the entry has no stored `blocked`
+ * flag from its analysis.
+ * 
+ * @param {Object} entry - Entry as { text, tags, blocked? }
+ * @returns {boolean} True if the entry looks blocked
+ */
+function isBlockerEntry(entry) {
+  if ((entry.tags || []).includes('blocker')) {
+    return true;
+  }
+  if (typeof entry.blocked === 'boolean') {
+    return entry.blocked;
+  }
+  const text = entry.text || '';
+  return findBlockers(text, languages.detectLanguage(text).language).length > 0;
+}
+
+/**
+ * Formats an action item as a next step ("Do 3x400m intervals (tomorrow)").
+ * 
+ * @param {Object} item - Action item
+ * @returns {string} Next step text
+ */
+function formatActionItem(item) {
+  const action = item.text.charAt(0).toUpperCase() + item.text.slice(1);
+  return item.dueHint && !item.text.toLowerCase().includes(item.dueHint)
+    ? `${action} (${item.dueHint})`
+    : action;
+}
+
+/**
+ * Suggests next steps from the update and the user's recent history. Rules
+ * run in priority order and every suggestion names the rule that produced it:
+ * 
+ * - follow-up: an earlier entry promised something due by now ("did you?")
+ * - repeated-blocker: several blockers in this area within the last week
+ * - negative-streak / positive-streak: same sentiment several times in a row
+ * - action-item: the soonest plan extracted from this update
+ * - stale-area: another area with no update for a week or more
+ * - sentiment: generic fallback based on sentiment
+ * 
+ * @param {Object} context - { text, area, tags, sentimentLabel, actionItems,
+ *   blocked, history, now } where blocked tells whether this update reports a
+ *   blocker and history holds past entries as { text, area, tags, timestamp,
+ *   sentimentLabel, actionItems, blocked }
+ * @returns {Array<Object>} Suggestions as { text, rule }, best first
+ */
+function suggestNextSteps(context) {
+  const {
+    text = '',
+    area = 'Misc',
+    tags = [],
+    sentimentLabel,
+    actionItems = [],
+    blocked,
+    history = [],
+    now = new Date()
+  } = context;
+  const suggestions = [];
+  
+  // Oldest to newest, ignoring entries without a usable timestamp or dated after now
+  const pastEntries = history
+    .map(entry => ({ ...entry, date: new Date(entry.timestamp) }))
+    .filter(entry => !isNaN(entry.date) && entry.date <= now)
+    .sort((a, b) => a.date - b.date);
+  const areaEntries = pastEntries.filter(entry => (entry.area || 'Misc') === area);
+  const currentWords = new Set(contentWords(text));
+  
+  // follow-up: "you said you'd do X yesterday — did you?"
+  pastEntries.forEach(entry => {
+    (entry.actionItems || []).forEach(item => {
+      if (!item.dueDate || !item.text) return;
+      const overdueDays = daysBetween(parseLocalDate(item.dueDate), now);
+      if (overdueDays < 0 || overdueDays > FOLLOW_UP_WINDOW_DAYS) return;
+      
+      // Skip if this update already talks about it
+      const itemWords = contentWords(item.text);
+      const mentioned = itemWords.filter(word => currentWords.has(word)).length;
+      if (itemWords.length > 0 && mentioned / itemWords.length >= 0.5) return;
+      
+      suggestions.push({
+        text: `You said you'd ${item.text} ${describeDueDate(item.dueDate, now)} — did you?`,
+        rule: 'follow-up'
+      });
+    });
+  });
+  
+  // repeated-blocker: "3rd blocker on Coding / Projects this week — break the task down"
+  if (isBlockerEntry({ text, tags, blocked })) {
+    const recentBlockers = areaEntries.filter(entry =>
+      daysBetween(entry.date, now) < HISTORY_WINDOW_DAYS && isBlockerEntry(entry)
+    ).length;
+    if (recentBlockers >= 1) {
+      suggestions.push({
+        text: `${ordinal(recentBlockers + 1)} blocker on ${area} this week — break the task down into something you can finish in 30 minutes`,
+        rule: 'repeated-blocker'
+      });
+    }
+  }
+  
+  // negative-streak / positive-streak: same sentiment several updates in a row in this area
+  if (sentimentLabel === 'Negative' || sentimentLabel === 'Positive') {
+    let streak = 1;
+    for (let i = areaEntries.length - 1; i >= 0 && areaEntries[i].sentimentLabel === sentimentLabel; i--) {
+      streak++;
+    }
+    if (streak >= STREAK_MIN_LENGTH && sentimentLabel === 'Negative') {
+      suggestions.push({
+        text: `${ordinal(streak)} Negative ${area} update in a row — scale the goal down or change the approach`,
+        rule: 'negative-streak'
+      });
+    } else if (streak >= STREAK_MIN_LENGTH) {
+      suggestions.push({
+        text: `${streak} Positive ${area} updates in a row — keep the streak going`,
+        rule: 'positive-streak'
+      });
+    }
+  }
+  
+  // action-item: soonest due item first; undated items keep their order after dated ones
+  if (actionItems.length > 0) {
+    const [next] = [...actionItems].sort((a, b) => {
+      if (a.dueDate && b.dueDate) return a.dueDate.localeCompare(b.dueDate);
+      if (a.dueDate) return -1;
+      if (b.dueDate) return 1;
+      return 0;
+    });
+    suggestions.push({ text: formatActionItem(next), rule: 'action-item' });
+  }
+  
+  // stale-area: the other area that has gone quiet the longest
+  const lastUpdateByArea = {};
+  pastEntries.forEach(entry => {
+    lastUpdateByArea[entry.area || 'Misc'] = entry.date;
+  });
+  const stalest = Object.entries(lastUpdateByArea)
+    .filter(([name]) => name !== area && name !== 'Misc')
+    .map(([name, date]) => ({ name, days: daysBetween(date, now) }))
+    .filter(item => item.days >= STALE_AREA_DAYS)
+    .sort((a, b) => b.days - a.days)[0];
+  if (stalest) {
+    suggestions.push({
+      text: `No ${stalest.name} update for ${stalest.days} days — log a quick check-in`,
+      rule: 'stale-area'
+    });
+  }
+  
+  // sentiment: generic fallback
   switch (sentimentLabel) {
     case 'Positive':
-      return 'Reinforce this positive habit';
+      suggestions.push({ text: 'Reinforce this positive habit', rule: 'sentiment' });
+      break;
     case 'Negative':
-      return 'Pick one small task to move forward';
+      suggestions.push({ text: 'Pick one small task to move forward', rule: 'sentiment' });
+      break;
     case 'Neutral':
     default:
-      return 'Define your next concrete action';
+      suggestions.push({ text: 'Define your next concrete action', rule: 'sentiment' });
   }
+  
+  return suggestions;
 }
 
 module.exports = {
-  analyzeText
+  analyzeText,
+  suggestAreaAndTags,
+  extractHashtags,
+  matchAreaName,
+  AREAS
 };
 
@@ -0,0 +1,98 @@
+/**
+ * Goal Update Analyzer - Blocker Words
+ * 
+ * Cue phrases that mark a sentence as a blocker ("stuck on", "waiting on",
+ * "no time") and the keywords used to put each blocker into a category.
+ * Both are listed per language like the lexicon and matched as whole words.
+ */
+
+// Phrases that report a blocker. A weight of 0 marks look-alikes that are not
+// blockers ("can't wait"); the longest phrase wins, so they cancel the cue.
+const BLOCKER_CUES = {
+  en: {
+    'blocked': 1, 'blocker': 1, 'blocking': 1, 'stuck': 1, 'held up': 1,
+    'can\'t': 1, 'cannot': 1, 'couldn\'t': 1, 'unable to': 1,
+    'waiting on': 1, 'waiting for': 1, 'still waiting': 1,
+    'no time': 1, 'not enough time': 1, 'ran out of time': 1, 'out of time': 1,
+    'didn\'t have time': 1, 'don\'t have time': 1, 'no energy': 1, 'too tired': 1,
+    'no idea how': 1, 'don\'t know how': 1, 'struggling with': 1,
+    'no motivation': 1, 'unmotivated': 1, 'procrastinating': 1, 'don\'t feel like': 1,
+    'didn\'t feel like': 1,
+    'can\'t wait': 0, 'cannot wait': 0, 'can\'t believe': 0, 'couldn\'t be happier': 0,
+    'couldn\'t stop': 0
+  },
+  es: {
+    'bloqueado': 1, 'bloqueada': 1, 'atascado': 1, 'atascada': 1, 'estancado': 1,
+    'estancada': 1, 'no puedo': 1, 'no pude': 1, 'esperando': 1, 'sin tiempo': 1,
+    'no tengo tiempo': 1, 'no tuve tiempo': 1, 'no sé cómo': 1, 'sin energía': 1,
+    'no puedo esperar': 0, 'no puedo creer': 0
+  },
+  de: {
+    'blockiert': 1, 'festgefahren': 1, 'hänge fest': 1, 'stecke fest': 1,
+    'komme nicht weiter': 1, 'kann nicht': 1, 'konnte nicht': 1, 'warte auf': 1,
+    'keine zeit': 1, 'weiß nicht wie': 1, 'keine energie': 1,
+    'kann es kaum erwarten': 0
+  }
+};
+
+// Blocker categories, checked in this order when keywords tie. Blockers with
+// no category keyword are 'other'.
+const BLOCKER_CATEGORIES = {
+  time: {
+    en: [
+      'time', 'busy', 'schedule', 'deadline', 'deadlines', 'hours', 'late', 'overtime',
+      'meetings', 'travel', 'traveling', 'travelling', 'weekend', 'commute'
+    ],
+    es: ['tiempo', 'ocupado', 'ocupada', 'horario', 'plazo', 'horas', 'reuniones', 'viaje'],
+    de: ['zeit', 'beschäftigt', 'termin', 'termine', 'frist', 'stunden', 'meetings', 'reise']
+  },
+  energy: {
+    en: [
+      'tired', 'exhausted', 'energy', 'sick', 'ill', 'injured', 'injury', 'pain',
+      'sore', 'sleep', 'slept', 'headache', 'flu', 'fever', 'fatigue', 'burned out',
+      'burnt out', 'knee', 'back pain'
+    ],
+    es: ['cansado', 'cansada', 'agotado', 'agotada', 'energía', 'enfermo', 'enferma', 'lesión', 'dolor', 'dormir', 'gripe'],
+    de: ['müde', 'erschöpft', 'energie', 'krank', 'verletzt', 'verletzung', 'schmerzen', 'schlaf', 'grippe']
+  },
+  dependency: {
+    en: [
+      'waiting', 'review', 'approval', 'approve', 'reply', 'response', 'feedback',
+      'client', 'team', 'colleague', 'manager', 'vendor', 'someone', 'coach',
+      'partner', 'hear back'
+    ],
+    es: ['esperando', 'revisión', 'aprobación', 'respuesta', 'cliente', 'equipo', 'compañero', 'jefe', 'alguien'],
+    de: ['warte', 'warten', 'review', 'freigabe', 'antwort', 'rückmeldung', 'kunde', 'team', 'kollege', 'chef', 'jemand']
+  },
+  knowledge: {
+    en: [
+      'know how', 'no idea', 'understand', 'figure out', 'confused', 'confusing',
+      'learn', 'unclear', 'documentation', 'docs', 'concept', 'how to', 'algorithm',
+      'algorithms', 'theory'
+    ],
+    es: ['sé cómo', 'idea', 'entender', 'entiendo', 'confundido', 'confundida', 'aprender', 'documentación'],
+    de: ['weiß nicht', 'verstehe', 'verstehen', 'verwirrt', 'lernen', 'unklar', 'dokumentation']
+  },
+  motivation: {
+    en: [
+      'motivation', 'motivated', 'unmotivated', 'procrastinating', 'procrastination',
+      'bored', 'boring', 'lazy', 'feel like', 'distracted', 'interest', 'willpower'
+    ],
+    es: ['motivación', 'motivado', 'motivada', 'desmotivado', 'desmotivada', 'procrastinando', 'aburrido', 'aburrida', 'ganas'],
+    de: ['motivation', 'motiviert', 'unmotiviert', 'prokrastiniere', 'gelangweilt', 'lust', 'abgelenkt']
+  },
+  tooling: {
+    en: [
+      'bug', 'bugs', 'crash', 'crashed', 'crashing', 'broken', 'build', 'install',
+      'setup', 'laptop', 'computer', 'internet', 'wifi', 'tool', 'tools', 'software',
+      'server', 'error', 'errors', 'ci', 'equipment', 'gear', 'app', 'config'
+    ],
+    es: ['error', 'errores', 'fallo', 'roto', 'rota', 'instalación', 'portátil', 'ordenador', 'internet', 'herramienta'],
+    de: ['fehler', 'bug', 'absturz', 'kaputt', 'installation', 'laptop', 'rechner', 'internet', 'werkzeug', 'tool', 'ausrüstung']
+  }
+};
+
+module.exports = {
+  BLOCKER_CUES,
+  BLOCKER_CATEGORIES
+};
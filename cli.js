@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * Goal Update Analyzer - Command Line
+ * 
+ * Analyzes and logs updates from the terminal and scripts. Works on the local
+ * store (data/entries.json, or DATA_DIR) by default, or against a running
+ * server with --server http://localhost:3000 (or GOAL_UPDATE_SERVER).
+ * 
+ *   goal-update analyze "Ran 10k today, felt great"
+ *   cat notes.md | goal-update log --area Running --tags pb,weekly
+ *   goal-update list --status inbox --area Running --json
+ *   goal-update status 1718000000000 processed
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { version } = require('./package.json');
+
+const USAGE = `Usage: goal-update <command> [options]
+
+Commands:
+  analyze [text]           Analyze an update without saving it
+  log [text]               Analyze an update and save it
+  list                     List saved updates, newest first
+  status <id> <status>     Set an update's status (inbox, processed, archived)
+
+Text comes from the arguments, from --file, or from stdin ("-" or piped in).
+
+Options:
+  -f, --file <path>        Read the update from a file (repeat for several updates)
+  -a, --area <area>        Area for log, or filter for list (e.g. "Running")
+  -t, --tags <a,b>         Tags for log, or filter for list (all must match)
+  -l, --language <code>    Language of the text (en, es, de; detected by default)
+      --status <status>    Filter for list: inbox, processed, archived or all (default all)
+      --from <date>        Filter for list: on or after this day (YYYY-MM-DD)
+      --to <date>          Filter for list: on or before this day (YYYY-MM-DD)
+  -n, --limit <n>          Number of updates to list (default 20)
+      --json               Print JSON instead of a summary
+  -s, --server <url>       Use a running server instead of the local store
+                           (default: GOAL_UPDATE_SERVER, if set)
+  -h, --help               Show this help
+  -v, --version            Show the version`;
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f', multiple: true },
+  area: { type: 'string', short: 'a' },
+  tags: { type: 'string', short: 't' },
+  language: { type: 'string', short: 'l' },
+  status: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  json: { type: 'boolean' },
+  server: { type: 'string', short: 's' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+// Same limits as the server
+const MAX_LENGTH = 5000;
+const MAX_HISTORY = 500;
+const DEFAULT_LIST_LIMIT = 20;
+
+/**
+ * Error for bad command-line input; printed with the usage hint and exit code 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Reads all of stdin.
+ * 
+ * @returns {Promise<string>} Text from stdin
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Collects the updates to analyze or log: the text arguments, each --file,
+ * or stdin.
+ * 
+ * @param {string[]} words - Positional arguments after the command
+ * @param {string[]} [files] - Paths given with --file
+ * @returns {Promise<Array<Object>>} Updates as { source, text }
+ * @throws {UsageError} If there is no text, or a text is empty or too long
+ */
+async function readUpdates(words, files = []) {
+  const updates = files.map(file => {
+    try {
+      return { source: file, text: fs.readFileSync(file, 'utf8') };
+    } catch (error) {
+      throw new UsageError(`Cannot read ${file}: ${error.message}`);
+    }
+  });
+  
+  if (words.length === 1 && words[0] === '-') {
+    updates.push({ source: 'stdin', text: await readStdin() });
+  } else if (words.length > 0) {
+    updates.push({ source: 'argument', text: words.join(' ') });
+  } else if (updates.length === 0 && !process.stdin.isTTY) {
+    updates.push({ source: 'stdin', text: await readStdin() });
+  }
+  
+  if (updates.length === 0) {
+    throw new UsageError('No text given (pass it as an argument, with --file, or on stdin)');
+  }
+  updates.forEach(update => {
+    update.text = update.text.trim();
+    if (!update.text) {
+      throw new UsageError(`The text from ${update.source} is empty`);
+    }
+    if (update.text.length > MAX_LENGTH) {
+      throw new UsageError(`The text from ${update.source} is longer than ${MAX_LENGTH} characters`);
+    }
+  });
+  return updates;
+}
+
+/**
+ * Splits a comma-separated tag list.
+ * 
+ * @param {string} [value] - Value of --tags
+ * @returns {string[]|undefined} Tags, or undefined if not given
+ */
+function parseTagList(value) {
+  return value === undefined ? undefined : value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Store backed by the local data files (the same ones the server uses).
+ * Required lazily so talking to a server never touches the data directory.
+ * 
+ * @returns {Object} { analyze, create, list, setStatus }
+ */
+function localStore() {
+  const entries = require('./entries');
+  const providers = require('./providers');
+  const languages = require('./languages');
+  
+  const check = fields => {
+    const problem = entries.validateEntryFields(fields);
+    if (problem) throw new UsageError(problem);
+  };
+  
+  return {
+    async analyze(text, { language, area, tags }) {
+      if (language !== undefined && !languages.isSupportedLanguage(language)) {
+        throw new UsageError(`Language must be one of: ${languages.listLanguages().join(', ')}`);
+      }
+      check({ area, tags });
+      return providers.analyze(text, { language, area, tags, history: entries.getHistory(MAX_HISTORY) });
+    },
+    
+    async create(text, options) {
+      const analysis = await this.analyze(text, options);
+      return entries.createEntry({ text, analysis, area: options.area, tags: options.tags });
+    },
+    
+    async list(filters) {
+      if (filters.status !== 'all') check({ status: filters.status });
+      if (filters.area !== undefined) check({ area: filters.area });
+      const parsed = { ...filters };
+      for (const name of ['from', 'to']) {
+        if (filters[name] === undefined) continue;
+        parsed[name] = entries.parseDateFilter(filters[name], name === 'to');
+        if (!parsed[name]) throw new UsageError(`--${name} must be a date (YYYY-MM-DD)`);
+      }
+      return entries.listEntries(parsed);
+    },
+    
+    async setStatus(id, status) {
+      check({ status });
+      const entry = entries.updateEntry(id, { status });
+      if (!entry) throw new Error(`No entry with id ${id}`);
+      return entry;
+    }
+  };
+}
+
+/**
+ * Store backed by a running server's HTTP API.
+ * 
+ * @param {string} baseUrl - Server URL, e.g. http://localhost:3000
+ * @returns {Object} { analyze, create, list, setStatus }
+ */
+function serverStore(baseUrl) {
+  const request = async (path, options = {}) => {
+    let response;
+    try {
+      response = await fetch(new URL(path, baseUrl), {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      throw new Error(`Cannot reach the server at ${baseUrl} (${error.cause ? error.cause.code || error.cause.message : error.message})`);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.message || `Server responded with ${response.status}`);
+    }
+    return body;
+  };
+  
+  return {
+    analyze(text, { language, area, tags }) {
+      return request('/analyze', { method: 'POST', body: JSON.stringify({ text, language, area, tags }) });
+    },
+    
+    create(text, { language, area, tags }) {
+      return request('/entries', { method: 'POST', body: JSON.stringify({ text, language, area, tags }) });
+    },
+    
+    list(filters) {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value !== undefined) params.set(name, Array.isArray(value) ? value.join(',') : value);
+      });
+      return request(`/entries?${params}`);
+    },
+    
+    setStatus(id, status) {
+      return request(`/entries/${id}`, { method: 'PATCH', body: JSON.stringify({ status }) });
+    }
+  };
+}
+
+/**
+ * Formats an analysis as a short human-readable report.
+ * 
+ * @param {Object} analysis - Analysis from the analyzer
+ * @returns {string} Report
+ */
+function formatAnalysis(analysis) {
+  const lines = [];
+  const list = (title, items) => {
+    if (items.length === 0) return;
+    lines.push(`${title}:`, ...items.map(item => `  • ${item}`));
+  };
+  
+  const confidence = typeof analysis.confidence === 'number' ? `, confidence ${analysis.confidence.toFixed(2)}` : '';
+  lines.push(`Sentiment: ${analysis.sentimentLabel} (${Number(analysis.sentimentScore || 0).toFixed(2)}${confidence})`);
+  list('Summary', analysis.summaryBullets || []);
+  
+  const moods = Object.entries(analysis.mood || {})
+    .filter(([, dimension]) => dimension.label)
+    .map(([name, dimension]) => `${name} ${dimension.label}`);
+  if (moods.length > 0) lines.push(`Mood: ${moods.join(' · ')}`);
+  
+  const metrics = (analysis.metrics || []).map(metric => metric.raw);
+  if (metrics.length > 0) lines.push(`Metrics: ${metrics.join(', ')}`);
+  
+  list('Action items', (analysis.actionItems || []).map(item => item.dueHint ? `${item.text} (${item.dueHint})` : item.text));
+  list('Blockers', (analysis.blockers || []).map(blocker => `[${blocker.category}] ${blocker.text}`));
+  
+  const suggestions = [];
+  if (analysis.suggestedArea && analysis.suggestedArea.confidence > 0) suggestions.push(`area ${analysis.suggestedArea.area}`);
+  if (analysis.suggestedTags && analysis.suggestedTags.length > 0) suggestions.push(`tags ${analysis.suggestedTags.join(', ')}`);
+  if (suggestions.length > 0) lines.push(`Suggested: ${suggestions.join(' · ')}`);
+  
+  if (analysis.nextStep) lines.push(`Next step: ${analysis.nextStep}`);
+  return lines.join('\n');
+}
+
+/**
+ * Formats an entry as one line of a listing.
+ * 
+ * @param {Object} entry - Saved entry
+ * @returns {string} Line with ID, date, status, area, sentiment and the start of the text
+ */
+function formatEntryLine(entry) {
+  const date = new Date(entry.timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  const when = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const sentiment = entry.analysis ? entry.analysis.sentimentLabel : 'Pending';
+  const text = entry.text.replace(/\s+/g, ' ');
+  const preview = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  const tags = (entry.tags || []).length > 0 ? ` ${entry.tags.map(tag => `#${tag}`).join(' ')}` : '';
+  return `${entry.id}  ${when}  ${(entry.status || 'inbox').padEnd(9)}  ${(entry.area || 'Misc').padEnd(21)}  ${sentiment.padEnd(8)}  ${preview}${tags}`;
+}
+
+/**
+ * Prints a result as JSON or through a formatter.
+ * 
+ * @param {*} value - Result
+ * @param {boolean} json - Print JSON
+ * @param {Function} format - Formatter for the human-readable output
+ */
+function print(value, json, format) {
+  console.log(json ? JSON.stringify(value, null, 2) : format(value));
+}
+
+/**
+ * Runs the command line.
+ * 
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  
+  if (values.version) {
+    console.log(version);
+    return;
+  }
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  
+  const serverUrl = values.server || process.env.GOAL_UPDATE_SERVER;
+  const store = serverUrl ? serverStore(serverUrl) : localStore();
+  const options = { area: values.area, tags: parseTagList(values.tags), language: values.language };
+  
+  switch (command) {
+    case 'analyze': {
+      const updates = await readUpdates(rest, values.file);
+      const results = [];
+      for (const update of updates) {
+        results.push({ source: update.source, analysis: await store.analyze(update.text, options) });
+      }
+      if (values.json) {
+        print(updates.length === 1 ? results[0].analysis : results, true);
+      } else {
+        console.log(results.map(result =>
+          `${updates.length > 1 ? `== ${result.source}\n` : ''}${formatAnalysis(result.analysis)}`).join('\n\n'));
+      }
+      return;
+    }
+    
+    case 'log': {
+      const updates = await readUpdates(rest, values.file);
+      const saved = [];
+      for (const update of updates) {
+        saved.push(await store.create(update.text, options));
+      }
+      if (values.json) {
+        print(saved.length === 1 ? saved[0] : saved, true);
+      } else {
+        console.log(saved.map(entry =>
+          `Saved entry ${entry.id} (${entry.area}${entry.tags.length > 0 ? `, ${entry.tags.map(tag => `#${tag}`).join(' ')}` : ''})\n${formatAnalysis(entry.analysis)}`).join('\n\n'));
+      }
+      return;
+    }
+    
+    case 'list': {
+      if (rest.length > 0) throw new UsageError('list takes no arguments (use --status, --area, --tags, --from, --to)');
+      const limit = values.limit === undefined ? DEFAULT_LIST_LIMIT : Number(values.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        throw new UsageError('--limit must be a whole number between 1 and 500');
+      }
+      const page = await store.list({
+        status: values.status || 'all',
+        area: values.area,
+        tags: options.tags,
+        from: values.from,
+        to: values.to,
+        limit
+      });
+      print(page, values.json, result => result.entries.length === 0
+        ? 'No updates found.'
+        : [...result.entries.map(formatEntryLine), `Showing ${result.entries.length} of ${result.total}`].join('\n'));
+      return;
+    }
+    
+    case 'status': {
+      const [id, status] = rest;
+      if (rest.length !== 2 || !/^\d+$/.test(id)) {
+        throw new UsageError('Usage: goal-update status <id> <inbox|processed|archived>');
+      }
+      const entry = await store.setStatus(Number(id), status);
+      print(entry, values.json, updated => `Entry ${updated.id} is now ${updated.status}`);
+      return;
+    }
+    
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  const usage = error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+    error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL';
+  console.error(`goal-update: ${error.message}`);
+  if (usage) {
+    console.error('Run "goal-update --help" for usage.');
+  }
+  process.exitCode = usage ? 2 : 1;
+});
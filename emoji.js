@@ -0,0 +1,143 @@
+/**
+ * Goal Update Analyzer - Emoji and Emoticon Sentiment
+ * 
+ * Sentiment weights for Unicode emoji and ASCII emoticons. Emoji are matched
+ * per grapheme cluster, so skin-tone variants ("👍🏽") and ZWJ sequences
+ * ("🤦‍♂️") count once and score like their base emoji.
+ */
+
+// Emoji weights, grouped by strength. Keys are base emoji without
+// variation selectors or skin tones.
+const EMOJI_WEIGHTS = {
+  // Strongly positive
+  ...weighAll(['😍', '🥰', '🤩', '🥳', '🎉', '🎊', '🏆', '🥇', '💯', '🙌', '❤', '💪'], 1.5),
+  
+  // Positive
+  ...weighAll([
+    '😀', '😃', '😄', '😁', '😆', '😊', '🙂', '😌', '😎', '🤗', '😇', '☺', '😋',
+    '👍', '👏', '✅', '✔', '☑', '⭐', '🌟', '✨', '🔥', '🚀', '🎯', '🏅', '🥈', '🥉',
+    '💚', '💙', '💜', '🧡', '💛', '🤍', '💖', '💗', '🙏', '😂', '🤣', '😅', '👌', '✌',
+    '🤞', '🌈', '☀', '🍀', '📈'
+  ], 1),
+  
+  // Mildly negative ("meh")
+  ...weighAll(['😐', '😑', '🤷', '🫤'], -0.5),
+  
+  // Negative
+  ...weighAll([
+    '🙁', '☹', '😞', '😔', '😟', '😕', '😢', '😥', '😓', '😩', '😫', '😖', '😣',
+    '😒', '🥺', '😰', '😨', '😪', '🥱', '😴', '🤒', '🤕', '🤢', '🤦',
+    '👎', '❌', '✖', '⚠', '🚫', '⛔', '📉', '🐌', '🌧', '💤', '🥵', '🥶'
+  ], -1),
+  
+  // Strongly negative
+  ...weighAll(['😭', '😡', '😠', '🤬', '😤', '💔', '😱', '😵', '🤮', '💀', '☠'], -1.5)
+};
+
+// ASCII emoticons (case-sensitive: ":D" is a grin, ":d" isn't)
+const EMOTICON_WEIGHTS = {
+  ...weighAll([
+    ':)', ':-)', ':]', '=)', '(:', ';)', ';-)', ':P', ':-P', ':p', ':-p',
+    '^^', '^_^', '^.^', ':3', '<3'
+  ], 1),
+  ...weighAll([':D', ':-D', 'xD', 'XD', '=D'], 1.5),
+  ...weighAll([
+    ':(', ':-(', ':[', '=(', '):', ':/', ':-/', ':\\', ':S', ':s',
+    '-_-', '-.-', 'D:', '>_<', '</3'
+  ], -1),
+  ...weighAll([':|', ':-|'], -0.5),
+  ...weighAll([':\'(', ':\'-(', 'T_T', 'T.T', ';_;', '>:(', '>:-('], -1.5)
+};
+
+// Skin tones (U+1F3FB-U+1F3FF) and variation selectors don't change sentiment
+const MODIFIER_PATTERN = /[\u{1F3FB}-\u{1F3FF}\uFE0E\uFE0F]/gu;
+const ZERO_WIDTH_JOINER = '\u200D';
+const PICTOGRAPHIC_PATTERN = /\p{Extended_Pictographic}/u;
+
+// Emoticons only count when not glued to a word, so "https://" is not ":/",
+// "ID:" is not "D:" and "10:30" is not ":3"
+const EMOTICON_PATTERN = new RegExp(
+  '(?<![\\w/])(?:' +
+  Object.keys(EMOTICON_WEIGHTS)
+    .sort((a, b) => b.length - a.length)
+    .map(emoticon => emoticon.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('|') +
+  ')(?![\\w/])',
+  'g'
+);
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Maps a list of symbols to the same weight.
+ * 
+ * @param {string[]} symbols - Emoji or emoticons
+ * @param {number} weight - Weight for each
+ * @returns {Object} Map of symbol to weight
+ */
+function weighAll(symbols, weight) {
+  return Object.fromEntries(symbols.map(symbol => [symbol, weight]));
+}
+
+/**
+ * Looks up the weight of one emoji grapheme. Skin tones and variation
+ * selectors are ignored; unknown ZWJ sequences ("🤦‍♂️", "🏃‍♀️") fall back to
+ * their first emoji.
+ * 
+ * @param {string} grapheme - Single grapheme cluster
+ * @returns {number|null} Weight, or null if the emoji carries no sentiment
+ */
+function emojiWeight(grapheme) {
+  const base = grapheme.replace(MODIFIER_PATTERN, '');
+  if (EMOJI_WEIGHTS[base] !== undefined) {
+    return EMOJI_WEIGHTS[base];
+  }
+  
+  const [first] = base.split(ZERO_WIDTH_JOINER);
+  return EMOJI_WEIGHTS[first] !== undefined ? EMOJI_WEIGHTS[first] : null;
+}
+
+/**
+ * Finds emoji and emoticons that carry sentiment.
+ * 
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} Hits as { term, rule, weight, start, end } where rule is
+ *   'positive-emoji', 'negative-emoji', 'positive-emoticon' or 'negative-emoticon'
+ */
+function findEmojiHits(text) {
+  const hits = [];
+  
+  for (const { segment, index } of segmenter.segment(text)) {
+    if (!PICTOGRAPHIC_PATTERN.test(segment)) continue;
+    
+    const weight = emojiWeight(segment);
+    if (weight === null) continue;
+    
+    hits.push({
+      term: segment,
+      rule: weight > 0 ? 'positive-emoji' : 'negative-emoji',
+      weight,
+      start: index,
+      end: index + segment.length
+    });
+  }
+  
+  let match;
+  EMOTICON_PATTERN.lastIndex = 0;
+  while ((match = EMOTICON_PATTERN.exec(text)) !== null) {
+    const weight = EMOTICON_WEIGHTS[match[0]];
+    hits.push({
+      term: match[0],
+      rule: weight > 0 ? 'positive-emoticon' : 'negative-emoticon',
+      weight,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  findEmojiHits
+};
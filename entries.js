@@ -0,0 +1,479 @@
+/**
+ * Goal Update Analyzer - Entry Storage
+ * 
+ * Keeps saved updates in a JSON file (data/entries.json by default) next to
+ * the lexicon. The whole file is loaded once and rewritten on every change,
+ * which is plenty for a personal log. Entries are returned newest first.
+ * 
+ * Each entry remembers when its editable fields last changed, so changes
+ * queued by an offline client can be merged field by field: the most
+ * recent change to a field wins, whenever it arrives.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./lexicon');
+const { AREAS } = require('./analyzer');
+const { BLOCKER_CATEGORIES } = require('./blockers');
+
+const ENTRIES_FILE = path.join(DATA_DIR, 'entries.json');
+
+// Bump when the file layout changes so older files can be migrated on load
+const SCHEMA_VERSION = 1;
+
+const STATUSES = ['inbox', 'processed', 'archived'];
+
+// Page size for listEntries when none (or too large a one) is requested
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Fields whose last change time is tracked for last-write-wins merging
+const TRACKED_FIELDS = ['text', 'area', 'tags', 'status'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Values a stored analysis may use (the app turns them into CSS classes)
+const SENTIMENT_LABELS = ['Positive', 'Neutral', 'Negative'];
+const BLOCKER_CATEGORY_NAMES = [...Object.keys(BLOCKER_CATEGORIES), 'other'];
+
+// Lists in a stored analysis, with the check each item must pass to be rendered
+const ANALYSIS_LISTS = {
+  summaryDetails: item => typeof item.text === 'string' && isStringList(item.reasons),
+  evidence: item => Number.isInteger(item.start) && Number.isInteger(item.end) && typeof item.weight === 'number',
+  sentences: item => typeof item.text === 'string' && SENTIMENT_LABELS.includes(item.label),
+  metrics: item => typeof item.value === 'number' && typeof item.unit === 'string',
+  actionItems: item => typeof item.text === 'string',
+  tasks: item => typeof item.text === 'string',
+  blockers: item => typeof item.text === 'string' && BLOCKER_CATEGORY_NAMES.includes(item.category),
+  nextSteps: item => typeof item.text === 'string'
+};
+
+// In-memory copy of the stored entries (loaded lazily) and the file's
+// modification time when it was read or written
+let current = null;
+let currentMtime = null;
+
+/**
+ * Normalizes tags for storage (trimmed, lowercase, no duplicates or empties).
+ * 
+ * @param {string[]} tags - Tags as entered
+ * @returns {string[]} Normalized tags
+ */
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is an array of strings.
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for string arrays
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validates an analysis sent by a client (saved from /analyze, or migrated from
+ * an older version of the app). The app renders these fields into the page,
+ * so labels and categories must be known values and texts must be strings.
+ * Older analyses only have summaryBullets, sentimentLabel and nextStep; other
+ * fields are checked when present, and unknown ones are kept as they are.
+ * 
+ * @param {Object} analysis - Analysis to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAnalysis(analysis) {
+  if (!isPlainObject(analysis)) {
+    return 'Analysis must be an object';
+  }
+  if (!SENTIMENT_LABELS.includes(analysis.sentimentLabel)) {
+    return `Analysis sentimentLabel must be one of: ${SENTIMENT_LABELS.join(', ')}`;
+  }
+  if (!isStringList(analysis.summaryBullets)) {
+    return 'Analysis summaryBullets must be an array of strings';
+  }
+  if (typeof analysis.nextStep !== 'string') {
+    return 'Analysis nextStep must be a string';
+  }
+  
+  const badNumber = ['sentimentScore', 'confidence'].find(field =>
+    analysis[field] !== undefined && !Number.isFinite(analysis[field])
+  );
+  if (badNumber) {
+    return `Analysis ${badNumber} must be a number`;
+  }
+  const badStrings = ['suggestedTags', 'heuristicFields'].find(field =>
+    analysis[field] !== undefined && !isStringList(analysis[field])
+  );
+  if (badStrings) {
+    return `Analysis ${badStrings} must be an array of strings`;
+  }
+  if (analysis.language !== undefined && typeof analysis.language !== 'string') {
+    return 'Analysis language must be a string';
+  }
+  if (analysis.blocked !== undefined && typeof analysis.blocked !== 'boolean') {
+    return 'Analysis blocked must be true or false';
+  }
+  
+  const badList = Object.keys(ANALYSIS_LISTS).find(field => analysis[field] !== undefined && (
+    !Array.isArray(analysis[field]) ||
+    !analysis[field].every(item => isPlainObject(item) && ANALYSIS_LISTS[field](item))
+  ));
+  if (badList) {
+    return `Analysis ${badList} must be an array of valid items`;
+  }
+  
+  // Mood dimensions as { score: number|null, evidence: [] }
+  if (analysis.mood !== undefined && (!isPlainObject(analysis.mood) || !Object.values(analysis.mood).every(dimension =>
+    isPlainObject(dimension) && (dimension.score === null || Number.isFinite(dimension.score)) &&
+    Array.isArray(dimension.evidence)
+  ))) {
+    return 'Analysis mood must map dimensions to { score, evidence }';
+  }
+  return null;
+}
+
+/**
+ * Validates the editable fields of an entry. Only the fields present are
+ * checked; text is validated by the server (see validateText in server.js).
+ * 
+ * @param {Object} fields - { area?, tags?, status?, timestamp?, analysis?, id?, changedAt? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEntryFields(fields) {
+  const { id, area, tags, status, timestamp, analysis, changedAt } = fields;
+  
+  if (id !== undefined && (!Number.isSafeInteger(id) || id <= 0)) {
+    return 'Id must be a positive integer';
+  }
+  if (area !== undefined && !AREAS.includes(area)) {
+    return `Area must be one of: ${AREAS.join(', ')}`;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return 'Tags must be an array of strings';
+    }
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+      return `At most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each`;
+    }
+  }
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return `Status must be one of: ${STATUSES.join(', ')}`;
+  }
+  if (timestamp !== undefined && (typeof timestamp !== 'string' || isNaN(Date.parse(timestamp)))) {
+    return 'Timestamp must be an ISO 8601 date string';
+  }
+  if (analysis !== undefined) {
+    const problem = validateAnalysis(analysis);
+    if (problem) return problem;
+  }
+  if (changedAt !== undefined) {
+    if (!changedAt || typeof changedAt !== 'object' || Array.isArray(changedAt)) {
+      return 'changedAt must be an object';
+    }
+    const invalid = Object.entries(changedAt).find(([field, value]) =>
+      !TRACKED_FIELDS.includes(field) || typeof value !== 'string' || isNaN(Date.parse(value))
+    );
+    if (invalid) {
+      return `changedAt must map ${TRACKED_FIELDS.join(', ')} to ISO 8601 date strings`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the entries file's modification time.
+ * 
+ * @returns {number|null} Time in ms, or null if there is no file yet
+ */
+function fileMtime() {
+  try {
+    return fs.statSync(ENTRIES_FILE).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets all entries, loading them from disk on first use and again whenever
+ * another process (the CLI, or the server) has changed the file.
+ * 
+ * @returns {Array<Object>} Entries, newest first
+ */
+function loadEntries() {
+  const mtime = fileMtime();
+  if (current && mtime === currentMtime) {
+    return current;
+  }
+  
+  try {
+    const stored = JSON.parse(fs.readFileSync(ENTRIES_FILE, 'utf8'));
+    if (!Array.isArray(stored.entries)) {
+      throw new Error('Entries file has no entries array');
+    }
+    current = stored.entries;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Keep the unreadable file around instead of overwriting it on the next save
+      console.error('Error loading entries, starting empty:', error.message);
+      fs.renameSync(ENTRIES_FILE, `${ENTRIES_FILE}.corrupt-${Date.now()}`);
+    }
+    current = [];
+  }
+  
+  currentMtime = fileMtime();
+  return current;
+}
+
+/**
+ * Writes all entries to disk.
+ * 
+ * @param {Array<Object>} entries - Entries to save
+ */
+function saveEntries(entries) {
+  entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+  
+  // Write to a temp file first so a crash never leaves half a file behind
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempFile = `${ENTRIES_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ schemaVersion: SCHEMA_VERSION, entries }, null, 2));
+  fs.renameSync(tempFile, ENTRIES_FILE);
+  
+  current = entries;
+  currentMtime = fileMtime();
+}
+
+/**
+ * Parses a date filter. Plain dates ("2024-03-01") cover the whole local day.
+ * 
+ * @param {string} value - ISO date or date-time
+ * @param {boolean} endOfDay - For plain dates, use the end of the day instead of the start
+ * @returns {Date|null} Date, or null if invalid (including days that don't
+ *   exist, like "2026-13-01" or "2026-02-31")
+ */
+function parseDateFilter(value, endOfDay) {
+  const plain = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (plain) {
+    const [, year, month, day] = plain.map(Number);
+    const date = endOfDay ? new Date(2000, 0, 1, 23, 59, 59, 999) : new Date(2000, 0, 1);
+    // setFullYear keeps years below 100 as written (the constructor maps them to 19xx)
+    date.setFullYear(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Finds all entries matching the filters, newest first. Filters must already
+ * be validated (see parseDateFilter for dates).
+ * 
+ * @param {Object} [filters] - { status, area, tags, from, to } where status is a
+ *   status or 'all', tags must all be present, and from/to are Dates
+ * @returns {Array<Object>} Matching entries
+ */
+function findEntries(filters = {}) {
+  const { status, area, tags = [], from, to } = filters;
+  const wantedTags = normalizeTags(tags);
+  
+  return loadEntries().filter(entry => {
+    const date = new Date(entry.timestamp);
+    return (!status || status === 'all' || (entry.status || 'inbox') === status) &&
+      (!area || (entry.area || 'Misc') === area) &&
+      wantedTags.every(tag => (entry.tags || []).includes(tag)) &&
+      (!from || date >= from) &&
+      (!to || date <= to);
+  });
+}
+
+/**
+ * Lists entries matching the filters, newest first, one page at a time.
+ * 
+ * @param {Object} [filters] - The findEntries filters plus { offset, limit }
+ * @returns {Object} { entries, total, offset, limit } where total counts all matches
+ */
+function listEntries(filters = {}) {
+  const offset = Math.max(0, filters.offset || 0);
+  const limit = Math.min(MAX_PAGE_SIZE, filters.limit || DEFAULT_PAGE_SIZE);
+  const matches = findEntries(filters);
+  
+  return {
+    entries: matches.slice(offset, offset + limit),
+    total: matches.length,
+    offset,
+    limit
+  };
+}
+
+/**
+ * Gets the newest entries in the form the analyzer takes as history.
+ * 
+ * @param {number} limit - Number of entries
+ * @returns {Array<Object>} Entries as { text, area, tags, timestamp, sentimentLabel,
+ *   actionItems, blocked }
+ */
+function getHistory(limit) {
+  return loadEntries().slice(0, limit).map(entry => ({
+    text: entry.text,
+    area: entry.area,
+    tags: entry.tags || [],
+    timestamp: entry.timestamp,
+    sentimentLabel: entry.analysis ? entry.analysis.sentimentLabel : undefined,
+    actionItems: (entry.analysis && entry.analysis.actionItems) || [],
+    blocked: entry.analysis ? entry.analysis.blocked : undefined
+  }));
+}
+
+/**
+ * Gets one entry.
+ * 
+ * @param {number} id - Entry ID
+ * @returns {Object|null} Entry, or null if there is none with that ID
+ */
+function getEntry(id) {
+  return loadEntries().find(entry => entry.id === id) || null;
+}
+
+/**
+ * Creates an error for an ID that is already taken.
+ * 
+ * @param {number} id - Requested ID
+ * @returns {Error} Error with code 'DUPLICATE_ID'
+ */
+function duplicateId(id) {
+  const error = new Error(`An entry with id ${id} already exists`);
+  error.code = 'DUPLICATE_ID';
+  return error;
+}
+
+/**
+ * Adds entries in one write. Fields must already be validated. IDs default to
+ * timestamp-based ones (like the IDs the browser used to assign), and
+ * imported entries can keep their own. Nothing is saved if an ID is taken.
+ * 
+ * @param {Array<Object>} list - Entries as { text, analysis, area?, tags?, status?, timestamp?, id? }
+ * @returns {Array<Object>} The saved entries, in the given order
+ * @throws {Error} With code 'DUPLICATE_ID' if an ID is already taken
+ */
+function createEntries(list) {
+  const entries = loadEntries();
+  const taken = new Set(entries.map(entry => entry.id));
+  list.forEach(fields => {
+    if (fields.id === undefined) return;
+    if (taken.has(fields.id)) {
+      throw duplicateId(fields.id);
+    }
+    taken.add(fields.id);
+  });
+  
+  let nextId = [...taken].reduce((max, id) => Math.max(max, id + 1), Date.now());
+  const created = list.map(fields => ({
+    id: fields.id === undefined ? nextId++ : fields.id,
+    timestamp: fields.timestamp ? new Date(fields.timestamp).toISOString() : new Date().toISOString(),
+    text: fields.text,
+    analysis: fields.analysis,
+    area: fields.area || 'Misc',
+    tags: normalizeTags(fields.tags || []),
+    status: fields.status || 'inbox'
+  }));
+  
+  saveEntries([...entries, ...created]);
+  return created;
+}
+
+/**
+ * Adds an entry. See createEntries.
+ * 
+ * @param {Object} fields - { text, analysis, area?, tags?, status?, timestamp?, id? }
+ * @returns {Object} The saved entry
+ * @throws {Error} With code 'DUPLICATE_ID' if the ID is already taken
+ */
+function createEntry(fields) {
+  return createEntries([fields])[0];
+}
+
+/**
+ * Changes some fields of an entry. Fields must already be validated. A change
+ * older than the field's last change is ignored (last write wins per field),
+ * and a new analysis is only kept together with the text it was made for.
+ * 
+ * @param {number} id - Entry ID
+ * @param {Object} changes - { text?, analysis?, area?, tags?, status? }
+ * @param {Object} [changedAt] - When each field was changed on the client, as
+ *   ISO strings (defaults to now)
+ * @returns {Object|null} The saved entry, or null if there is none with that ID
+ */
+function updateEntry(id, changes, changedAt = {}) {
+  const entries = loadEntries();
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return null;
+  }
+  
+  const existing = entries[index];
+  const updated = { ...existing };
+  const fieldUpdatedAt = { ...existing.fieldUpdatedAt };
+  const now = new Date().toISOString();
+  
+  TRACKED_FIELDS.forEach(field => {
+    if (changes[field] === undefined) return;
+    
+    const at = changedAt[field] ? new Date(changedAt[field]).toISOString() : now;
+    if (at < (fieldUpdatedAt[field] || existing.timestamp)) return;
+    
+    updated[field] = field === 'tags' ? normalizeTags(changes.tags) : changes[field];
+    fieldUpdatedAt[field] = at;
+  });
+  if (changes.analysis !== undefined && (changes.text === undefined || updated.text === changes.text)) {
+    updated.analysis = changes.analysis;
+  }
+  updated.fieldUpdatedAt = fieldUpdatedAt;
+  
+  const next = [...entries];
+  next[index] = updated;
+  saveEntries(next);
+  return updated;
+}
+
+/**
+ * Deletes an entry.
+ * 
+ * @param {number} id - Entry ID
+ * @returns {boolean} True if it existed
+ */
+function deleteEntry(id) {
+  const entries = loadEntries();
+  const remaining = entries.filter(entry => entry.id !== id);
+  if (remaining.length === entries.length) {
+    return false;
+  }
+  saveEntries(remaining);
+  return true;
+}
+
+module.exports = {
+  findEntries,
+  listEntries,
+  getEntry,
+  getHistory,
+  createEntry,
+  createEntries,
+  updateEntry,
+  deleteEntry,
+  validateEntryFields,
+  parseDateFilter,
+  STATUSES,
+  MAX_PAGE_SIZE
+};
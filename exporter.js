@@ -0,0 +1,331 @@
+/**
+ * Goal Update Analyzer - Export
+ * 
+ * Turns saved entries into downloadable files:
+ * - json: the entries exactly as stored, in the same layout as entries.json,
+ *   so an export can be imported again (analyses are redone on import)
+ * - csv: one row per entry with the main analysis fields flattened into columns
+ * - markdown: a journal with one section per day, oldest first
+ * - ics: an iCalendar file with each entry's next step as a to-do (VTODO)
+ * 
+ * Days and times use the server's local time zone, like the date filters.
+ */
+
+// Layout version of JSON exports (matches the entries file)
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  ics: { extension: 'ics', contentType: 'text/calendar; charset=utf-8' }
+};
+
+// CSV columns and how each is read from an entry
+const CSV_COLUMNS = [
+  ['id', entry => entry.id],
+  ['timestamp', entry => entry.timestamp],
+  ['status', entry => entry.status || 'inbox'],
+  ['area', entry => entry.area || 'Misc'],
+  ['tags', entry => (entry.tags || []).join(';')],
+  ['text', entry => entry.text],
+  ['language', (entry, analysis) => analysis.language],
+  ['sentimentLabel', (entry, analysis) => analysis.sentimentLabel],
+  ['sentimentScore', (entry, analysis) => analysis.sentimentScore],
+  ['confidence', (entry, analysis) => analysis.confidence],
+  ['energy', (entry, analysis) => moodLabel(analysis, 'energy')],
+  ['stress', (entry, analysis) => moodLabel(analysis, 'stress')],
+  ['moodConfidence', (entry, analysis) => moodLabel(analysis, 'confidence')],
+  ['summary', (entry, analysis) => (analysis.summaryBullets || []).join(' | ')],
+  ['nextStep', (entry, analysis) => analysis.nextStep],
+  ['actionItems', (entry, analysis) => (analysis.actionItems || []).map(item => item.text).join(' | ')],
+  ['metrics', (entry, analysis) => (analysis.metrics || []).map(metric => metric.raw).join(' | ')],
+  ['blocked', (entry, analysis) => analysis.blocked],
+  ['blockers', (entry, analysis) =>
+    (analysis.blockers || []).map(blocker => `${blocker.category}: ${blocker.text}`).join(' | ')]
+];
+
+/**
+ * Gets one mood dimension's label from an analysis.
+ * 
+ * @param {Object} analysis - Entry analysis
+ * @param {string} dimension - 'energy', 'stress' or 'confidence'
+ * @returns {string|null} Label, or null if the dimension wasn't mentioned
+ */
+function moodLabel(analysis, dimension) {
+  return (analysis.mood && analysis.mood[dimension] && analysis.mood[dimension].label) || null;
+}
+
+/**
+ * Pads a number to two digits.
+ * 
+ * @param {number} value - Number to pad
+ * @returns {string} Padded number
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD day.
+ * 
+ * @param {Date} date - Date to format
+ * @returns {string} Day
+ */
+function localDay(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Quotes a CSV field when it needs it (RFC 4180). Text starting with =, +, -,
+ * @, a tab or a carriage return gets a leading ' so spreadsheet apps show it
+ * instead of running it as a formula; numbers are left as they are.
+ * 
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports entries as JSON in the entries file layout.
+ * 
+ * @param {Array<Object>} list - Entries to export
+ * @param {Date} now - Export time
+ * @returns {string} JSON document
+ */
+function toJson(list, now) {
+  return JSON.stringify({
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    entries: list
+  }, null, 2);
+}
+
+/**
+ * Exports entries as CSV, one row per entry. Starts with a byte order mark so
+ * spreadsheet apps read accented text correctly.
+ * 
+ * @param {Array<Object>} list - Entries to export
+ * @returns {string} CSV document
+ */
+function toCsv(list) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  list.forEach(entry => {
+    const analysis = entry.analysis || {};
+    rows.push(CSV_COLUMNS.map(([, read]) => read(entry, analysis)));
+  });
+  return `\uFEFF${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Escapes Markdown that would start a block at the beginning of a line
+ * (headings, lists and task lists, quotes, code fences, rules), so entry text
+ * can't break the journal's day headings or lists.
+ * 
+ * @param {string} text - Entry text (or analysis text, like the next step)
+ * @returns {string} Text that renders as written
+ */
+function escapeMarkdownBlocks(text) {
+  return text.split('\n').map(line => line
+    .replace(/^(\s*)(#|>|[-*+](?=\s|$)|[-*_]{3,}|`{3}|~{3}|=+\s*$)/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')
+  ).join('\n');
+}
+
+/**
+ * Exports entries as a Markdown journal: one section per day, oldest first,
+ * with each entry's text followed by its sentiment, next step and blockers.
+ * 
+ * @param {Array<Object>} list - Entries to export
+ * @param {Date} now - Export time
+ * @returns {string} Markdown document
+ */
+function toMarkdown(list, now) {
+  const lines = ['# Goal Updates', '', `Exported ${localDay(now)} · ${list.length} ${list.length === 1 ? 'entry' : 'entries'}`];
+  
+  const oldestFirst = [...list].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id);
+  let currentDay = null;
+  
+  oldestFirst.forEach(entry => {
+    const date = new Date(entry.timestamp);
+    const day = localDay(date);
+    if (day !== currentDay) {
+      currentDay = day;
+      const weekday = date.toLocaleDateString('en-US', { weekday: 'long' });
+      lines.push('', `## ${day} (${weekday})`);
+    }
+    
+    const status = entry.status || 'inbox';
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    const heading = [time, entry.area || 'Misc', status !== 'inbox' && status].filter(Boolean);
+    lines.push('', `### ${heading.join(' · ')}`);
+    if (entry.tags && entry.tags.length > 0) {
+      lines.push('', entry.tags.map(tag => `#${tag}`).join(' '));
+    }
+    lines.push('', escapeMarkdownBlocks(entry.text.trim()));
+    
+    const analysis = entry.analysis;
+    if (!analysis) return;
+    const details = [];
+    if (analysis.sentimentLabel) {
+      const score = typeof analysis.sentimentScore === 'number' ? ` (${analysis.sentimentScore.toFixed(2)})` : '';
+      details.push(`- **Sentiment:** ${analysis.sentimentLabel}${score}`);
+    }
+    if (analysis.nextStep) {
+      details.push(`- **Next step:** ${escapeMarkdownBlocks(String(analysis.nextStep))}`);
+    }
+    (analysis.blockers || []).forEach(blocker => {
+      details.push(`- **Blocker (${blocker.category}):** ${escapeMarkdownBlocks(String(blocker.text))}`);
+    });
+    if (details.length > 0) {
+      lines.push('', ...details);
+    }
+  });
+  
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escapes an iCalendar TEXT value.
+ * 
+ * @param {string} text - Value to escape
+ * @returns {string} Escaped value
+ */
+function icsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats a date as an iCalendar UTC date-time (20240314T073000Z).
+ * 
+ * @param {Date} date - Date to format
+ * @returns {string} Date-time
+ */
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds an iCalendar content line to at most 75 bytes per line, without
+ * splitting a character.
+ * 
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let part = '';
+  let bytes = 0;
+  
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = '';
+      bytes = 0;
+    }
+    part += char;
+    bytes += size;
+  }
+  parts.push(part);
+  
+  return parts.join('\r\n ');
+}
+
+/**
+ * Finds the due date of a next step that came from one of the entry's action
+ * items ("Call the plumber (tomorrow)").
+ * 
+ * @param {Object} analysis - Entry analysis
+ * @returns {string|null} Due date as YYYY-MM-DD, or null
+ */
+function nextStepDueDate(analysis) {
+  if (typeof analysis.nextStep !== 'string') {
+    return null;
+  }
+  const nextStep = analysis.nextStep.toLowerCase();
+  const item = (analysis.actionItems || []).find(candidate =>
+    candidate.dueDate && typeof candidate.text === 'string' && candidate.text &&
+    nextStep.includes(candidate.text.toLowerCase())
+  );
+  return item ? item.dueDate : null;
+}
+
+/**
+ * Exports next steps as iCalendar to-dos, one per analyzed entry. To-dos of
+ * processed and archived entries are marked completed, and next steps from a
+ * dated action item get its due date.
+ * 
+ * @param {Array<Object>} list - Entries to export
+ * @param {Date} now - Export time
+ * @returns {string} iCalendar document
+ */
+function toIcs(list, now) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Goal Update Analyzer//Export//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+  
+  list.forEach(entry => {
+    const nextStep = entry.analysis && entry.analysis.nextStep;
+    if (!nextStep) return;
+    
+    const status = entry.status || 'inbox';
+    const categories = [entry.area || 'Misc', ...(entry.tags || [])].map(icsText).join(',');
+    lines.push(
+      'BEGIN:VTODO',
+      `UID:entry-${entry.id}@goal-update-analyzer`,
+      `DTSTAMP:${icsDateTime(now)}`,
+      `CREATED:${icsDateTime(new Date(entry.timestamp))}`,
+      `SUMMARY:${icsText(nextStep)}`,
+      `DESCRIPTION:${icsText(entry.text.trim())}`,
+      `CATEGORIES:${categories}`,
+      `STATUS:${status === 'inbox' ? 'NEEDS-ACTION' : 'COMPLETED'}`
+    );
+    const dueDate = nextStepDueDate(entry.analysis);
+    if (dueDate) {
+      lines.push(`DUE;VALUE=DATE:${dueDate.replace(/-/g, '')}`);
+    }
+    lines.push('END:VTODO');
+  });
+  
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Exports entries in one of the EXPORT_FORMATS.
+ * 
+ * @param {Array<Object>} list - Entries to export, newest first
+ * @param {string} format - 'json', 'csv', 'markdown' or 'ics'
+ * @param {Date} [now] - Export time (for timestamps and the file name)
+ * @returns {Object} { body, contentType, filename }
+ */
+function exportEntries(list, format, now = new Date()) {
+  const renderers = { json: toJson, csv: toCsv, markdown: toMarkdown, ics: toIcs };
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  
+  return {
+    body: renderers[format](list, now),
+    contentType,
+    filename: `goal-updates-${localDay(now)}.${extension}`
+  };
+}
+
+module.exports = {
+  exportEntries,
+  EXPORT_FORMATS
+};
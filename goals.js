@@ -0,0 +1,461 @@
+/**
+ * Goal Update Analyzer - Goals
+ * 
+ * Keeps goals in a JSON file (data/goals.json by default) next to the entries.
+ * A goal has a title and an area, and optionally a numeric target ("500 km",
+ * "20 s average") and a deadline. Updates are linked to goals by ID, and a
+ * goal's progress is computed from the metrics the analyzer extracted from
+ * its linked entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./lexicon');
+const { AREAS } = require('./analyzer');
+
+const GOALS_FILE = path.join(DATA_DIR, 'goals.json');
+
+// Bump when the file layout changes so older files can be migrated on load
+const SCHEMA_VERSION = 1;
+
+const GOAL_STATUSES = ['active', 'archived'];
+
+const MAX_TITLE_LENGTH = 200;
+
+// Target units: which extracted metrics count toward them and how they
+// combine (sum over entries, number of linked entries, or the best value,
+// where 'min' means lower is better). `factors` convert metric units.
+const GOAL_UNITS = {
+  km: { label: 'km', kinds: ['distance'], aggregate: 'sum', factors: { km: 1, mi: 1.609344, m: 0.001 } },
+  mi: { label: 'mi', kinds: ['distance'], aggregate: 'sum', factors: { km: 1 / 1.609344, mi: 1, m: 0.001 / 1.609344 } },
+  hours: { label: 'hours', kinds: ['duration'], aggregate: 'sum', factors: { s: 1 / 3600 } },
+  pages: { label: 'pages', kinds: ['pages'], aggregate: 'sum' },
+  chapters: { label: 'chapters', kinds: ['chapters'], aggregate: 'sum' },
+  steps: { label: 'steps', kinds: ['steps'], aggregate: 'sum' },
+  reps: { label: 'reps', kinds: ['reps'], aggregate: 'sum' },
+  updates: { label: 'updates', kinds: [], aggregate: 'count' },
+  kg: { label: 'kg', kinds: ['weight'], aggregate: 'max', factors: { kg: 1, lb: 0.45359237 } },
+  lb: { label: 'lb', kinds: ['weight'], aggregate: 'max', factors: { kg: 1 / 0.45359237, lb: 1 } },
+  average: { label: 's average', kinds: ['average'], aggregate: 'min' },
+  single: { label: 's single', kinds: ['solve'], aggregate: 'min' }
+};
+
+// Share of the expected progress a goal may trail by and still be on track
+const ON_TRACK_TOLERANCE = 0.9;
+
+// Suggested entries per goal, and the lowest score worth suggesting
+const MAX_SUGGESTIONS = 20;
+const MIN_SUGGESTION_SCORE = 0.5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// In-memory copy of the stored goals (loaded lazily) and the file's
+// modification time when it was read or written
+let current = null;
+let currentMtime = null;
+
+/**
+ * Parses a plain date (YYYY-MM-DD) as a local day.
+ * 
+ * @param {string} value - Date
+ * @returns {Date|null} Start of the day, or null if invalid
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD day.
+ * 
+ * @param {Date} date - Date to format
+ * @returns {string} Day
+ */
+function localDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Validates goal fields. Only the fields present are checked; required
+ * fields are checked by the server.
+ * 
+ * @param {Object} fields - { title?, area?, target?, deadline?, startDate?, status? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGoalFields(fields) {
+  const { title, area, target, deadline, startDate, status } = fields;
+  
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    return `Title must be a non-empty string of up to ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (area !== undefined && !AREAS.includes(area)) {
+    return `Area must be one of: ${AREAS.join(', ')}`;
+  }
+  if (target !== undefined && target !== null) {
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+      return 'Target must be an object { value, unit } or null';
+    }
+    if (typeof target.value !== 'number' || !Number.isFinite(target.value) || target.value <= 0) {
+      return 'Target value must be a positive number';
+    }
+    if (!Object.prototype.hasOwnProperty.call(GOAL_UNITS, target.unit)) {
+      return `Target unit must be one of: ${Object.keys(GOAL_UNITS).join(', ')}`;
+    }
+  }
+  for (const [name, value] of [['deadline', deadline], ['startDate', startDate]]) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !parseDay(value))) {
+      return `${name} must be a date (YYYY-MM-DD) or null`;
+    }
+  }
+  if (status !== undefined && !GOAL_STATUSES.includes(status)) {
+    return `Status must be one of: ${GOAL_STATUSES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Gets the goals file's modification time.
+ * 
+ * @returns {number|null} Time in ms, or null if there is no file yet
+ */
+function fileMtime() {
+  try {
+    return fs.statSync(GOALS_FILE).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets all goals, loading them from disk on first use and again whenever
+ * another process has changed the file.
+ * 
+ * @returns {Array<Object>} Goals, oldest first
+ */
+function loadGoals() {
+  const mtime = fileMtime();
+  if (current && mtime === currentMtime) {
+    return current;
+  }
+  
+  try {
+    const stored = JSON.parse(fs.readFileSync(GOALS_FILE, 'utf8'));
+    if (!Array.isArray(stored.goals)) {
+      throw new Error('Goals file has no goals array');
+    }
+    current = stored.goals;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Keep the unreadable file around instead of overwriting it on the next save
+      console.error('Error loading goals, starting empty:', error.message);
+      fs.renameSync(GOALS_FILE, `${GOALS_FILE}.corrupt-${Date.now()}`);
+    }
+    current = [];
+  }
+  
+  currentMtime = fileMtime();
+  return current;
+}
+
+/**
+ * Writes all goals to disk.
+ * 
+ * @param {Array<Object>} goals - Goals to save
+ */
+function saveGoals(goals) {
+  // Write to a temp file first so a crash never leaves half a file behind
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempFile = `${GOALS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ schemaVersion: SCHEMA_VERSION, goals }, null, 2));
+  fs.renameSync(tempFile, GOALS_FILE);
+  
+  current = goals;
+  currentMtime = fileMtime();
+}
+
+/**
+ * Lists goals.
+ * 
+ * @param {string} [status] - 'active', 'archived' or 'all' (default)
+ * @returns {Array<Object>} Goals, oldest first
+ */
+function listGoals(status = 'all') {
+  return loadGoals().filter(goal => status === 'all' || goal.status === status);
+}
+
+/**
+ * Gets one goal.
+ * 
+ * @param {number} id - Goal ID
+ * @returns {Object|null} Goal, or null if there is none with that ID
+ */
+function getGoal(id) {
+  return loadGoals().find(goal => goal.id === id) || null;
+}
+
+/**
+ * Adds a goal. Fields must already be validated.
+ * 
+ * @param {Object} fields - { title, area?, target?, deadline?, startDate? }
+ *   (startDate defaults to today)
+ * @returns {Object} The saved goal
+ */
+function createGoal(fields) {
+  const goals = loadGoals();
+  const goal = {
+    id: goals.reduce((max, existing) => Math.max(max, existing.id + 1), 1),
+    title: fields.title.trim(),
+    area: fields.area || 'Misc',
+    target: fields.target ? { value: fields.target.value, unit: fields.target.unit } : null,
+    deadline: fields.deadline || null,
+    startDate: fields.startDate || localDay(new Date()),
+    status: 'active',
+    entryIds: [],
+    createdAt: new Date().toISOString()
+  };
+  saveGoals([...goals, goal]);
+  return goal;
+}
+
+/**
+ * Changes some fields of a goal. Fields must already be validated.
+ * 
+ * @param {number} id - Goal ID
+ * @param {Object} changes - { title?, area?, target?, deadline?, startDate?, status? }
+ *   (null clears the target or deadline)
+ * @returns {Object|null} The saved goal, or null if there is none with that ID
+ */
+function updateGoal(id, changes) {
+  const goals = loadGoals();
+  const index = goals.findIndex(goal => goal.id === id);
+  if (index === -1) {
+    return null;
+  }
+  
+  const updated = { ...goals[index] };
+  ['title', 'area', 'target', 'deadline', 'startDate', 'status'].forEach(field => {
+    if (changes[field] === undefined) return;
+    updated[field] = field === 'title' ? changes.title.trim() : changes[field];
+  });
+  if (changes.startDate === null) {
+    updated.startDate = localDay(new Date(updated.createdAt));
+  }
+  
+  const next = [...goals];
+  next[index] = updated;
+  saveGoals(next);
+  return updated;
+}
+
+/**
+ * Deletes a goal (its linked entries are kept).
+ * 
+ * @param {number} id - Goal ID
+ * @returns {boolean} True if it existed
+ */
+function deleteGoal(id) {
+  const goals = loadGoals();
+  const remaining = goals.filter(goal => goal.id !== id);
+  if (remaining.length === goals.length) {
+    return false;
+  }
+  saveGoals(remaining);
+  return true;
+}
+
+/**
+ * Links an entry to a goal or unlinks it.
+ * 
+ * @param {number} id - Goal ID
+ * @param {number} entryId - Entry ID (must exist when linking)
+ * @param {boolean} linked - True to link, false to unlink
+ * @returns {Object|null} The saved goal, or null if there is none with that ID
+ */
+function setEntryLink(id, entryId, linked) {
+  const goals = loadGoals();
+  const index = goals.findIndex(goal => goal.id === id);
+  if (index === -1) {
+    return null;
+  }
+  
+  const goal = goals[index];
+  if (goal.entryIds.includes(entryId) === linked) {
+    return goal;
+  }
+  const entryIds = linked ? [...goal.entryIds, entryId] : goal.entryIds.filter(existing => existing !== entryId);
+  
+  const next = [...goals];
+  next[index] = { ...goal, entryIds };
+  saveGoals(next);
+  return next[index];
+}
+
+/**
+ * Gets the values an entry contributes to a target unit.
+ * 
+ * @param {Object} entry - Saved entry
+ * @param {Object} unit - Unit from GOAL_UNITS
+ * @returns {number[]} Values in the target unit
+ */
+function entryValues(entry, unit) {
+  const metrics = (entry.analysis && entry.analysis.metrics) || [];
+  return metrics
+    .filter(metric => unit.kinds.includes(metric.kind))
+    .map(metric => {
+      const factor = unit.factors ? unit.factors[metric.unit] : 1;
+      if (factor === undefined) return null;
+      // Intervals ("3x400m", "3x10 reps") count every repetition toward totals
+      const repeats = unit.aggregate === 'sum' && metric.sets ? metric.sets : 1;
+      return metric.value * factor * repeats;
+    })
+    .filter(value => value !== null);
+}
+
+/**
+ * Computes a goal's progress from its linked entries.
+ * 
+ * Totals ('sum' and 'count' units) are on track when they keep up with a
+ * straight line from zero at the start date to the target at the deadline;
+ * best values ('min' and 'max') when they keep up with a straight line from
+ * the first recorded value to the target.
+ * 
+ * @param {Object} goal - Goal
+ * @param {Array<Object>} allEntries - All saved entries
+ * @param {Date} [now] - Current time
+ * @returns {Object} { entryCount, current, percent, expected, status, lastEntry }
+ *   where current is the total or best value in the target unit (the number
+ *   of linked entries without a target), percent is 0-100 (null without a
+ *   target), expected is the value to be on track today (null without a
+ *   target and deadline), and status is 'achieved', 'on-track', 'behind',
+ *   'overdue' or 'open' (nothing to judge against yet)
+ */
+function computeProgress(goal, allEntries, now = new Date()) {
+  const linked = new Set(goal.entryIds);
+  const list = allEntries
+    .filter(entry => linked.has(entry.id))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const progress = {
+    entryCount: list.length,
+    current: list.length,
+    percent: null,
+    expected: null,
+    status: 'open',
+    lastEntry: list.length > 0 ? list[list.length - 1].timestamp : null
+  };
+  
+  const start = parseDay(goal.startDate);
+  const deadline = goal.deadline ? parseDay(goal.deadline) : null;
+  const end = deadline && new Date(deadline.getFullYear(), deadline.getMonth(), deadline.getDate() + 1);
+  const elapsed = end ? Math.min(1, Math.max(0, (now - start) / Math.max(MS_PER_DAY, end - start))) : null;
+  const round = value => Math.round(value * 100) / 100;
+  
+  if (!goal.target) {
+    progress.status = end && now >= end ? 'overdue' : 'open';
+    return progress;
+  }
+  
+  const unit = GOAL_UNITS[goal.target.unit];
+  const target = goal.target.value;
+  const values = unit.aggregate === 'count' ? [] : list.flatMap(entry => entryValues(entry, unit));
+  let achieved;
+  
+  if (unit.aggregate === 'sum' || unit.aggregate === 'count') {
+    progress.current = round(unit.aggregate === 'count' ? list.length : values.reduce((sum, value) => sum + value, 0));
+    progress.percent = Math.min(100, Math.round(progress.current / target * 100));
+    achieved = progress.current >= target;
+    if (elapsed !== null) {
+      progress.expected = round(target * elapsed);
+    }
+  } else {
+    if (values.length === 0) {
+      progress.current = null;
+      progress.percent = 0;
+      progress.status = end && now >= end ? 'overdue' : 'open';
+      return progress;
+    }
+    const lowerIsBetter = unit.aggregate === 'min';
+    const best = lowerIsBetter ? Math.min(...values) : Math.max(...values);
+    progress.current = round(best);
+    progress.percent = Math.min(100, Math.round((lowerIsBetter ? target / best : best / target) * 100));
+    achieved = lowerIsBetter ? best <= target : best >= target;
+    if (elapsed !== null) {
+      progress.expected = round(values[0] + (target - values[0]) * elapsed);
+    }
+  }
+  
+  if (achieved) {
+    progress.status = 'achieved';
+  } else if (end && now >= end) {
+    progress.status = 'overdue';
+  } else if (progress.expected !== null) {
+    const onTrack = unit.aggregate === 'min'
+      ? progress.current <= progress.expected / ON_TRACK_TOLERANCE
+      : progress.current >= progress.expected * ON_TRACK_TOLERANCE;
+    progress.status = onTrack ? 'on-track' : 'behind';
+  }
+  return progress;
+}
+
+/**
+ * Suggests unlinked entries that probably belong to a goal: entries from the
+ * goal's period in its area, with metrics its target counts, or mentioning
+ * words from its title.
+ * 
+ * @param {Object} goal - Goal
+ * @param {Array<Object>} allEntries - All saved entries
+ * @returns {Array<Object>} Suggestions as { entry, score, reasons }, best first
+ */
+function suggestEntries(goal, allEntries) {
+  const linked = new Set(goal.entryIds);
+  const start = parseDay(goal.startDate);
+  const deadline = goal.deadline ? parseDay(goal.deadline) : null;
+  const end = deadline && new Date(deadline.getFullYear(), deadline.getMonth(), deadline.getDate() + 1);
+  const unit = goal.target ? GOAL_UNITS[goal.target.unit] : null;
+  const titleWords = goal.title.toLowerCase().match(/[a-z][a-z0-9]{3,}/g) || [];
+  
+  return allEntries
+    .filter(entry => {
+      const date = new Date(entry.timestamp);
+      return !linked.has(entry.id) && date >= start && (!end || date < end);
+    })
+    .map(entry => {
+      const reasons = [];
+      let score = 0;
+      if ((entry.area || 'Misc') === goal.area) {
+        score += 0.5;
+        reasons.push(`area ${goal.area}`);
+      }
+      if (unit && unit.kinds.length > 0 && entryValues(entry, unit).length > 0) {
+        score += 0.4;
+        reasons.push(`${unit.kinds.join('/')} metric`);
+      }
+      const lowerText = entry.text.toLowerCase();
+      const shared = titleWords.filter(word => lowerText.includes(word));
+      if (shared.length > 0) {
+        score += Math.min(0.3, shared.length * 0.15);
+        reasons.push(`mentions "${shared.join('", "')}"`);
+      }
+      return { entry, score: Math.round(score * 100) / 100, reasons };
+    })
+    .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score || new Date(b.entry.timestamp) - new Date(a.entry.timestamp))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+module.exports = {
+  listGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  setEntryLink,
+  computeProgress,
+  suggestEntries,
+  validateGoalFields,
+  GOAL_UNITS,
+  GOAL_STATUSES
+};
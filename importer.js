@@ -0,0 +1,482 @@
+/**
+ * Goal Update Analyzer - Journal Import
+ * 
+ * Turns journals kept outside the app into draft entries:
+ * - daily notes named by date ("2026-03-14.md", "2026-03-14 Saturday.md")
+ *   become one entry for that day
+ * - other text and Markdown files are split at lines that start with a date
+ *   ("# 2026-03-14", "March 14, 2026", "Sat, 14 March 2026:", "2026-03-14: ran 5k")
+ * - JSON files from GET /export come back with all their fields
+ * - zip archives are unpacked and their files read as above
+ * 
+ * Within a day, headings that name an area ("## Running") start a separate
+ * entry for that area; otherwise the area comes from #hashtags or the
+ * analyzer's suggestion. The server analyzes the drafts and shows them as a
+ * preview, with duplicates of saved entries marked, before anything is saved.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { AREAS, extractHashtags, matchAreaName } = require('./analyzer');
+
+// Files read as journals; anything else in a zip is skipped
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// Largest file unpacked from a zip, and the most files and bytes unpacked
+// from one archive (guard against zip bombs)
+const MAX_UNPACKED_FILE = 1024 * 1024;
+const MAX_ZIP_FILES = 2000;
+const MAX_UNPACKED_TOTAL = 50 * 1024 * 1024;
+
+// Journal days have no time of day, so their entries are placed at local noon
+const IMPORT_HOUR = 12;
+
+// Suggested areas below this confidence fall back to Misc (the same threshold
+// the UI uses to pre-fill the area)
+const AREA_MIN_CONFIDENCE = 0.4;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY_NAME = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs(?:day)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\\.?';
+
+// Dates at the start of a line: 2026-03-14, 2026/03/14, March 14th, 2026, 14 March 2026
+const DATE_PATTERNS = [
+  { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/, parts: match => [match[1], match[2], match[3]] },
+  {
+    pattern: new RegExp(`^${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})(?!\\d)`, 'i'),
+    parts: match => [match[3], MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, match[2]]
+  },
+  {
+    pattern: new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(\\d{4})(?!\\d)`, 'i'),
+    parts: match => [match[3], MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, match[1]]
+  }
+];
+
+const WEEKDAY_PREFIX = new RegExp(`^${WEEKDAY_NAME},?\\s+`, 'i');
+const WEEKDAY_SUFFIX = new RegExp(`^,?\\s*\\(?${WEEKDAY_NAME}\\)?(?![a-z])`, 'i');
+
+/**
+ * Formats a date as a local YYYY-MM-DD day.
+ * 
+ * @param {Date} date - Date to format
+ * @returns {string} Day
+ */
+function localDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Reads a date at the start of the text, after an optional weekday.
+ * 
+ * @param {string} text - Text to read
+ * @returns {Object|null} { date: 'YYYY-MM-DD', rest } where rest is the text after
+ *   the date (and a following weekday), or null if the text doesn't start with a valid date
+ */
+function readLeadingDate(text) {
+  const withoutWeekday = text.replace(WEEKDAY_PREFIX, '');
+  
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    const match = pattern.exec(withoutWeekday);
+    if (!match) continue;
+    
+    const [year, month, day] = parts(match).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    const rest = withoutWeekday.slice(match[0].length).replace(WEEKDAY_SUFFIX, '');
+    return { date: localDay(date), rest };
+  }
+  return null;
+}
+
+/**
+ * Checks whether a line starts a new day. Headings only need to start with a
+ * date ("## 2026-03-14 Long run"); other lines need the date on its own or
+ * followed by a separator ("2026-03-14: ran 5k"), so prose that happens to
+ * start with a date doesn't split the journal.
+ * 
+ * @param {string} line - Line of the journal
+ * @returns {Object|null} { date: 'YYYY-MM-DD', rest } where rest is the text that
+ *   belongs to the entry, or null if the line doesn't start a day
+ */
+function parseDateLine(line) {
+  const heading = /^#{1,6}\s+(.*)$/.exec(line.trim());
+  const content = (heading ? heading[1] : line.trim()).replace(/^(\*\*|__)(.+?)\1/, '$2');
+  const found = readLeadingDate(content);
+  if (!found) {
+    return null;
+  }
+  if (!heading && !/^\s*(?:[:\u2013\u2014]|-\s|$)/.test(found.rest)) {
+    return null;
+  }
+  return { date: found.date, rest: found.rest.replace(/^[\s:\u2013\u2014-]+/, '').replace(/\s*#*\s*$/, '') };
+}
+
+/**
+ * Finds the area a heading names: an area's full name ("Fitness / Health")
+ * or one word of it ("Running", "Coding").
+ * 
+ * @param {string} title - Heading text
+ * @returns {string|null} Area, or null if the heading names none
+ */
+function areaFromHeading(title) {
+  const lower = title.trim().toLowerCase();
+  const exact = AREAS.find(area => area.toLowerCase() === lower);
+  if (exact) {
+    return exact;
+  }
+  return /^[a-z]+$/.test(lower) ? matchAreaName(lower) : null;
+}
+
+/**
+ * Splits a day's text at headings that name an area. Text before the first
+ * such heading keeps no area.
+ * 
+ * @param {string} text - Text of one day
+ * @returns {Array<Object>} Sections as { area, text } with area null when not set by a heading
+ */
+function splitAreaSections(text) {
+  const sections = [{ area: null, lines: [] }];
+  
+  text.split(/\r?\n/).forEach(line => {
+    const heading = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+    const area = heading ? areaFromHeading(heading[1]) : null;
+    if (area) {
+      sections.push({ area, lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  
+  return sections
+    .map(section => ({ area: section.area, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+}
+
+/**
+ * Turns one day of a journal into drafts, one per area section.
+ * 
+ * @param {string} source - File the text came from
+ * @param {string} date - Day as YYYY-MM-DD
+ * @param {string} text - Text of the day
+ * @returns {Array<Object>} Drafts as { source, date, timestamp, text, area, areaSource, tags }
+ */
+function draftsForDay(source, date, text) {
+  const [year, month, day] = date.split('-').map(Number);
+  const timestamp = new Date(year, month - 1, day, IMPORT_HOUR).toISOString();
+  
+  return splitAreaSections(text).map(section => ({
+    source,
+    date,
+    timestamp,
+    text: section.text,
+    area: section.area,
+    areaSource: section.area ? 'heading' : null,
+    tags: [...new Set(extractHashtags(section.text))]
+  }));
+}
+
+/**
+ * Reads a journal file: a daily note if its name has a date, otherwise a
+ * journal split at date lines.
+ * 
+ * @param {string} name - File name (may include folders)
+ * @param {string} content - File text
+ * @returns {Object} { drafts, skipped } where skipped holds { source, reason }
+ */
+function readJournal(name, content) {
+  // Obsidian-style front matter is metadata, not part of the update
+  const text = content.replace(/^\uFEFF/, '').replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/, '');
+  const lines = text.split(/\r?\n/);
+  
+  const nameDate = readLeadingDate(path.basename(name).replace(/^\D*(?=\d{4}-)/, ''));
+  if (nameDate) {
+    // A title line repeating the date isn't part of the entry
+    const title = parseDateLine(lines[0] || '');
+    if (title && title.date === nameDate.date) {
+      lines[0] = title.rest;
+    }
+    const drafts = draftsForDay(name, nameDate.date, lines.join('\n'));
+    return { drafts, skipped: drafts.length > 0 ? [] : [{ source: name, reason: 'Empty note' }] };
+  }
+  
+  const days = [];
+  const before = [];
+  lines.forEach(line => {
+    const start = parseDateLine(line);
+    if (start) {
+      days.push({ date: start.date, lines: start.rest ? [start.rest] : [] });
+    } else if (days.length > 0) {
+      days[days.length - 1].lines.push(line);
+    } else {
+      before.push(line);
+    }
+  });
+  
+  const skipped = [];
+  if (days.length === 0) {
+    skipped.push({ source: name, reason: 'No dates found (name the file by date or start each day with a date line)' });
+  } else if (before.join('').trim()) {
+    skipped.push({ source: name, reason: 'Text before the first date line was left out' });
+  }
+  const drafts = days.flatMap(day => draftsForDay(name, day.date, day.lines.join('\n')));
+  return { drafts, skipped };
+}
+
+/**
+ * Reads a JSON file written by GET /export (or a plain array of entries).
+ * The file's analyses are left out: the text is analyzed again, so a hand-made
+ * or older file can't put unchecked analysis fields into the log.
+ * 
+ * @param {string} name - File name
+ * @param {string} content - File text
+ * @returns {Object} { drafts, skipped } where drafts keep the other exported fields
+ */
+function readExport(name, content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { drafts: [], skipped: [{ source: name, reason: 'Not valid JSON' }] };
+  }
+  
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.entries;
+  if (!Array.isArray(list)) {
+    return { drafts: [], skipped: [{ source: name, reason: 'No entries array (expected a file from Export)' }] };
+  }
+  
+  const drafts = [];
+  const skipped = [];
+  list.forEach((entry, index) => {
+    if (!entry || typeof entry.text !== 'string' || !entry.text.trim() || isNaN(Date.parse(entry.timestamp))) {
+      skipped.push({ source: `${name} #${index + 1}`, reason: 'Entry needs text and a timestamp' });
+      return;
+    }
+    if (Array.isArray(entry.tags) && entry.tags.some(tag => typeof tag !== 'string')) {
+      skipped.push({ source: `${name} #${index + 1}`, reason: 'Tags must be an array of strings' });
+      return;
+    }
+    drafts.push({
+      source: name,
+      date: localDay(new Date(entry.timestamp)),
+      timestamp: entry.timestamp,
+      text: entry.text,
+      id: entry.id,
+      area: entry.area || null,
+      areaSource: entry.area ? 'file' : null,
+      tags: Array.isArray(entry.tags) ? entry.tags : [],
+      status: entry.status
+    });
+  });
+  return { drafts, skipped };
+}
+
+/**
+ * Lists the files in a zip archive. Only stored and deflated files are
+ * supported (what every common zip tool writes); ZIP64 archives are not.
+ * 
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array<Object>} Files as { name, data } where data is a Buffer, or
+ *   { name, error } for files that can't be unpacked
+ * @throws {Error} If the archive can't be read, or holds more than
+ *   MAX_ZIP_FILES files or MAX_UNPACKED_TOTAL bytes
+ */
+function readZip(buffer) {
+  // The end-of-directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+  
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > MAX_ZIP_FILES) {
+    throw new Error(`Archive has more than ${MAX_ZIP_FILES} files`);
+  }
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = [];
+  let unpackedTotal = 0;
+  
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Damaged zip archive');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    
+    if (name.endsWith('/')) continue;
+    
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    let file;
+    if (method === 0) {
+      file = { name, data };
+    } else if (method === 8) {
+      try {
+        file = { name, data: zlib.inflateRawSync(data, { maxOutputLength: MAX_UNPACKED_FILE }) };
+      } catch (error) {
+        file = { name, error: error.code === 'ERR_BUFFER_TOO_LARGE' ? 'File is too large' : 'Damaged file' };
+      }
+    } else {
+      file = { name, error: 'Unsupported compression method' };
+    }
+    
+    unpackedTotal += file.data ? file.data.length : 0;
+    if (unpackedTotal > MAX_UNPACKED_TOTAL) {
+      throw new Error(`Archive unpacks to more than ${MAX_UNPACKED_TOTAL / (1024 * 1024)} MB`);
+    }
+    files.push(file);
+  }
+  
+  return files;
+}
+
+/**
+ * Reads one file by type: JSON exports, text and Markdown journals.
+ * 
+ * @param {string} name - File name
+ * @param {string} content - File text
+ * @returns {Object} { drafts, skipped }
+ */
+function readFile(name, content) {
+  const extension = path.extname(name).toLowerCase();
+  if (extension === '.json') {
+    return readExport(name, content);
+  }
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    return readJournal(name, content);
+  }
+  return { drafts: [], skipped: [{ source: name, reason: 'Not a text, Markdown or JSON file' }] };
+}
+
+/**
+ * Turns uploaded files into draft entries, oldest first. Zip archives are
+ * sent base64-encoded; other files as text.
+ * 
+ * @param {Array<Object>} files - Files as { name, content } or { name, base64 } (zip)
+ * @returns {Object} { drafts, skipped } where drafts are { source, date, timestamp, text,
+ *   area, areaSource, tags } (plus id and status from exports) and
+ *   skipped holds { source, reason } for files or parts that were left out
+ */
+function parseImportFiles(files) {
+  const drafts = [];
+  const skipped = [];
+  const add = result => {
+    drafts.push(...result.drafts);
+    skipped.push(...result.skipped);
+  };
+  
+  files.forEach(file => {
+    if (path.extname(file.name).toLowerCase() !== '.zip') {
+      add(readFile(file.name, file.content || ''));
+      return;
+    }
+    
+    let unpacked;
+    try {
+      unpacked = readZip(Buffer.from(file.base64 || '', 'base64'));
+    } catch (error) {
+      skipped.push({ source: file.name, reason: error instanceof RangeError ? 'Damaged zip archive' : error.message });
+      return;
+    }
+    unpacked
+      .filter(entry => !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'))
+      .forEach(entry => {
+        const source = `${file.name}/${entry.name}`;
+        if (entry.error) {
+          skipped.push({ source, reason: entry.error });
+        } else {
+          add(readFile(source, entry.data.toString('utf8')));
+        }
+      });
+  });
+  
+  drafts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return { drafts, skipped };
+}
+
+/**
+ * Picks the area for an analyzed draft that no heading or file set: a
+ * #hashtag naming an area, then the analyzer's suggestion, then Misc.
+ * 
+ * @param {Object} draft - Draft from parseImportFiles
+ * @param {Object} analysis - The draft's analysis
+ * @returns {Object} { area, areaSource } where areaSource is 'heading', 'file',
+ *   'hashtag', 'suggested' or 'default'
+ */
+function inferArea(draft, analysis) {
+  if (draft.area) {
+    return { area: draft.area, areaSource: draft.areaSource };
+  }
+  const tagged = draft.tags.map(matchAreaName).find(Boolean);
+  if (tagged) {
+    return { area: tagged, areaSource: 'hashtag' };
+  }
+  const suggested = analysis && analysis.suggestedArea;
+  if (suggested && suggested.area !== 'Misc' && suggested.confidence >= AREA_MIN_CONFIDENCE) {
+    return { area: suggested.area, areaSource: 'suggested' };
+  }
+  return { area: 'Misc', areaSource: 'default' };
+}
+
+/**
+ * Builds the key two entries share when they are the same update: the local
+ * day plus the text with case and spacing ignored.
+ * 
+ * @param {Object} entry - Entry or draft with { timestamp, text }
+ * @returns {string} Key
+ */
+function duplicateKey(entry) {
+  return `${localDay(new Date(entry.timestamp))} ${entry.text.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+}
+
+/**
+ * Marks drafts that repeat a saved entry (same ID, or same day and text) and
+ * drops drafts that repeat an earlier draft.
+ * 
+ * @param {Array<Object>} drafts - Drafts with { timestamp, text, id? }
+ * @param {Array<Object>} existing - Saved entries
+ * @returns {Object} { drafts, repeated } where each draft has duplicateOf (the
+ *   saved entry's ID, or null) and repeated holds the indexes of dropped drafts
+ */
+function markDuplicates(drafts, existing) {
+  const byKey = new Map(existing.map(entry => [duplicateKey(entry), entry.id]));
+  const ids = new Set(existing.map(entry => entry.id));
+  const seen = new Set();
+  const kept = [];
+  const repeated = [];
+  
+  drafts.forEach((draft, index) => {
+    const key = duplicateKey(draft);
+    if (seen.has(key) || (draft.id !== undefined && seen.has(draft.id))) {
+      repeated.push(index);
+      return;
+    }
+    seen.add(key);
+    if (draft.id !== undefined) seen.add(draft.id);
+    
+    const duplicateOf = draft.id !== undefined && ids.has(draft.id) ? draft.id : byKey.get(key);
+    kept.push({ ...draft, duplicateOf: duplicateOf === undefined ? null : duplicateOf });
+  });
+  
+  return { drafts: kept, repeated };
+}
+
+module.exports = {
+  parseImportFiles,
+  inferArea,
+  markDuplicates
+};
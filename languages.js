@@ -0,0 +1,231 @@
+/**
+ * Goal Update Analyzer - Language Profiles
+ * 
+ * Per-language word lists used by the heuristics (stopwords, negators,
+ * intensifiers, contrast words, abbreviations, commitment phrases and to-do
+ * verbs for action items) plus a small offline language
+ * detector based on function words and characteristic letters. Sentiment
+ * keywords for each language live in the lexicon (lexicon.js).
+ */
+
+// Language used when detection finds nothing to go on
+const DEFAULT_LANGUAGE = 'en';
+
+// Detection needs at least this much evidence to move away from the default
+const MIN_DETECTION_SCORE = 2;
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    
+    // Common words that carry no topic information for summary ranking
+    stopwords: [
+      'a', 'an', 'the', 'and', 'or', 'but', 'so', 'if', 'then', 'than', 'to', 'of',
+      'in', 'on', 'at', 'for', 'with', 'from', 'by', 'as', 'into', 'about', 'up',
+      'out', 'over', 'it', 'its', 'it\'s', 'this', 'that', 'these', 'those', 'is',
+      'am', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do',
+      'does', 'did', 'i', 'i\'m', 'i\'ve', 'me', 'my', 'we', 'our', 'you', 'your',
+      'he', 'she', 'they', 'them', 'their', 'just', 'also', 'too', 'very', 'really',
+      'some', 'any', 'all', 'still', 'today', 'ok', 'okay', 'pretty', 'quite', 'bit',
+      'lot', 'thing', 'things', 'stuff', 'got', 'get', 'went', 'go', 'kind', 'sort'
+    ],
+    
+    // Words that flip the polarity of keywords that follow them ("not good", "never felt stuck")
+    negators: [
+      'not', 'no', 'never', 'none', 'nothing', 'nobody', 'neither', 'nor',
+      'without', 'hardly', 'barely'
+    ],
+    
+    // Contractions ending in n't ("wasn't", "didn't") are negators too
+    negatorSuffix: /n't$/,
+    
+    // Words that strengthen or weaken the keyword right after them
+    intensifiers: {
+      'very': 1.5, 'really': 1.5, 'so': 1.3, 'extremely': 1.8, 'super': 1.5,
+      'totally': 1.5, 'incredibly': 1.8, 'completely': 1.5, 'absolutely': 1.6,
+      'slightly': 0.5, 'somewhat': 0.6, 'kinda': 0.6, 'little': 0.6, 'mildly': 0.5
+    },
+    
+    // Words that shift emphasis to the clause after them ("tired, but proud")
+    contrastWords: ['but', 'however', 'nevertheless', 'nonetheless'],
+    
+    // Verbs that usually mark the sentence reporting what actually happened
+    accomplishmentWords: [
+      'finished', 'shipped', 'completed', 'launched', 'released', 'deployed',
+      'fixed', 'solved', 'passed', 'submitted', 'published', 'merged', 'ran',
+      'read', 'built', 'wrote', 'started', 'hit', 'reached', 'beat'
+    ],
+    
+    // Words ending in a period that don't end a sentence
+    abbreviations: ['e.g', 'i.e', 'etc', 'vs', 'approx', 'mr', 'mrs', 'ms', 'dr', 'st'],
+    
+    // Phrases that introduce something the writer intends to do
+    // ("tomorrow I'll do intervals", "need to email the landlord", "TODO: pay rent")
+    commitmentPattern: /\b(?:(?:i|we)\s+(?:will|shall)|(?:i|we)['\u2019]ll|going\s+to|gonna|needs?\s+to|ha(?:ve|s)\s+to|got\s+to|plan(?:ning)?\s+to|intend\s+to|todo:?|to-do:?)\s+/gi,
+    
+    // Words right before a commitment phrase that turn it into a past or negated
+    // statement ("was going to", "didn't need to")
+    commitmentCancellers: ['was', 'were', 'didn\'t', 'don\'t', 'doesn\'t', 'never', 'not'],
+    
+    // Verbs that start an imperative to-do bullet ("- email the landlord")
+    todoVerbs: [
+      'email', 'call', 'text', 'buy', 'order', 'book', 'schedule', 'write', 'finish',
+      'fix', 'send', 'read', 'run', 'clean', 'review', 'pay', 'update', 'prepare',
+      'plan', 'practice', 'ask', 'check', 'cancel', 'renew', 'file', 'submit',
+      'start', 'try', 'do', 'learn', 'study', 'refactor', 'deploy', 'test', 'post'
+    ],
+    
+    // Whether to-do bullets end with the verb instead ("- Vermieter anrufen")
+    todoVerbLast: false,
+    
+    // Letters that (almost) only show up in this language
+    characteristicLetters: null
+  },
+  
+  es: {
+    name: 'Spanish',
+    stopwords: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'e', 'o', 'u',
+      'pero', 'que', 'de', 'del', 'a', 'al', 'en', 'con', 'por', 'para', 'sin',
+      'sobre', 'entre', 'hasta', 'desde', 'es', 'son', 'fue', 'era', 'ser', 'estar',
+      'estoy', 'está', 'están', 'estaba', 'he', 'ha', 'han', 'hay', 'hoy', 'yo',
+      'me', 'mi', 'mis', 'tu', 'su', 'sus', 'nos', 'se', 'lo', 'le', 'les', 'este',
+      'esta', 'esto', 'ese', 'esa', 'eso', 'muy', 'más', 'ya', 'también', 'como',
+      'cuando', 'porque', 'si', 'algo', 'todo', 'todos', 'poco', 'bastante', 'mucho'
+    ],
+    negators: ['no', 'nunca', 'jamás', 'ni', 'nada', 'nadie', 'ninguno', 'ninguna', 'tampoco', 'sin', 'apenas'],
+    negatorSuffix: null,
+    intensifiers: {
+      'muy': 1.5, 'realmente': 1.5, 'tan': 1.3, 'super': 1.5, 'súper': 1.5,
+      'extremadamente': 1.8, 'increíblemente': 1.8, 'totalmente': 1.5,
+      'completamente': 1.5, 'bastante': 1.3, 'algo': 0.6, 'poco': 0.6,
+      'ligeramente': 0.5
+    },
+    contrastWords: ['pero', 'embargo', 'sino', 'aunque'],
+    accomplishmentWords: [
+      'terminé', 'completé', 'acabé', 'logré', 'corrí', 'leí', 'publiqué', 'lancé',
+      'arreglé', 'resolví', 'empecé', 'alcancé', 'gané', 'superé', 'escribí', 'aprobé'
+    ],
+    abbreviations: ['p.ej', 'etc', 'sr', 'sra', 'srta', 'dr', 'dra', 'aprox', 'núm'],
+    commitmentPattern: /\b(?:(?:voy|vamos)\s+a|(?:tengo|tenemos|hay)\s+que|necesit(?:o|amos)|deb(?:o|emos)|planeo|todo:?)\s+/gi,
+    commitmentCancellers: ['no', 'nunca', 'jamás', 'tampoco'],
+    todoVerbs: [
+      'llamar', 'comprar', 'pedir', 'reservar', 'escribir', 'enviar', 'mandar',
+      'terminar', 'arreglar', 'leer', 'limpiar', 'revisar', 'pagar', 'actualizar',
+      'preparar', 'planear', 'practicar', 'preguntar', 'cancelar', 'renovar',
+      'entregar', 'empezar', 'probar', 'hacer', 'aprender', 'estudiar', 'contestar'
+    ],
+    todoVerbLast: false,
+    characteristicLetters: /[ñ¿¡]/g
+  },
+  
+  de: {
+    name: 'German',
+    stopwords: [
+      'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem',
+      'einer', 'und', 'oder', 'aber', 'dass', 'zu', 'zum', 'zur', 'von', 'vom',
+      'mit', 'für', 'auf', 'in', 'im', 'an', 'am', 'bei', 'nach', 'aus', 'über',
+      'ist', 'sind', 'war', 'waren', 'bin', 'bist', 'habe', 'hat', 'haben', 'hatte',
+      'ich', 'mich', 'mir', 'mein', 'meine', 'wir', 'uns', 'du', 'er', 'sie', 'es',
+      'heute', 'auch', 'noch', 'schon', 'nur', 'sehr', 'so', 'wie', 'als', 'wenn',
+      'weil', 'dann', 'etwas', 'ganz', 'mal', 'doch', 'ja'
+    ],
+    negators: ['nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'nie', 'niemals', 'nichts', 'ohne', 'weder', 'kaum'],
+    negatorSuffix: null,
+    intensifiers: {
+      'sehr': 1.5, 'wirklich': 1.5, 'echt': 1.5, 'so': 1.3, 'total': 1.5,
+      'extrem': 1.8, 'unglaublich': 1.8, 'völlig': 1.5, 'ziemlich': 1.3,
+      'etwas': 0.6, 'bisschen': 0.6, 'leicht': 0.5
+    },
+    contrastWords: ['aber', 'jedoch', 'trotzdem', 'dennoch', 'sondern'],
+    accomplishmentWords: [
+      'fertig', 'abgeschlossen', 'geschafft', 'beendet', 'gelaufen', 'gelesen',
+      'veröffentlicht', 'gestartet', 'behoben', 'gelöst', 'erreicht', 'gewonnen',
+      'geschrieben', 'bestanden'
+    ],
+    abbreviations: ['z.b', 'd.h', 'usw', 'bzw', 'ca', 'evtl', 'ggf', 'inkl', 'nr', 'dr'],
+    
+    // Both word orders: "ich muss ..." and "morgen muss ich ..."
+    commitmentPattern: /(?:\b(?:ich|wir)\s+(?:werden?|muss|müssen|will|wollen|plane|planen)|\b(?:werde|muss|will|plane)\s+ich|\b(?:werden|müssen|wollen|planen)\s+wir|\btodo:?)\s+/gi,
+    commitmentCancellers: ['nicht', 'nie', 'niemals'],
+    todoVerbs: [
+      'anrufen', 'kaufen', 'einkaufen', 'bestellen', 'buchen', 'schreiben', 'schicken',
+      'abschicken', 'bezahlen', 'zahlen', 'lesen', 'lernen', 'üben', 'aufräumen',
+      'putzen', 'erledigen', 'vorbereiten', 'planen', 'fragen', 'prüfen', 'kündigen',
+      'verlängern', 'einreichen', 'abgeben', 'reparieren', 'beantworten', 'fertigmachen'
+    ],
+    todoVerbLast: true,
+    characteristicLetters: /[äöüß]/g
+  }
+};
+
+/**
+ * Lists the supported language codes.
+ * 
+ * @returns {string[]} Language codes (ISO 639-1)
+ */
+function listLanguages() {
+  return Object.keys(LANGUAGES);
+}
+
+/**
+ * Checks whether a language code is supported.
+ * 
+ * @param {string} code - Language code
+ * @returns {boolean} True if supported
+ */
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * Gets the profile for a language, falling back to the default language.
+ * 
+ * @param {string} [code] - Language code
+ * @returns {Object} Profile with code, name and word lists
+ */
+function getLanguage(code) {
+  const key = isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+  return { code: key, ...LANGUAGES[key] };
+}
+
+/**
+ * Guesses the language of a text. Each function word scores a point for every
+ * language that uses it, and characteristic letters ("ñ", "ß") score two.
+ * 
+ * @param {string} text - Text to classify
+ * @returns {Object} { language, confidence } where confidence is 0..1
+ *   (0 when there was nothing to go on and the default was used)
+ */
+function detectLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+(?:['’]\p{L}+)*/gu) || [];
+  const scores = {};
+  
+  listLanguages().forEach(code => {
+    const { stopwords, negators, characteristicLetters } = LANGUAGES[code];
+    const functionWords = new Set([...stopwords, ...negators]);
+    const letters = characteristicLetters ? text.toLowerCase().match(characteristicLetters) || [] : [];
+    scores[code] = words.filter(word => functionWords.has(word)).length + 2 * letters.length;
+  });
+  
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  
+  if (bestScore < MIN_DETECTION_SCORE || bestScore === ranked[1][1]) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+  
+  // Share of the evidence, discounted for very short texts
+  const share = bestScore / total;
+  const amount = Math.min(1, bestScore / 6);
+  return { language: best, confidence: Math.round(share * amount * 100) / 100 };
+}
+
+module.exports = {
+  detectLanguage,
+  getLanguage,
+  isSupportedLanguage,
+  listLanguages,
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,289 @@
+/**
+ * Goal Update Analyzer - Sentiment Lexicon Storage
+ * 
+ * Keeps the weighted sentiment keywords in a versioned JSON file
+ * (data/lexicon.json by default) so they can be tuned through the API
+ * without editing code. Positive weights push sentiment up, negative
+ * weights push it down; the built-in defaults are used until the first edit.
+ * Every term belongs to one language (see languages.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const languages = require('./languages');
+
+// Where user data lives (override with DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LEXICON_FILE = path.join(DATA_DIR, 'lexicon.json');
+
+// Bump when the file layout changes so older files can be migrated on load
+const SCHEMA_VERSION = 2;
+
+// Allowed weight range for a single term
+const MIN_WEIGHT = -3;
+const MAX_WEIGHT = 3;
+const MAX_TERM_LENGTH = 40;
+
+// Built-in lexicon per language (used until the user edits it, and by POST /lexicon/reset)
+const DEFAULT_WORDS = {
+  en: {
+    positive: [
+      'good', 'great', 'excellent', 'progress', 'achieved', 'completed',
+      'happy', 'satisfied', 'improved', 'better', 'success', 'win',
+      'accomplished', 'proud', 'excited', 'motivated', 'grateful', 'thankful'
+    ],
+    negative: [
+      'bad', 'failed', 'struggled', 'difficult', 'problem', 'stuck',
+      'worried', 'disappointed', 'frustrated', 'hard', 'challenge',
+      'blocked', 'stressed', 'overwhelmed', 'can\'t', 'cannot', 'hurt',
+      'hurts', 'skipped', 'missed'
+    ]
+  },
+  es: {
+    positive: [
+      'bien', 'bueno', 'buena', 'genial', 'excelente', 'progreso', 'avance',
+      'logré', 'logrado', 'completé', 'completado', 'feliz', 'contento', 'contenta',
+      'satisfecho', 'satisfecha', 'mejor', 'mejoré', 'éxito', 'orgulloso',
+      'orgullosa', 'emocionado', 'emocionada', 'motivado', 'motivada',
+      'agradecido', 'agradecida', 'fantástico'
+    ],
+    negative: [
+      'mal', 'malo', 'mala', 'fallé', 'fracaso', 'difícil', 'problema',
+      'atascado', 'atascada', 'preocupado', 'preocupada', 'decepcionado',
+      'decepcionada', 'frustrado', 'frustrada', 'cansado', 'cansada', 'estresado',
+      'estresada', 'agobiado', 'agobiada', 'bloqueado', 'bloqueada', 'dolor',
+      'duele', 'lesión', 'perdí'
+    ]
+  },
+  de: {
+    positive: [
+      'gut', 'super', 'toll', 'großartig', 'ausgezeichnet', 'fortschritt',
+      'fortschritte', 'geschafft', 'erreicht', 'erledigt', 'glücklich', 'zufrieden',
+      'besser', 'verbessert', 'erfolg', 'erfolgreich', 'stolz', 'motiviert',
+      'dankbar', 'begeistert'
+    ],
+    negative: [
+      'schlecht', 'gescheitert', 'schwierig', 'schwer', 'problem', 'probleme',
+      'festgefahren', 'blockiert', 'besorgt', 'enttäuscht', 'frustriert',
+      'gestresst', 'überfordert', 'müde', 'verletzt', 'weh', 'schmerzen', 'verpasst',
+      'ausgelassen'
+    ]
+  }
+};
+
+const DEFAULT_TERMS = Object.entries(DEFAULT_WORDS).flatMap(([language, words]) => [
+  ...words.positive.map(term => ({ term, weight: 1, language })),
+  ...words.negative.map(term => ({ term, weight: -1, language }))
+]);
+
+// In-memory copy of the current lexicon (loaded lazily)
+let current = null;
+
+/**
+ * Builds a fresh lexicon object from the built-in defaults.
+ * 
+ * @returns {Object} { schemaVersion, version, updatedAt, terms }
+ */
+function defaultLexicon() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    version: 0,
+    updatedAt: null,
+    terms: DEFAULT_TERMS.map(item => ({ ...item }))
+  };
+}
+
+/**
+ * Normalizes a term for storage and lookup (lowercase, single spaces,
+ * straight apostrophes).
+ * 
+ * @param {string} term - Term as entered
+ * @returns {string} Normalized term
+ */
+function normalizeTerm(term) {
+  return term.trim().toLowerCase().replace(/’/g, '\'').replace(/\s+/g, ' ');
+}
+
+/**
+ * Validates a term, weight and language.
+ * 
+ * @param {*} term - Term value from a request
+ * @param {*} weight - Weight value from a request
+ * @param {*} [language] - Language code (defaults to English)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTerm(term, weight, language = languages.DEFAULT_LANGUAGE) {
+  if (typeof term !== 'string' || normalizeTerm(term).length === 0) {
+    return 'Term must be a non-empty string';
+  }
+  if (normalizeTerm(term).length > MAX_TERM_LENGTH) {
+    return `Term must be ${MAX_TERM_LENGTH} characters or less`;
+  }
+  if (!/^\p{L}[\p{L}' -]*$/u.test(normalizeTerm(term))) {
+    return 'Term may only contain letters, spaces, hyphens and apostrophes';
+  }
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight === 0) {
+    return 'Weight must be a non-zero number';
+  }
+  if (weight < MIN_WEIGHT || weight > MAX_WEIGHT) {
+    return `Weight must be between ${MIN_WEIGHT} and ${MAX_WEIGHT}`;
+  }
+  if (!languages.isSupportedLanguage(language)) {
+    return `Language must be one of: ${languages.listLanguages().join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Gets the current lexicon, loading it from disk on first use.
+ * Falls back to the defaults if the file is missing or unreadable.
+ * Files from before languages existed hold English terms only, so the
+ * other languages' defaults are added to them.
+ * 
+ * @returns {Object} { schemaVersion, version, updatedAt, terms: [{ term, weight, language }] }
+ */
+function getLexicon() {
+  if (current) {
+    return current;
+  }
+  
+  try {
+    const stored = JSON.parse(fs.readFileSync(LEXICON_FILE, 'utf8'));
+    if (!Array.isArray(stored.terms)) {
+      throw new Error('Lexicon file has no terms array');
+    }
+    let terms = stored.terms;
+    if (!stored.schemaVersion || stored.schemaVersion < 2) {
+      terms = [
+        ...terms.map(item => ({ ...item, language: languages.DEFAULT_LANGUAGE })),
+        ...DEFAULT_TERMS.filter(item => item.language !== languages.DEFAULT_LANGUAGE)
+      ];
+    }
+    
+    current = {
+      schemaVersion: SCHEMA_VERSION,
+      version: stored.version || 0,
+      updatedAt: stored.updatedAt || null,
+      terms: terms.filter(item => validateTerm(item.term, item.weight, item.language) === null)
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading lexicon, using defaults:', error.message);
+    }
+    current = defaultLexicon();
+  }
+  
+  return current;
+}
+
+/**
+ * Saves a new term list as the next version of the lexicon.
+ * 
+ * @param {Array<Object>} terms - Terms as { term, weight, language }
+ * @returns {Object} The saved lexicon
+ */
+function saveTerms(terms) {
+  const previous = getLexicon();
+  const lexicon = {
+    schemaVersion: SCHEMA_VERSION,
+    version: previous.version + 1,
+    updatedAt: new Date().toISOString(),
+    terms: [...terms].sort((a, b) => a.language.localeCompare(b.language) || a.term.localeCompare(b.term))
+  };
+  
+  // Write to a temp file first so a crash never leaves half a lexicon behind
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempFile = `${LEXICON_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(lexicon, null, 2));
+  fs.renameSync(tempFile, LEXICON_FILE);
+  
+  current = lexicon;
+  return lexicon;
+}
+
+/**
+ * Creates an error for a stale version (the lexicon changed since the client read it).
+ * 
+ * @param {number} expected - Version the client based its change on
+ * @returns {Error} Error with code 'VERSION_CONFLICT'
+ */
+function versionConflict(expected) {
+  const error = new Error(`Lexicon is at version ${getLexicon().version}, not ${expected}`);
+  error.code = 'VERSION_CONFLICT';
+  return error;
+}
+
+/**
+ * Replaces the whole term list. Terms must already be validated.
+ * 
+ * @param {Array<Object>} terms - Terms as { term, weight, language? } (language defaults to English)
+ * @param {number} [expectedVersion] - If given, fail unless the lexicon is still at this version
+ * @returns {Object} The saved lexicon
+ */
+function replaceTerms(terms, expectedVersion) {
+  if (expectedVersion !== undefined && expectedVersion !== getLexicon().version) {
+    throw versionConflict(expectedVersion);
+  }
+  
+  // Later duplicates (same term and language) win
+  const byTerm = new Map();
+  terms.forEach(item => {
+    const term = normalizeTerm(item.term);
+    const language = item.language || languages.DEFAULT_LANGUAGE;
+    byTerm.set(`${language}:${term}`, { term, weight: item.weight, language });
+  });
+  
+  return saveTerms([...byTerm.values()]);
+}
+
+/**
+ * Adds a term, or updates its weight if it already exists.
+ * 
+ * @param {string} term - Term (validated)
+ * @param {number} weight - Weight (validated)
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Object} The saved lexicon
+ */
+function setTerm(term, weight, language = languages.DEFAULT_LANGUAGE) {
+  const normalized = normalizeTerm(term);
+  const terms = getLexicon().terms.filter(item => !(item.term === normalized && item.language === language));
+  terms.push({ term: normalized, weight, language });
+  return saveTerms(terms);
+}
+
+/**
+ * Removes a term.
+ * 
+ * @param {string} term - Term to remove
+ * @param {string} [language] - Language code (defaults to English)
+ * @returns {Object|null} The saved lexicon, or null if the term wasn't in it
+ */
+function removeTerm(term, language = languages.DEFAULT_LANGUAGE) {
+  const normalized = normalizeTerm(term);
+  const matches = item => item.term === normalized && item.language === language;
+  const terms = getLexicon().terms;
+  if (!terms.some(matches)) {
+    return null;
+  }
+  return saveTerms(terms.filter(item => !matches(item)));
+}
+
+/**
+ * Restores the built-in defaults (as a new version, so clients notice).
+ * 
+ * @returns {Object} The saved lexicon
+ */
+function resetLexicon() {
+  return saveTerms(defaultLexicon().terms);
+}
+
+module.exports = {
+  getLexicon,
+  validateTerm,
+  normalizeTerm,
+  replaceTerms,
+  setTerm,
+  removeTerm,
+  resetLexicon,
+  DATA_DIR
+};
@@ -0,0 +1,93 @@
+/**
+ * Goal Update Analyzer - Mood Dimensions
+ * 
+ * Word lists for the mood dimensions scored next to sentiment. Each dimension
+ * runs from a low pole to a high pole; positive weights point to the high
+ * pole ("energized"), negative weights to the low pole ("tired"). Terms can
+ * be phrases ("worn out") and are listed per language like the lexicon.
+ */
+
+const MOOD_DIMENSIONS = {
+  energy: {
+    low: 'tired',
+    high: 'energized',
+    terms: {
+      en: {
+        'energized': 1, 'energised': 1, 'energetic': 1, 'rested': 1, 'refreshed': 1,
+        'fresh': 0.5, 'alert': 0.5, 'awake': 0.5, 'lively': 1, 'pumped': 1.5,
+        'fired up': 1.5, 'buzzing': 1,
+        'tired': -1, 'exhausted': -1.5, 'drained': -1.5, 'fatigued': -1, 'sleepy': -1,
+        'sluggish': -1, 'groggy': -1, 'lethargic': -1, 'knackered': -1.5, 'wiped': -1,
+        'worn out': -1.5, 'burned out': -1.5, 'burnt out': -1.5, 'sore': -0.5
+      },
+      es: {
+        'enérgico': 1, 'enérgica': 1, 'descansado': 1, 'descansada': 1, 'fresco': 0.5,
+        'fresca': 0.5, 'con energía': 1,
+        'cansado': -1, 'cansada': -1, 'agotado': -1.5, 'agotada': -1.5,
+        'exhausto': -1.5, 'exhausta': -1.5, 'somnoliento': -1, 'sin energía': -1.5
+      },
+      de: {
+        'energiegeladen': 1.5, 'ausgeruht': 1, 'fit': 1, 'frisch': 0.5, 'wach': 0.5,
+        'müde': -1, 'erschöpft': -1.5, 'kaputt': -1.5, 'schlapp': -1, 'ausgelaugt': -1.5,
+        'platt': -1
+      }
+    }
+  },
+  
+  stress: {
+    low: 'calm',
+    high: 'overwhelmed',
+    terms: {
+      en: {
+        'stressed': 1, 'stressful': 1, 'overwhelmed': 1.5, 'anxious': 1, 'nervous': 0.5,
+        'tense': 1, 'pressure': 1, 'rushed': 1, 'swamped': 1, 'hectic': 1,
+        'frantic': 1.5, 'panic': 1.5, 'panicked': 1.5, 'worried': 0.5, 'deadline': 0.5,
+        'calm': -1, 'relaxed': -1, 'peaceful': -1, 'chill': -1, 'serene': -1,
+        'at ease': -1, 'laid back': -1, 'unhurried': -1, 'quiet': -0.5, 'easy': -0.5
+      },
+      es: {
+        'estresado': 1, 'estresada': 1, 'estrés': 1, 'agobiado': 1.5, 'agobiada': 1.5,
+        'ansioso': 1, 'ansiosa': 1, 'nervioso': 0.5, 'nerviosa': 0.5, 'presión': 1,
+        'tenso': 1, 'tensa': 1, 'prisa': 0.5,
+        'tranquilo': -1, 'tranquila': -1, 'relajado': -1, 'relajada': -1, 'calma': -1,
+        'paz': -1
+      },
+      de: {
+        'gestresst': 1, 'stress': 1, 'überfordert': 1.5, 'nervös': 0.5, 'angespannt': 1,
+        'druck': 1, 'hektisch': 1, 'ängstlich': 1,
+        'ruhig': -1, 'entspannt': -1, 'gelassen': -1, 'locker': -0.5
+      }
+    }
+  },
+  
+  confidence: {
+    low: 'doubtful',
+    high: 'sure',
+    terms: {
+      en: {
+        'confident': 1, 'sure': 1, 'certain': 1, 'capable': 1, 'ready': 1,
+        'prepared': 0.5, 'determined': 1, 'convinced': 1, 'optimistic': 0.5,
+        'on track': 1, 'believe': 0.5,
+        'doubt': -1, 'doubts': -1, 'doubtful': -1, 'unsure': -1, 'uncertain': -1,
+        'insecure': -1, 'hesitant': -1, 'confused': -1, 'clueless': -1, 'lost': -0.5,
+        'no idea': -1, 'impostor': -1, 'imposter': -1
+      },
+      es: {
+        'seguro': 1, 'segura': 1, 'confiado': 1, 'confiada': 1, 'capaz': 1,
+        'decidido': 1, 'decidida': 1, 'preparado': 0.5, 'preparada': 0.5,
+        'duda': -1, 'dudas': -1, 'inseguro': -1, 'insegura': -1, 'confundido': -1,
+        'confundida': -1, 'perdido': -0.5, 'perdida': -0.5
+      },
+      de: {
+        'sicher': 1, 'zuversichtlich': 1, 'überzeugt': 1, 'entschlossen': 1,
+        'bereit': 0.5,
+        'unsicher': -1, 'zweifel': -1, 'zweifle': -1, 'verunsichert': -1,
+        'ratlos': -1, 'verwirrt': -1
+      }
+    }
+  }
+};
+
+module.exports = {
+  MOOD_DIMENSIONS
+};
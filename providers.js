@@ -0,0 +1,260 @@
+/**
+ * Goal Update Analyzer - Analysis Providers
+ * 
+ * A small registry of analysis backends. Every provider exposes the same
+ * async interface:
+ * 
+ *   analyze(text, options) => Promise<analysis>
+ * 
+ * The built-in heuristics (analyzer.js) are the default provider. The
+ * "local-http" provider calls a configurable OpenAI-compatible chat endpoint
+ * (e.g. a model server on localhost). If a provider fails or times out, the
+ * heuristics are used instead so /analyze always returns a result.
+ */
+
+const analyzer = require('./analyzer');
+
+// Provider used when neither the request nor the environment picks one
+const DEFAULT_PROVIDER = 'heuristic';
+
+// Local HTTP provider configuration (see README "Environment Variables")
+const HTTP_URL = process.env.ANALYZER_HTTP_URL || 'http://localhost:11434/v1/chat/completions';
+const HTTP_MODEL = process.env.ANALYZER_HTTP_MODEL || 'llama3.1';
+const HTTP_TIMEOUT_MS = parseInt(process.env.ANALYZER_HTTP_TIMEOUT_MS, 10) || 10000;
+
+const VALID_LABELS = ['Positive', 'Neutral', 'Negative'];
+
+// Sentiment details the model can't produce (they need character offsets), so
+// local-http results keep the heuristic ones; they may disagree with the
+// model's overall label
+const HEURISTIC_SENTIMENT_FIELDS = ['evidence', 'sentences'];
+
+// Registered providers by name
+const providers = {};
+
+// Set once an unknown ANALYZER_PROVIDER has been reported
+let warnedUnknownDefault = false;
+
+/**
+ * Registers an analysis provider.
+ * 
+ * @param {string} name - Provider name used in requests and ANALYZER_PROVIDER
+ * @param {Object} provider - Object with an async analyze(text, options) method
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.analyze !== 'function') {
+    throw new Error(`Provider "${name}" must implement analyze(text, options)`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Lists the names of all registered providers.
+ * 
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Checks whether a provider with this name is registered.
+ * 
+ * @param {string} name - Provider name
+ * @returns {boolean} True if registered
+ */
+function hasProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name);
+}
+
+/**
+ * Gets the provider name configured through the environment. A name that
+ * isn't registered (e.g. a typo) logs a warning and falls back to the
+ * heuristics instead of failing every analysis.
+ * 
+ * @returns {string} Provider name (defaults to 'heuristic')
+ */
+function getDefaultProviderName() {
+  const name = process.env.ANALYZER_PROVIDER || DEFAULT_PROVIDER;
+  if (hasProvider(name)) {
+    return name;
+  }
+  
+  if (!warnedUnknownDefault) {
+    warnedUnknownDefault = true;
+    console.warn(`Unknown ANALYZER_PROVIDER "${name}" (expected one of: ${listProviders().join(', ')}), ` +
+      `using ${DEFAULT_PROVIDER}`);
+  }
+  return DEFAULT_PROVIDER;
+}
+
+/**
+ * Analyzes text with the requested provider, falling back to the heuristics
+ * on error or timeout. The result records which provider produced it.
+ * 
+ * @param {string} text - Trimmed, validated update text
+ * @param {Object} [options] - { provider } to override the configured provider;
+ *   other options (e.g. area, tags, history) are passed through to the provider
+ * @returns {Promise<Object>} Analysis result with a `provider` field, plus
+ *   `fallbackFrom` and `fallbackReason` when the heuristics had to step in
+ */
+async function analyze(text, options = {}) {
+  const name = options.provider || getDefaultProviderName();
+  const provider = providers[name];
+  
+  if (!provider) {
+    throw new Error(`Unknown analysis provider "${name}"`);
+  }
+  
+  try {
+    const analysis = await provider.analyze(text, options);
+    return { ...analysis, provider: name };
+  } catch (error) {
+    if (name === DEFAULT_PROVIDER) {
+      throw error;
+    }
+    
+    console.warn(`Provider "${name}" failed, falling back to ${DEFAULT_PROVIDER}:`, error.message);
+    const analysis = await providers[DEFAULT_PROVIDER].analyze(text, options);
+    return {
+      ...analysis,
+      provider: DEFAULT_PROVIDER,
+      fallbackFrom: name,
+      fallbackReason: error.message
+    };
+  }
+}
+
+/**
+ * Builds the chat messages sent to the local model.
+ * 
+ * @param {string} text - Update text
+ * @returns {Array<Object>} OpenAI-style chat messages
+ */
+function buildMessages(text) {
+  return [
+    {
+      role: 'system',
+      content: 'You analyze short personal goal updates. Reply with JSON only, shaped as ' +
+        '{"summaryBullets": string[2-3], "sentimentLabel": "Positive"|"Neutral"|"Negative", ' +
+        '"sentimentScore": number between -1 and 1, "confidence": number between 0 and 1, ' +
+        '"nextStep": string}.'
+    },
+    { role: 'user', content: text }
+  ];
+}
+
+/**
+ * Parses and validates the model's JSON reply.
+ * 
+ * @param {string} content - Message content returned by the model
+ * @returns {Object} Validated fields to merge into the analysis
+ */
+function parseModelReply(content) {
+  // Models sometimes wrap JSON in prose or code fences; take the outermost object
+  const jsonStart = content.indexOf('{');
+  const jsonEnd = content.lastIndexOf('}');
+  if (jsonStart === -1 || jsonEnd <= jsonStart) {
+    throw new Error('Model reply did not contain JSON');
+  }
+  
+  const reply = JSON.parse(content.slice(jsonStart, jsonEnd + 1));
+  
+  if (!Array.isArray(reply.summaryBullets) || reply.summaryBullets.length === 0) {
+    throw new Error('Model reply is missing summaryBullets');
+  }
+  if (!VALID_LABELS.includes(reply.sentimentLabel)) {
+    throw new Error(`Model reply has invalid sentimentLabel "${reply.sentimentLabel}"`);
+  }
+  if (typeof reply.nextStep !== 'string' || reply.nextStep.trim().length === 0) {
+    throw new Error('Model reply is missing nextStep');
+  }
+  
+  const fields = {
+    summaryBullets: reply.summaryBullets.map(String).slice(0, 3),
+    sentimentLabel: reply.sentimentLabel,
+    nextStep: reply.nextStep.trim()
+  };
+  
+  if (typeof reply.sentimentScore === 'number') {
+    fields.sentimentScore = Math.max(-1, Math.min(1, reply.sentimentScore));
+  }
+  if (typeof reply.confidence === 'number') {
+    fields.confidence = Math.max(0, Math.min(1, reply.confidence));
+  }
+  
+  return fields;
+}
+
+// Default provider: the deterministic heuristics in analyzer.js
+registerProvider('heuristic', {
+  async analyze(text, options) {
+    return analyzer.analyzeText(text, options);
+  }
+});
+
+// Local model behind an OpenAI-compatible /chat/completions endpoint.
+// The model supplies summary, sentiment and next step; the heuristics still
+// provide the offset-based fields (evidence, sentences) it cannot produce,
+// listed in heuristicFields so clients can tell them apart.
+registerProvider('local-http', {
+  async analyze(text, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+    
+    let body;
+    try {
+      const response = await fetch(HTTP_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: HTTP_MODEL,
+          messages: buildMessages(text),
+          temperature: 0
+        }),
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Model server responded with ${response.status}`);
+      }
+      
+      body = await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Timed out after ${HTTP_TIMEOUT_MS}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+    
+    const content = body.choices && body.choices[0] && body.choices[0].message
+      ? body.choices[0].message.content
+      : null;
+    if (typeof content !== 'string') {
+      throw new Error('Model server returned no message content');
+    }
+    
+    const analysis = {
+      ...analyzer.analyzeText(text, options),
+      ...parseModelReply(content)
+    };
+    
+    // Relevance scores belong to the heuristic bullets the model just replaced,
+    // and the rule-based next steps to the heuristic next step
+    delete analysis.summaryDetails;
+    analysis.nextSteps = [{ text: analysis.nextStep, rule: 'model' }];
+    analysis.heuristicFields = HEURISTIC_SENTIMENT_FIELDS;
+    
+    return analysis;
+  }
+});
+
+module.exports = {
+  analyze,
+  registerProvider,
+  listProviders,
+  hasProvider,
+  getDefaultProviderName
+};
@@ -3,9 +3,11 @@
  * 
  * Handles:
  * - AJAX requests to analyze text
- * - localStorage management for saved updates
+ * - Saved updates, stored on the server through the /entries API
+ *   (changes go through the offline-safe queue in sync.js)
  * - Sidebar toggle functionality
  * - Read-only modal for viewing saved updates
+ * - Sentiment lexicon settings
  */
 
 // DOM Elements
@@ -15,8 +17,27 @@ const areaSelect = document.getElementById('areaSelect');
 const resultsSection = document.getElementById('resultsSection');
 const summaryList = document.getElementById('summaryList');
 const sentimentLabel = document.getElementById('sentimentLabel');
+const sentimentMeta = document.getElementById('sentimentMeta');
+const evidenceText = document.getElementById('evidenceText');
 const nextStep = document.getElementById('nextStep');
+const nextStepRules = document.getElementById('nextStepRules');
+const sentenceCard = document.getElementById('sentenceCard');
+const moodCard = document.getElementById('moodCard');
+const moodList = document.getElementById('moodList');
+const actionItemsCard = document.getElementById('actionItemsCard');
+const metricsCard = document.getElementById('metricsCard');
+const metricsList = document.getElementById('metricsList');
+const actionItemsList = document.getElementById('actionItemsList');
+const blockersCard = document.getElementById('blockersCard');
+const blockersList = document.getElementById('blockersList');
+const tasksCard = document.getElementById('tasksCard');
+const tasksList = document.getElementById('tasksList');
+const sentenceList = document.getElementById('sentenceList');
+const sentenceSource = document.getElementById('sentenceSource');
 const sidebar = document.getElementById('sidebar');
+const syncStatus = document.getElementById('syncStatus');
+const syncStatusText = document.getElementById('syncStatusText');
+const syncRejectedBtn = document.getElementById('syncRejectedBtn');
 const sidebarToggle = document.getElementById('sidebarToggle');
 const sidebarToggleFixed = document.getElementById('sidebarToggleFixed');
 const sidebarContent = document.getElementById('sidebarContent');
@@ -32,22 +53,145 @@ const logViewContent = document.getElementById('logViewContent');
 const weekViewContent = document.getElementById('weekViewContent');
 const weekSummary = document.getElementById('weekSummary');
 const weekAreas = document.getElementById('weekAreas');
+const searchInput = document.getElementById('searchInput');
+const searchResultsContent = document.getElementById('searchResultsContent');
+const searchCount = document.getElementById('searchCount');
+const searchResultsList = document.getElementById('searchResultsList');
+const trendsViewBtn = document.getElementById('trendsViewBtn');
+const trendsViewContent = document.getElementById('trendsViewContent');
+const trendsFrom = document.getElementById('trendsFrom');
+const trendsTo = document.getElementById('trendsTo');
+const trendsBucket = document.getElementById('trendsBucket');
+const trendsGroupBy = document.getElementById('trendsGroupBy');
+const trendsChart = document.getElementById('trendsChart');
+const trendsGroups = document.getElementById('trendsGroups');
+const goalsViewBtn = document.getElementById('goalsViewBtn');
+const goalsViewContent = document.getElementById('goalsViewContent');
+const goalForm = document.getElementById('goalForm');
+const goalTitleInput = document.getElementById('goalTitleInput');
+const goalAreaSelect = document.getElementById('goalAreaSelect');
+const goalTargetInput = document.getElementById('goalTargetInput');
+const goalUnitSelect = document.getElementById('goalUnitSelect');
+const goalStartInput = document.getElementById('goalStartInput');
+const goalDeadlineInput = document.getElementById('goalDeadlineInput');
+const goalError = document.getElementById('goalError');
+const goalStatusFilter = document.getElementById('goalStatusFilter');
+const goalList = document.getElementById('goalList');
+const modalGoalsSection = document.getElementById('modalGoalsSection');
+const modalGoals = document.getElementById('modalGoals');
+const modalGoalSelect = document.getElementById('modalGoalSelect');
+const modalGoalLinkBtn = document.getElementById('modalGoalLinkBtn');
 const tagsInput = document.getElementById('tagsInput');
 const tagPresets = document.getElementById('tagPresets');
+const suggestionHint = document.getElementById('suggestionHint');
 const modalTags = document.getElementById('modalTags');
 const modalTagsSection = document.getElementById('modalTagsSection');
 const activeTagFilters = document.getElementById('activeTagFilters');
 const statusFilter = document.getElementById('statusFilter');
 const modalActions = document.getElementById('modalActions');
+const lexiconBtn = document.getElementById('lexiconBtn');
+const lexiconModal = document.getElementById('lexiconModal');
+const closeLexiconModal = document.getElementById('closeLexiconModal');
+const lexiconForm = document.getElementById('lexiconForm');
+const lexiconTermInput = document.getElementById('lexiconTermInput');
+const lexiconWeightInput = document.getElementById('lexiconWeightInput');
+const lexiconLanguageSelect = document.getElementById('lexiconLanguageSelect');
+const lexiconError = document.getElementById('lexiconError');
+const lexiconVersion = document.getElementById('lexiconVersion');
+const lexiconList = document.getElementById('lexiconList');
+const lexiconResetBtn = document.getElementById('lexiconResetBtn');
+const exportFrom = document.getElementById('exportFrom');
+const exportTo = document.getElementById('exportTo');
+const exportFormat = document.getElementById('exportFormat');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importModal = document.getElementById('importModal');
+const closeImportModal = document.getElementById('closeImportModal');
+const importFilesInput = document.getElementById('importFilesInput');
+const importFolderInput = document.getElementById('importFolderInput');
+const importStatus = document.getElementById('importStatus');
+const importPreviewSection = document.getElementById('importPreviewSection');
+const importSummary = document.getElementById('importSummary');
+const importList = document.getElementById('importList');
+const importSkipped = document.getElementById('importSkipped');
+const importCommitBtn = document.getElementById('importCommitBtn');
 
 // Constants
-const STORAGE_KEY = 'goalUpdates';
 const LAST_AREA_STORAGE_KEY = 'goalUpdateLastArea';
 const AREA_FILTER_STORAGE_KEY = 'goalUpdateAreaFilter';
 const VIEW_MODE_STORAGE_KEY = 'goalUpdateViewMode';
 const TAG_FILTER_STORAGE_KEY = 'goalUpdateTagFilters';
 const STATUS_FILTER_STORAGE_KEY = 'goalUpdateStatusFilter';
-const MAX_SAVED_UPDATES = 10;
+
+// Page size used when loading saved updates from the server
+const ENTRIES_PAGE_SIZE = 500;
+const SUGGESTION_DEBOUNCE_MS = 600;
+const SEARCH_DEBOUNCE_MS = 300;
+const AREA_SUGGESTION_MIN_CONFIDENCE = 0.4;
+
+// Trend chart size (SVG units; charts scale to the sidebar width) and how
+// many areas or tags get their own chart
+const TREND_CHART_WIDTH = 300;
+const TREND_CHART_HEIGHT = 120;
+const TREND_GROUP_CHART_HEIGHT = 60;
+const MAX_TREND_GROUPS = 6;
+
+// Goal target units (matches goals.js) with display names; the ones after
+// "updates" track the best single result instead of a running total
+const GOAL_UNIT_LABELS = {
+  km: 'km',
+  mi: 'mi',
+  hours: 'hours',
+  pages: 'pages',
+  chapters: 'chapters',
+  steps: 'steps',
+  reps: 'reps',
+  updates: 'updates',
+  kg: 'kg',
+  lb: 'lb',
+  average: 's average',
+  single: 's single'
+};
+const BEST_VALUE_GOAL_UNITS = ['kg', 'lb', 'average', 'single'];
+
+const GOAL_STATUS_LABELS = {
+  achieved: 'Achieved',
+  'on-track': 'On track',
+  behind: 'Behind',
+  overdue: 'Overdue',
+  open: 'Open'
+};
+
+// Files the journal importer reads (others in a picked folder are not sent)
+const IMPORT_FILE_PATTERN = /\.(?:md|markdown|txt|json|zip)$/i;
+
+// Languages the analyzer supports (codes returned as analysis.language)
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German'
+};
+
+// Sentiment labels the analyzer returns ('Pending' marks updates analyzed once they sync)
+const SENTIMENT_LABELS = ['Positive', 'Neutral', 'Negative', 'Pending'];
+
+// Blocker categories returned by the analyzer, with display names
+const BLOCKER_CATEGORY_LABELS = {
+  time: 'Time',
+  energy: 'Energy / health',
+  dependency: 'Waiting on others',
+  knowledge: 'Knowledge gap',
+  motivation: 'Motivation',
+  tooling: 'Tooling',
+  other: 'Other'
+};
+
+// Mood dimensions and their poles, low to high (matches mood.js)
+const MOOD_POLES = {
+  energy: ['tired', 'energized'],
+  stress: ['calm', 'overwhelmed'],
+  confidence: ['doubtful', 'sure']
+};
 
 // Area list in order (same as used for entry creation)
 const AREAS_ORDER = [
@@ -75,68 +219,219 @@ const TAG_PRESETS = [
   'planning'
 ];
 
+// Placeholder analysis for updates saved while the server was unreachable
+// (the server analyzes them when they sync)
+const PENDING_ANALYSIS = {
+  summaryBullets: [],
+  sentimentLabel: 'Pending',
+  nextStep: 'Analysis runs once the server is reachable again',
+  pending: true
+};
+
+// Saved updates, newest first (loaded from the server by loadSavedUpdates,
+// plus changes still waiting in the sync queue)
+let savedUpdates = [];
+
+// Suggestion state for the current draft
+let suggestedTags = [];
+let areaTouchedByUser = false;
+let suggestionTimer = null;
+
+// Entries found by the last import preview
+let importDrafts = [];
+
+// Pending search, and a counter so slower responses to older queries are ignored
+let searchTimer = null;
+let searchRequestId = 0;
+
+// All goals with their progress (loaded by loadGoals), and the goal whose
+// suggested updates are listed
+let goalsList = [];
+let expandedGoalId = null;
+
+/**
+ * Sends a JSON request and returns the parsed response
+ * @param {string} url - Endpoint
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object|null>} Response body (null for 204 No Content)
+ */
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  if (response.status === 204) {
+    return null;
+  }
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.message || 'Request failed');
+  }
+  return body;
+}
+
+/**
+ * Loads all saved updates from the server, page by page, and refreshes the
+ * sidebar. Changes still waiting in the sync queue are applied on top.
+ * @returns {Promise<void>}
+ */
+async function loadSavedUpdates() {
+  const loaded = [];
+  let total = Infinity;
+  
+  try {
+    while (loaded.length < total) {
+      const page = await requestJson(`/entries?status=all&limit=${ENTRIES_PAGE_SIZE}&offset=${loaded.length}`);
+      loaded.push(...page.entries);
+      total = page.entries.length > 0 ? page.total : loaded.length;
+    }
+  } catch (error) {
+    // Keep showing what we have; queued changes are still applied below
+    console.error('Error loading saved updates:', error);
+    loaded.push(...savedUpdates);
+  }
+  
+  savedUpdates = applyPendingChanges(loaded).map(withAnalysis);
+  refreshSidebar();
+}
+
+/**
+ * Fills in the placeholder analysis for updates not analyzed yet
+ * @param {Object} update - Saved update
+ * @returns {Object} The update, with an analysis
+ */
+function withAnalysis(update) {
+  return update.analysis ? update : { ...update, analysis: PENDING_ANALYSIS };
+}
+
+/**
+ * Replaces a saved update with the server's copy after a queued change synced
+ * @param {Object} entry - Entry as stored on the server
+ * @param {number} [previousId] - ID the update had locally, when the server
+ *   saved it under a new one (another device had used the same ID)
+ */
+function handleEntrySynced(entry, previousId = entry.id) {
+  // Changes queued after this one still apply on top
+  const synced = applyPendingChanges([entry]).find(update => update.id === entry.id);
+  const index = savedUpdates.findIndex(update => update.id === previousId);
+  if (index === -1) {
+    savedUpdates.unshift(synced);
+  } else {
+    savedUpdates[index] = synced;
+  }
+  refreshSidebar();
+  
+  // Refresh the modal if it shows this entry (e.g. its analysis just arrived)
+  const currentModalId = modalActions.getAttribute('data-entry-id');
+  if (readOnlyModal.style.display !== 'none' && currentModalId && parseInt(currentModalId) === previousId) {
+    showReadOnlyView(synced);
+  }
+}
+
+/**
+ * Shows the sync state in the sidebar indicator
+ * @param {Object} state - { status: 'synced' | 'syncing' | 'offline', pending: number,
+ *   rejected: number }
+ */
+function renderSyncStatus(state) {
+  const changes = `${state.pending} ${state.pending === 1 ? 'change' : 'changes'}`;
+  let text = 'Synced';
+  if (state.status === 'syncing') {
+    text = `Syncing ${changes}…`;
+  } else if (state.status === 'offline') {
+    text = `Offline · ${changes} queued`;
+  }
+  
+  syncStatus.setAttribute('data-status', state.status);
+  syncStatusText.textContent = text;
+  
+  // Changes the server refused stay listed until they are sent again
+  syncRejectedBtn.style.display = state.rejected > 0 ? 'inline' : 'none';
+  syncRejectedBtn.textContent = `${state.rejected} rejected`;
+  syncRejectedBtn.title = getRejectedChanges()
+    .map(item => `${item.op.type === 'create' ? 'New entry' : 'Change'}: ${item.message}`)
+    .join('\n');
+}
+
+/**
+ * Lists the changes the server rejected and offers to send them again
+ */
+function reviewRejectedChanges() {
+  const rejected = getRejectedChanges();
+  const lines = rejected.map(item => {
+    const what = item.op.type === 'create' ? `New entry "${item.op.entry.text.slice(0, 40)}"` : `Change to entry ${item.op.id}`;
+    return `- ${what}: ${item.message}`;
+  });
+  if (confirm(`The server rejected ${rejected.length === 1 ? 'this change' : 'these changes'}:\n${lines.join('\n')}\n\nSend again?`)) {
+    retryRejectedChanges();
+  }
+}
+
+/**
+ * Re-renders the sidebar in the current view mode
+ */
+function refreshSidebar() {
+  if (searchInput.value.trim()) {
+    runSearch();
+  } else if (getCurrentViewMode() === 'week') {
+    renderWeekView();
+  } else if (getCurrentViewMode() === 'trends') {
+    loadTrends();
+  } else if (getCurrentViewMode() === 'goals') {
+    loadGoals();
+  } else {
+    renderSavedUpdates();
+  }
+}
+
 /**
- * Saves an update to localStorage
+ * Saves an update (shown right away, sent to the server through the sync queue)
  * @param {string} text - The original text
- * @param {Object} analysis - The analysis results
+ * @param {Object|null} analysis - The analysis results (null if the server
+ *   couldn't be reached to analyze it; it is analyzed when it syncs)
  */
 function saveUpdate(text, analysis) {
-  const updates = getSavedUpdates();
-  
   // Get selected area
   const area = areaSelect.value;
   
   // Get and parse tags
   const tags = getCurrentTags();
   
-  // Create new update object
+  // Save last selected area
+  localStorage.setItem(LAST_AREA_STORAGE_KEY, area);
+  
+  // The next draft starts with fresh suggestions
+  areaTouchedByUser = false;
+  clearSuggestions();
+  
+  // Create new update object (IDs are timestamps, kept unique on this device;
+  // if another device used the same one, sync saves it under a new ID)
   const newUpdate = {
-    id: Date.now(),
+    id: Math.max(Date.now(), ...savedUpdates.map(update => update.id + 1)),
     timestamp: new Date().toISOString(),
     text: text,
-    analysis: analysis,
+    analysis: analysis || undefined,
     area: area,
     tags: tags,
     status: 'inbox' // Default status for new entries
   };
   
-  // Save last selected area
-  localStorage.setItem(LAST_AREA_STORAGE_KEY, area);
-  
-  // Add to beginning of array
-  updates.unshift(newUpdate);
-  
-  // Keep only last MAX_SAVED_UPDATES
-  if (updates.length > MAX_SAVED_UPDATES) {
-    updates.splice(MAX_SAVED_UPDATES);
-  }
-  
-  // Save to localStorage
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(updates));
+  // Add to beginning of list
+  savedUpdates.unshift(withAnalysis(newUpdate));
   
   // Refresh sidebar (render appropriate view)
-  if (getCurrentViewMode() === 'week') {
-    renderWeekView();
-  } else {
-    renderSavedUpdates();
-  }
+  refreshSidebar();
+  
+  // Upload (retried later if the server is unreachable)
+  queueCreate(newUpdate);
 }
 
 /**
- * Gets all saved updates from localStorage
- * @returns {Array} Array of saved updates
+ * Gets all saved updates (as last loaded from or saved to the server)
+ * @returns {Array} Array of saved updates, newest first
  */
 function getSavedUpdates() {
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (!stored) {
-    return [];
-  }
-  try {
-    return JSON.parse(stored);
-  } catch (e) {
-    console.error('Error parsing saved updates:', e);
-    return [];
-  }
+  return savedUpdates;
 }
 
 /**
@@ -156,7 +451,7 @@ function getRecentUpdates() {
 
 /**
  * Gets the current view mode (defaults to 'log')
- * @returns {string} 'log' or 'week'
+ * @returns {string} 'log', 'week', 'trends' or 'goals'
  */
 function getCurrentViewMode() {
   const savedMode = localStorage.getItem(VIEW_MODE_STORAGE_KEY);
@@ -348,7 +643,7 @@ function renderSavedUpdates() {
       : update.text;
     
     // Get sentiment class
-    const sentimentClass = update.analysis.sentimentLabel.toLowerCase();
+    const sentimentClass = getSentimentClass(update.analysis.sentimentLabel);
     
     // Get area (default to 'Misc' if not set)
     const area = update.area || 'Misc';
@@ -371,7 +666,7 @@ function renderSavedUpdates() {
       <div class="update-item-header">
         <span class="update-item-time">${timeStr}</span>
         <span class="update-item-sentiment sentiment-label ${sentimentClass}">
-          ${update.analysis.sentimentLabel}
+          ${escapeHtml(update.analysis.sentimentLabel)}
         </span>
       </div>
       <div class="update-item-content">
@@ -452,8 +747,11 @@ function renderWeekView() {
     summaryHtml += '</p>';
   }
   
+  summaryHtml += '<p class="week-summary-links"><a href="report.html?period=weekly" target="_blank">Weekly review</a>' +
+    '<a href="report.html?period=monthly" target="_blank">Monthly review</a></p>';
   summaryHtml += '</div>';
   weekSummary.innerHTML = summaryHtml;
+  renderOpenBlockers();
   
   // Render active tag filters UI
   renderActiveTagFilters();
@@ -510,8 +808,8 @@ function renderWeekView() {
       // Get sentiment badge if available
       let sentimentBadge = '';
       if (update.analysis && update.analysis.sentimentLabel) {
-        const sentimentClass = update.analysis.sentimentLabel.toLowerCase();
-        sentimentBadge = `<span class="week-entry-sentiment sentiment-label ${sentimentClass}">${update.analysis.sentimentLabel}</span>`;
+        const sentimentClass = getSentimentClass(update.analysis.sentimentLabel);
+        sentimentBadge = `<span class="week-entry-sentiment sentiment-label ${sentimentClass}">${escapeHtml(update.analysis.sentimentLabel)}</span>`;
       }
       
       // Get tags (default to empty array if not set)
@@ -569,13 +867,69 @@ function renderWeekView() {
   });
 }
 
+/**
+ * Renders open blockers from the last 7 days, grouped by area, below the Week
+ * summary. A blocker stays open until its entry is processed or archived.
+ */
+function renderOpenBlockers() {
+  const openByArea = {};
+  getRecentUpdates()
+    .filter(update => getEntryStatus(update) === 'inbox')
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .forEach(update => {
+      const blockers = (update.analysis && update.analysis.blockers) || [];
+      // Entries tagged by hand (or saved before detection) show their opening text
+      const items = blockers.length > 0 || !(update.tags || []).includes('blocker')
+        ? blockers
+        : [{ text: update.text.split('\n')[0], category: 'other' }];
+      if (items.length === 0) return;
+      
+      const area = update.area || 'Misc';
+      openByArea[area] = openByArea[area] || [];
+      items.forEach(blocker => openByArea[area].push({ update, blocker }));
+    });
+  
+  const areas = AREAS_ORDER.filter(area => openByArea[area]);
+  if (areas.length === 0) {
+    return;
+  }
+  
+  const card = document.createElement('div');
+  card.className = 'week-summary-card week-blockers-card';
+  card.innerHTML = '<h3>Open Blockers</h3>';
+  
+  areas.forEach(area => {
+    const heading = document.createElement('p');
+    heading.className = 'week-blockers-area';
+    heading.textContent = `${area} (${openByArea[area].length})`;
+    
+    const list = document.createElement('ul');
+    list.className = 'blocker-list';
+    openByArea[area].forEach(({ update, blocker }) => {
+      const li = createBlockerItem(blocker);
+      li.classList.add('clickable');
+      li.addEventListener('click', () => showReadOnlyView(update));
+      list.appendChild(li);
+    });
+    
+    card.appendChild(heading);
+    card.appendChild(list);
+  });
+  
+  weekSummary.appendChild(card);
+}
+
 /**
  * Shows the read-only modal with a saved update
  * @param {Object} update - The update object to display
  */
 function showReadOnlyView(update) {
   // Populate modal with update data
-  document.getElementById('modalText').textContent = update.text;
+  // Highlight sentiment evidence (older entries have none and show plain text)
+  document.getElementById('modalText').innerHTML = renderHighlightedText(
+    update.text,
+    update.analysis.evidence || []
+  );
   
   // Format timestamp
   const date = new Date(update.timestamp);
@@ -589,21 +943,41 @@ function showReadOnlyView(update) {
   document.getElementById('modalTimestamp').textContent = `Saved: ${timeStr}`;
   
   // Populate summary
-  const modalSummary = document.getElementById('modalSummary');
-  modalSummary.innerHTML = '';
-  update.analysis.summaryBullets.forEach(bullet => {
-    const li = document.createElement('li');
-    li.textContent = bullet;
-    modalSummary.appendChild(li);
-  });
+  renderSummaryList(document.getElementById('modalSummary'), update.analysis);
   
   // Populate sentiment
   const modalSentiment = document.getElementById('modalSentiment');
   modalSentiment.textContent = update.analysis.sentimentLabel;
-  modalSentiment.className = `sentiment-label ${update.analysis.sentimentLabel.toLowerCase()}`;
+  modalSentiment.className = `sentiment-label ${getSentimentClass(update.analysis.sentimentLabel)}`;
+  document.getElementById('modalSentimentMeta').textContent = formatSentimentMeta(update.analysis);
+  
+  // Populate mood dimensions (older entries have none)
+  const hasMood = renderMoodBars(document.getElementById('modalMood'), update.analysis.mood);
+  document.getElementById('modalMoodSection').style.display = hasMood ? 'block' : 'none';
   
-  // Populate next step
+  // Populate next step (plus the other rule-based suggestions)
   document.getElementById('modalNextStep').textContent = update.analysis.nextStep;
+  renderNextStepRules(document.getElementById('modalNextStepRules'), update.analysis.nextSteps || []);
+  
+  // Populate metrics (older entries have none)
+  const metrics = update.analysis.metrics || [];
+  document.getElementById('modalMetrics').innerHTML = renderMetricChips(metrics);
+  document.getElementById('modalMetricsSection').style.display = metrics.length > 0 ? 'block' : 'none';
+  
+  // Populate blockers (older entries have none)
+  const blockers = update.analysis.blockers || [];
+  renderBlockers(document.getElementById('modalBlockers'), blockers);
+  document.getElementById('modalBlockersSection').style.display = blockers.length > 0 ? 'block' : 'none';
+  
+  // Populate action items (older entries have none)
+  const actionItems = update.analysis.actionItems || [];
+  renderActionItems(document.getElementById('modalActionItems'), actionItems);
+  document.getElementById('modalActionItemsSection').style.display = actionItems.length > 0 ? 'block' : 'none';
+  
+  // Populate checkbox tasks (hidden when there are none)
+  const tasks = update.analysis.tasks || [];
+  renderTasks(document.getElementById('modalTasks'), tasks);
+  document.getElementById('modalTasksSection').style.display = tasks.length > 0 ? 'block' : 'none';
   
   // Populate area (default to 'Misc' if not set)
   const modalArea = document.getElementById('modalArea');
@@ -622,6 +996,9 @@ function showReadOnlyView(update) {
     modalTagsSection.style.display = 'none';
   }
   
+  // Populate linked goals
+  renderModalGoals(update);
+  
   // Render modal action buttons based on status
   renderModalActions(update);
   
@@ -635,29 +1012,22 @@ function showReadOnlyView(update) {
  * @param {string} newStatus - New status ('inbox', 'processed', 'archived')
  */
 function updateEntryStatus(entryId, newStatus) {
-  const updates = getSavedUpdates();
-  const updateIndex = updates.findIndex(u => u.id === entryId);
+  const updateIndex = savedUpdates.findIndex(u => u.id === entryId);
   
   if (updateIndex === -1) {
     console.error('Entry not found:', entryId);
     return;
   }
   
-  // Update status
-  updates[updateIndex].status = newStatus;
-  
-  // Save to localStorage
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(updates));
+  // Update status right away; the server gets it through the sync queue
+  savedUpdates[updateIndex] = { ...savedUpdates[updateIndex], status: newStatus };
+  queueUpdate(entryId, { status: newStatus });
   
   // Refresh views
-  if (getCurrentViewMode() === 'week') {
-    renderWeekView();
-  } else {
-    renderSavedUpdates();
-  }
+  refreshSidebar();
   
   // If modal is open, update it
-  const modalUpdate = updates[updateIndex];
+  const modalUpdate = savedUpdates[updateIndex];
   if (readOnlyModal.style.display !== 'none') {
     // Check if this is the currently displayed entry
     const currentModalId = modalActions.getAttribute('data-entry-id');
@@ -708,6 +1078,32 @@ function renderModalActions(update) {
   });
 }
 
+/**
+ * Renders the goals an entry counts towards, and a picker to link it to another
+ * active goal (one in the entry's area is preselected as the suggestion)
+ * @param {Object} update - The update entry
+ */
+function renderModalGoals(update) {
+  const linked = goalsList.filter(goal => goal.entryIds.includes(update.id));
+  const available = goalsList.filter(goal => goal.status === 'active' && !goal.entryIds.includes(update.id));
+  modalGoalsSection.style.display = linked.length > 0 || available.length > 0 ? 'block' : 'none';
+  
+  modalGoals.innerHTML = linked.map(goal => `
+    <span class="goal-chip" style="--area-color: ${getAreaColor(goal.area)}">${escapeHtml(goal.title)}
+      <button type="button" class="goal-chip-remove" data-goal-id="${goal.id}" aria-label="Unlink from goal">×</button>
+    </span>
+  `).join('');
+  modalGoals.querySelectorAll('.goal-chip-remove').forEach(btn => {
+    btn.addEventListener('click', () => setGoalLink(parseInt(btn.getAttribute('data-goal-id')), update.id, false));
+  });
+  
+  const suggested = available.find(goal => goal.area === (update.area || 'Misc'));
+  modalGoalSelect.innerHTML = available.map(goal => `
+    <option value="${goal.id}"${goal === suggested ? ' selected' : ''}>${escapeHtml(goal.title)}${goal === suggested ? ' (suggested)' : ''}</option>
+  `).join('');
+  modalGoalSelect.parentElement.style.display = available.length > 0 ? 'flex' : 'none';
+}
+
 /**
  * Closes the read-only modal
  */
@@ -715,6 +1111,58 @@ function closeReadOnlyView() {
   readOnlyModal.style.display = 'none';
 }
 
+/**
+ * Formats the numeric sentiment score and confidence for display
+ * @param {Object} analysis - The analysis results
+ * @returns {string} e.g. "Score +0.45 · 25% confidence" (empty for older entries)
+ */
+function formatSentimentMeta(analysis) {
+  if (typeof analysis.sentimentScore !== 'number') {
+    return '';
+  }
+  
+  const sign = analysis.sentimentScore > 0 ? '+' : '';
+  let meta = `Score ${sign}${analysis.sentimentScore.toFixed(2)}`;
+  if (typeof analysis.confidence === 'number') {
+    meta += ` · ${Math.round(analysis.confidence * 100)}% confidence`;
+  }
+  if (analysis.language && analysis.language !== 'en') {
+    meta += ` · ${LANGUAGE_NAMES[analysis.language] || analysis.language}`;
+  }
+  return meta;
+}
+
+/**
+ * Renders text as HTML with sentiment evidence spans highlighted
+ * @param {string} text - Original (trimmed) update text
+ * @param {Array} evidence - Evidence items as { term, rule, weight, start, end }
+ * @returns {string} Escaped HTML with <mark> elements around each evidence span
+ */
+function renderHighlightedText(text, evidence) {
+  const spans = [...evidence].sort((a, b) => a.start - b.start);
+  
+  let html = '';
+  let cursor = 0;
+  
+  spans.forEach(item => {
+    // Skip spans that overlap an earlier one or fall outside the text
+    if (item.start < cursor || item.end > text.length) {
+      return;
+    }
+    
+    const polarity = item.weight > 0 ? 'positive' : 'negative';
+    const sign = item.weight > 0 ? '+' : '';
+    const title = `${item.rule} (${sign}${item.weight})`;
+    
+    html += escapeHtml(text.slice(cursor, item.start));
+    html += `<mark class="evidence-mark ${polarity}" title="${escapeHtml(title)}">${escapeHtml(text.slice(item.start, item.end))}</mark>`;
+    cursor = item.end;
+  });
+  
+  html += escapeHtml(text.slice(cursor));
+  return html;
+}
+
 /**
  * Escapes HTML to prevent XSS
  * @param {string} text - Text to escape
@@ -723,7 +1171,8 @@ function closeReadOnlyView() {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // Quotes too, so the result is also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -801,7 +1250,10 @@ function toggleTagInInput(tag) {
 function renderTagPresets() {
   tagPresets.innerHTML = '';
   
-  TAG_PRESETS.forEach(preset => {
+  // Suggested tags that aren't presets (learned or #hashtags) get a chip too
+  const extraSuggestions = suggestedTags.filter(tag => !TAG_PRESETS.includes(tag));
+  
+  [...TAG_PRESETS, ...extraSuggestions].forEach(preset => {
     const chip = document.createElement('button');
     chip.type = 'button';
     chip.className = 'tag-chip';
@@ -828,9 +1280,95 @@ function updateTagChipStates() {
     } else {
       chip.classList.remove('selected');
     }
+    chip.classList.toggle('suggested', suggestedTags.includes(chipTag));
   });
 }
 
+/**
+ * Gets past entries as history for the analyzer (area/tag learning and
+ * history-aware next steps)
+ * @returns {Array} Entries as { text, area, tags, timestamp, sentimentLabel, actionItems, blocked }
+ */
+function getAnalysisHistory() {
+  return getSavedUpdates().filter(update => !update.analysis.pending).map(update => ({
+    text: update.text,
+    area: update.area || 'Misc',
+    tags: update.tags || [],
+    timestamp: update.timestamp,
+    sentimentLabel: update.analysis.sentimentLabel,
+    actionItems: update.analysis.actionItems || [],
+    blocked: update.analysis.blocked
+  }));
+}
+
+/**
+ * Applies area and tag suggestions to the input section.
+ * The area is pre-filled unless the user already picked one for this draft;
+ * suggested tags are only highlighted (click a chip to add it).
+ * @param {Object} suggestions - { suggestedArea: { area, confidence }, suggestedTags }
+ */
+function applySuggestions(suggestions) {
+  const { suggestedArea } = suggestions;
+  suggestedTags = (suggestions.suggestedTags || []).map(normalizeTag);
+  
+  let hint = '';
+  if (suggestedArea && suggestedArea.confidence >= AREA_SUGGESTION_MIN_CONFIDENCE) {
+    if (!areaTouchedByUser) {
+      areaSelect.value = suggestedArea.area;
+    }
+    hint = `Suggested area: ${suggestedArea.area} (${Math.round(suggestedArea.confidence * 100)}%)`;
+  }
+  if (suggestedTags.length > 0) {
+    hint += `${hint ? ' · ' : ''}Suggested tags: ${suggestedTags.join(', ')}`;
+  }
+  suggestionHint.textContent = hint;
+  
+  renderTagPresets();
+}
+
+/**
+ * Clears suggestions for the current draft
+ */
+function clearSuggestions() {
+  clearTimeout(suggestionTimer);
+  suggestedTags = [];
+  suggestionHint.textContent = '';
+  renderTagPresets();
+}
+
+/**
+ * Requests area and tag suggestions for the draft text
+ */
+async function requestSuggestions() {
+  const text = updateText.value.trim();
+  if (!text || text.length > 5000) {
+    clearSuggestions();
+    return;
+  }
+  
+  try {
+    const response = await fetch('/suggest', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ text: text, history: getAnalysisHistory() })
+    });
+    
+    if (!response.ok) {
+      return;
+    }
+    
+    // Ignore late replies for text that has since been cleared
+    if (updateText.value.trim()) {
+      applySuggestions(await response.json());
+    }
+  } catch (error) {
+    // Suggestions are optional; keep typing uninterrupted
+    console.error('Error fetching suggestions:', error);
+  }
+}
+
 /**
  * Renders tags as pills HTML
  * @param {string[]} tags - Array of tags to render
@@ -975,13 +1513,26 @@ async function analyzeText() {
   
   try {
     // Make POST request to /analyze endpoint
-    const response = await fetch('/analyze', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ text: text })
-    });
+    let response;
+    try {
+      response = await fetch('/analyze', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          text: text,
+          area: areaTouchedByUser ? areaSelect.value : undefined,
+          tags: getCurrentTags(),
+          history: getAnalysisHistory()
+        })
+      });
+    } catch (networkError) {
+      // Server unreachable: keep the update and let the server analyze it once it syncs
+      saveUpdate(text, null);
+      alert('The server is unreachable. Your update was saved and will be analyzed once it syncs.');
+      return;
+    }
     
     if (!response.ok) {
       const error = await response.json();
@@ -990,10 +1541,15 @@ async function analyzeText() {
     
     const analysis = await response.json();
     
+    // Apply suggestions in case the debounced request hadn't run yet
+    if (analysis.suggestedArea) {
+      applySuggestions(analysis);
+    }
+    
     // Display results
-    displayResults(analysis);
+    displayResults(text, analysis);
     
-    // Save to localStorage
+    // Save (synced to the server)
     saveUpdate(text, analysis);
     
   } catch (error) {
@@ -1009,80 +1565,1091 @@ async function analyzeText() {
 
 /**
  * Displays analysis results in the UI
+ * @param {string} text - The analyzed text
  * @param {Object} analysis - The analysis results
  */
-function displayResults(analysis) {
+function displayResults(text, analysis) {
   // Show results section
   resultsSection.style.display = 'block';
   
   // Populate summary
-  summaryList.innerHTML = '';
-  analysis.summaryBullets.forEach(bullet => {
-    const li = document.createElement('li');
-    li.textContent = bullet;
-    summaryList.appendChild(li);
-  });
+  renderSummaryList(summaryList, analysis);
   
   // Populate sentiment
   sentimentLabel.textContent = analysis.sentimentLabel;
-  sentimentLabel.className = `sentiment-label ${analysis.sentimentLabel.toLowerCase()}`;
+  sentimentLabel.className = `sentiment-label ${getSentimentClass(analysis.sentimentLabel)}`;
+  sentimentMeta.textContent = formatSentimentMeta(analysis);
+  
+  // Highlight the words, emojis and punctuation that drove the sentiment
+  evidenceText.innerHTML = renderHighlightedText(text, analysis.evidence || []);
+  
+  // Populate energy, stress and confidence (hidden when the update mentions none)
+  moodCard.style.display = renderMoodBars(moodList, analysis.mood) ? 'block' : 'none';
+  
+  // Populate per-sentence breakdown (positive vs negative parts of the update)
+  renderSentenceBreakdown(analysis.sentences || []);
+  sentenceSource.style.display = (analysis.heuristicFields || []).includes('sentences') ? 'block' : 'none';
   
-  // Populate next step
+  // Populate next step (plus the other rule-based suggestions)
   nextStep.textContent = analysis.nextStep;
+  renderNextStepRules(nextStepRules, analysis.nextSteps || []);
+  
+  // Populate extracted metrics (hidden when the update has none)
+  const metrics = analysis.metrics || [];
+  metricsList.innerHTML = renderMetricChips(metrics);
+  metricsCard.style.display = metrics.length > 0 ? 'block' : 'none';
+  
+  // Populate detected blockers (hidden when the update has none)
+  const blockers = analysis.blockers || [];
+  renderBlockers(blockersList, blockers);
+  blockersCard.style.display = blockers.length > 0 ? 'block' : 'none';
+  
+  // Populate extracted action items (hidden when the update has none)
+  const actionItems = analysis.actionItems || [];
+  renderActionItems(actionItemsList, actionItems);
+  actionItemsCard.style.display = actionItems.length > 0 ? 'block' : 'none';
+  
+  // Populate checkbox tasks from Markdown lists (hidden when the update has none)
+  const tasks = analysis.tasks || [];
+  renderTasks(tasksList, tasks);
+  tasksCard.style.display = tasks.length > 0 ? 'block' : 'none';
   
   // Scroll to results
   resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
 /**
- * Toggles sidebar visibility
+ * Renders summary bullets, with each bullet's relevance score when available
+ * (hover the score to see why the sentence was picked)
+ * @param {HTMLElement} list - The <ul> to fill
+ * @param {Object} analysis - The analysis results
  */
-function toggleSidebar() {
-  sidebar.classList.toggle('hidden');
-  sidebarToggleFixed.style.display = sidebar.classList.contains('hidden') 
-    ? 'block' 
-    : 'none';
+function renderSummaryList(list, analysis) {
+  list.innerHTML = '';
+  
+  // Older entries and non-heuristic providers only have plain bullets
+  const details = analysis.summaryDetails
+    || analysis.summaryBullets.map(text => ({ text, score: null, reasons: [] }));
+  
+  details.forEach(bullet => {
+    const li = document.createElement('li');
+    li.textContent = bullet.text;
+    
+    if (typeof bullet.score === 'number') {
+      const score = document.createElement('span');
+      score.className = 'summary-score';
+      score.textContent = `${Math.round(bullet.score * 100)}%`;
+      score.title = bullet.reasons.length > 0
+        ? `Relevance ${bullet.score.toFixed(2)}: ${bullet.reasons.join('; ')}`
+        : `Relevance ${bullet.score.toFixed(2)}`;
+      li.appendChild(score);
+    }
+    
+    list.appendChild(li);
+  });
 }
 
 /**
- * Switches between Log and Week views
- * @param {string} viewMode - 'log' or 'week'
+ * Formats a number of seconds as m:ss or h:mm:ss (keeps hundredths under a minute)
+ * @param {number} seconds - Total seconds
+ * @returns {string} Formatted time
  */
-function switchView(viewMode) {
-  // Save to localStorage
-  localStorage.setItem(VIEW_MODE_STORAGE_KEY, viewMode);
-  
-  // Update button states
-  if (viewMode === 'log') {
-    logViewBtn.classList.add('active');
-    weekViewBtn.classList.remove('active');
-    logViewContent.style.display = 'block';
-    weekViewContent.style.display = 'none';
-    renderActiveTagFilters();
-    renderSavedUpdates();
-  } else {
-    logViewBtn.classList.remove('active');
-    weekViewBtn.classList.add('active');
-    logViewContent.style.display = 'none';
-    weekViewContent.style.display = 'block';
-    renderActiveTagFilters();
-    renderWeekView();
+function formatSeconds(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
   }
+  
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.round((seconds % 60) * 100) / 100;
+  const secsStr = String(secs).padStart(2, '0');
+  
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secsStr}`
+    : `${minutes}:${secsStr}`;
 }
 
-// Event Listeners
-analyzeBtn.addEventListener('click', analyzeText);
-
-// Allow Enter key to trigger analysis (Ctrl/Cmd + Enter)
-updateText.addEventListener('keydown', (e) => {
-  if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-    analyzeText();
+/**
+ * Formats an extracted metric value with its unit for display
+ * @param {Object} metric - Metric as { kind, value, unit, label, sets }
+ * @returns {string} e.g. "10 km", "5:30 /km", "3×10 reps"
+ */
+function formatMetricValue(metric) {
+  const sets = metric.sets ? `${metric.sets}×` : '';
+  
+  if (metric.unit === 's') {
+    return formatSeconds(metric.value);
   }
-});
-
-sidebarToggle.addEventListener('click', toggleSidebar);
-sidebarToggleFixed.addEventListener('click', toggleSidebar);
-closeModal.addEventListener('click', closeReadOnlyView);
+  if (metric.unit.startsWith('s/')) {
+    return `${formatSeconds(metric.value)} /${metric.unit.slice(2)}`;
+  }
+  return `${sets}${metric.value} ${metric.unit}`;
+}
+
+/**
+ * Renders extracted metrics as chips HTML
+ * @param {Array} metrics - Metrics as { kind, value, unit, raw }
+ * @returns {string} HTML string of metric chips
+ */
+function renderMetricChips(metrics) {
+  return metrics.map(metric => {
+    const kind = metric.label || metric.kind;
+    return `<span class="metric-chip" title="${escapeHtml(metric.raw)}"><span class="metric-kind">${escapeHtml(kind)}</span>${escapeHtml(formatMetricValue(metric))}</span>`;
+  }).join('');
+}
+
+/**
+ * Renders the rule-based next-step suggestions, each with the rule that produced it.
+ * The first suggestion is the main next step; the rest are listed as alternatives.
+ * @param {HTMLElement} list - The <ul> to fill
+ * @param {Array} nextSteps - Suggestions as { text, rule }, best first
+ */
+function renderNextStepRules(list, nextSteps) {
+  list.innerHTML = '';
+  
+  nextSteps.forEach((suggestion, index) => {
+    const li = document.createElement('li');
+    li.className = index === 0 ? 'next-step-rule primary' : 'next-step-rule';
+    li.innerHTML = `
+      <span class="next-step-rule-text">${escapeHtml(suggestion.text)}</span>
+      <span class="next-step-rule-name">${escapeHtml(suggestion.rule)}</span>
+    `;
+    list.appendChild(li);
+  });
+  
+  // Only worth showing when there is more than the main suggestion
+  list.style.display = nextSteps.length > 1 ? 'flex' : 'none';
+}
+
+/**
+ * Renders extracted action items with their due-date hints
+ * @param {HTMLElement} list - The <ul> to fill
+ * @param {Array} actionItems - Items as { text, dueHint, dueDate }
+ */
+function renderActionItems(list, actionItems) {
+  list.innerHTML = '';
+  
+  actionItems.forEach(item => {
+    const li = document.createElement('li');
+    li.className = 'action-item';
+    li.innerHTML = `
+      <span class="action-item-text">${escapeHtml(item.text)}</span>
+      ${item.dueDate ? `<span class="action-item-due" title="${escapeHtml(item.dueDate)}">${escapeHtml(item.dueHint)}</span>` : ''}
+    `;
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Renders Markdown checkbox tasks, completed ones checked off
+ * @param {HTMLElement} list - List element to fill
+ * @param {Array} tasks - Tasks as { text, done }
+ */
+function renderTasks(list, tasks) {
+  list.innerHTML = '';
+  
+  tasks.forEach(task => {
+    const li = document.createElement('li');
+    li.className = task.done ? 'task-item done' : 'task-item';
+    li.innerHTML = `
+      <span class="task-check">${task.done ? '☑' : '☐'}</span>
+      <span class="task-text">${escapeHtml(task.text)}</span>
+    `;
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Creates a list item for one blocker (category chip plus sentence)
+ * @param {Object} blocker - Blocker as { text, category }
+ * @returns {HTMLElement} List item
+ */
+function createBlockerItem(blocker) {
+  // Unknown categories (e.g. from an older or edited entry) are styled as "other"
+  const known = Object.prototype.hasOwnProperty.call(BLOCKER_CATEGORY_LABELS, blocker.category);
+  const category = known ? blocker.category : 'other';
+  const label = known ? BLOCKER_CATEGORY_LABELS[category] : escapeHtml(String(blocker.category || BLOCKER_CATEGORY_LABELS.other));
+  const li = document.createElement('li');
+  li.className = 'blocker-item';
+  li.innerHTML = `
+    <span class="blocker-category category-${category}">${label}</span>
+    <span class="blocker-text">${escapeHtml(String(blocker.text))}</span>
+  `;
+  return li;
+}
+
+/**
+ * Renders detected blockers as a list
+ * @param {HTMLElement} list - List element to fill
+ * @param {Array} blockers - Blockers as { text, category }
+ */
+function renderBlockers(list, blockers) {
+  list.innerHTML = '';
+  blockers.forEach(blocker => list.appendChild(createBlockerItem(blocker)));
+}
+
+/**
+ * Renders mood dimensions as bars between their two poles (e.g. tired ↔ energized)
+ * @param {HTMLElement} list - List element to fill
+ * @param {Object} [mood] - Map of dimension to { score, label, evidence }
+ * @returns {boolean} True if at least one dimension had a score
+ */
+function renderMoodBars(list, mood) {
+  list.innerHTML = '';
+  
+  const scored = Object.entries(mood || {}).filter(([, dimension]) => dimension.score !== null);
+  
+  scored.forEach(([name, dimension]) => {
+    const [low, high] = MOOD_POLES[name] || ['low', 'high'];
+    const position = ((dimension.score + 1) / 2) * 100;
+    const sign = dimension.score > 0 ? '+' : '';
+    const terms = dimension.evidence.map(item => item.term).join(', ');
+    
+    const li = document.createElement('li');
+    li.className = 'mood-item';
+    li.title = terms;
+    li.innerHTML = `
+      <span class="mood-pole low">${low}</span>
+      <span class="mood-track">
+        <span class="mood-marker" style="left: ${position}%;"></span>
+      </span>
+      <span class="mood-pole high">${high}</span>
+      <span class="mood-value">${sign}${dimension.score.toFixed(2)}</span>
+    `;
+    list.appendChild(li);
+  });
+  
+  return scored.length > 0;
+}
+
+/**
+ * Gets the CSS class of a sentiment label. Labels come from stored (possibly
+ * imported) analyses, so anything unknown shows as neutral.
+ * @param {string} label - Sentiment label
+ * @returns {string} 'positive', 'neutral', 'negative' or 'pending'
+ */
+function getSentimentClass(label) {
+  return SENTIMENT_LABELS.includes(label) ? label.toLowerCase() : 'neutral';
+}
+
+/**
+ * Renders the per-sentence sentiment breakdown in the results card
+ * @param {Array} sentences - Sentences as { text, label, score }
+ */
+function renderSentenceBreakdown(sentences) {
+  sentenceList.innerHTML = '';
+  
+  if (sentences.length === 0) {
+    sentenceCard.style.display = 'none';
+    return;
+  }
+  
+  sentenceCard.style.display = 'block';
+  
+  sentences.forEach(sentence => {
+    const li = document.createElement('li');
+    li.className = `sentence-item ${getSentimentClass(sentence.label)}`;
+    
+    const score = typeof sentence.score === 'number' ? sentence.score : 0;
+    const sign = score > 0 ? '+' : '';
+    li.innerHTML = `
+      <span class="sentence-text">${escapeHtml(String(sentence.text))}</span>
+      <span class="sentence-score" title="${escapeHtml(String(sentence.label))}">${sign}${score.toFixed(2)}</span>
+    `;
+    sentenceList.appendChild(li);
+  });
+}
+
+/**
+ * Renders the selected language's lexicon terms, strongest positive first
+ * @param {Object} lexicon - Lexicon as { version, terms }
+ */
+function renderLexicon(lexicon) {
+  const terms = lexicon.terms
+    .filter(item => item.language === lexiconLanguageSelect.value)
+    .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term));
+  lexiconVersion.textContent = `(${terms.length} · version ${lexicon.version})`;
+  
+  lexiconList.innerHTML = terms.map(item => `
+    <li class="lexicon-item">
+      <span class="lexicon-term ${item.weight > 0 ? 'positive' : 'negative'}">${escapeHtml(item.term)}</span>
+      <input type="number" class="lexicon-weight-input" value="${item.weight}" min="-3" max="3" step="0.5" data-term="${escapeHtml(item.term)}" aria-label="Weight" />
+      <button type="button" class="lexicon-remove-btn" data-term="${escapeHtml(item.term)}" aria-label="Remove">×</button>
+    </li>
+  `).join('');
+  
+  // Changing a weight saves it right away
+  lexiconList.querySelectorAll('.lexicon-weight-input').forEach(input => {
+    input.addEventListener('change', () => {
+      saveLexiconTerm(input.getAttribute('data-term'), parseFloat(input.value));
+    });
+  });
+  
+  lexiconList.querySelectorAll('.lexicon-remove-btn').forEach(btn => {
+    btn.addEventListener('click', () => removeLexiconTerm(btn.getAttribute('data-term')));
+  });
+}
+
+/**
+ * Runs a lexicon change, then re-renders the list or shows the error
+ * @param {Promise<Object>} request - Pending lexicon request
+ */
+async function applyLexiconChange(request) {
+  try {
+    renderLexicon(await request);
+    lexiconError.textContent = '';
+  } catch (error) {
+    lexiconError.textContent = error.message;
+  }
+}
+
+/**
+ * Adds a term or changes its weight
+ * @param {string} term - Term to save
+ * @param {number} weight - Weight between -3 and 3 (not 0)
+ * @returns {Promise<void>}
+ */
+function saveLexiconTerm(term, weight) {
+  return applyLexiconChange(requestJson('/lexicon/terms', {
+    method: 'POST',
+    body: JSON.stringify({ term, weight, language: lexiconLanguageSelect.value })
+  }));
+}
+
+/**
+ * Removes a term from the lexicon
+ * @param {string} term - Term to remove
+ * @returns {Promise<void>}
+ */
+function removeLexiconTerm(term) {
+  const language = encodeURIComponent(lexiconLanguageSelect.value);
+  return applyLexiconChange(requestJson(`/lexicon/terms/${encodeURIComponent(term)}?language=${language}`, {
+    method: 'DELETE'
+  }));
+}
+
+/**
+ * Opens the lexicon settings and loads the current terms
+ */
+function openLexiconSettings() {
+  lexiconModal.style.display = 'flex';
+  lexiconError.textContent = '';
+  applyLexiconChange(requestJson('/lexicon'));
+}
+
+/**
+ * Closes the lexicon settings
+ */
+function closeLexiconSettings() {
+  lexiconModal.style.display = 'none';
+}
+
+/**
+ * Reads a file picked for import: zip archives as base64, others as text
+ * @param {File} file - Picked file
+ * @returns {Promise<Object>} { name, content } or { name, base64 }
+ */
+function readImportFile(file) {
+  const name = file.webkitRelativePath || file.name;
+  if (!/\.zip$/i.test(name)) {
+    return file.text().then(content => ({ name, content }));
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({ name, base64: reader.result.slice(reader.result.indexOf(',') + 1) });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Sends picked files to the server and shows the entries it found
+ * @param {FileList} fileList - Files from a file or folder picker
+ * @returns {Promise<void>}
+ */
+async function previewImport(fileList) {
+  // Folders can hold attachments; only send what the importer reads
+  const picked = [...fileList].filter(file => IMPORT_FILE_PATTERN.test(file.name));
+  importDrafts = [];
+  renderImportPreview([]);
+  if (picked.length === 0) {
+    setImportStatus('No Markdown, text, JSON or zip files found.', true);
+    return;
+  }
+  
+  setImportStatus(`Reading ${picked.length} ${picked.length === 1 ? 'file' : 'files'}...`);
+  try {
+    const files = await Promise.all(picked.map(readImportFile));
+    const preview = await requestJson('/import/preview', {
+      method: 'POST',
+      body: JSON.stringify({ files })
+    });
+    importDrafts = preview.entries;
+    renderImportPreview(preview.skipped);
+    setImportStatus(importDrafts.length > 0 ? '' : 'No entries found.', importDrafts.length === 0);
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    setImportStatus(error.message, true);
+  }
+}
+
+/**
+ * Shows a status or error message in the import dialog
+ * @param {string} message - Message (empty to clear)
+ * @param {boolean} [isError] - Show it as an error
+ */
+function setImportStatus(message, isError = false) {
+  importStatus.textContent = message;
+  importStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Renders the import preview. Entries already saved start unchecked.
+ * @param {Array} skipped - Files or parts the server left out, as { source, reason }
+ */
+function renderImportPreview(skipped) {
+  importList.innerHTML = '';
+  importSkipped.innerHTML = '';
+  importPreviewSection.style.display = importDrafts.length > 0 || skipped.length > 0 ? 'block' : 'none';
+  
+  importDrafts.forEach((draft, index) => {
+    const li = document.createElement('li');
+    li.className = `import-item${draft.duplicateOf !== null ? ' duplicate' : ''}`;
+    const label = draft.analysis.sentimentLabel;
+    li.innerHTML = `
+      <label>
+        <input type="checkbox" data-index="${index}" ${draft.duplicateOf !== null ? '' : 'checked'} />
+        <div class="import-item-body">
+          <div class="import-item-meta">
+            <span>${escapeHtml(draft.date)}</span>
+            <span class="area-label">${escapeHtml(draft.area)}</span>
+            <span class="sentiment-label ${getSentimentClass(label)}">${escapeHtml(label)}</span>
+            ${draft.duplicateOf !== null ? '<span class="import-duplicate-badge">Already saved</span>' : ''}
+          </div>
+          <div class="import-item-text">${escapeHtml(draft.text.length > 200 ? `${draft.text.slice(0, 200)}...` : draft.text)}</div>
+          ${draft.tags.length > 0 ? `<div class="tag-pills">${renderTagPills(draft.tags)}</div>` : ''}
+        </div>
+      </label>
+    `;
+    importList.appendChild(li);
+  });
+  
+  skipped.forEach(item => {
+    const li = document.createElement('li');
+    li.textContent = `Skipped ${item.source}: ${item.reason}`;
+    importSkipped.appendChild(li);
+  });
+  
+  updateImportSummary();
+}
+
+/**
+ * Gets the preview entries that are checked for import
+ * @returns {Array} Checked drafts
+ */
+function getSelectedImportDrafts() {
+  return [...importList.querySelectorAll('input[type="checkbox"]:checked')]
+    .map(input => importDrafts[Number(input.getAttribute('data-index'))]);
+}
+
+/**
+ * Updates the preview counts and the import button
+ */
+function updateImportSummary() {
+  const selected = getSelectedImportDrafts().length;
+  const duplicates = importDrafts.filter(draft => draft.duplicateOf !== null).length;
+  importSummary.textContent = importDrafts.length > 0
+    ? `${importDrafts.length} found · ${duplicates} already saved · ${selected} selected`
+    : '';
+  importCommitBtn.textContent = selected > 0 ? `Import ${selected} ${selected === 1 ? 'entry' : 'entries'}` : 'Import';
+  importCommitBtn.disabled = selected === 0;
+}
+
+/**
+ * Saves the checked preview entries and reloads the sidebar
+ * @returns {Promise<void>}
+ */
+async function commitImport() {
+  const selected = getSelectedImportDrafts();
+  importCommitBtn.disabled = true;
+  try {
+    const result = await requestJson('/import', {
+      method: 'POST',
+      body: JSON.stringify({
+        entries: selected.map(({ id, text, timestamp, area, tags, status, analysis }) =>
+          ({ id, text, timestamp, area, tags, status, analysis }))
+      })
+    });
+    importDrafts = [];
+    renderImportPreview([]);
+    const skipped = result.skipped.length > 0 ? ` (${result.skipped.length} skipped)` : '';
+    setImportStatus(`Imported ${result.entries.length} ${result.entries.length === 1 ? 'entry' : 'entries'}${skipped}.`);
+    await loadSavedUpdates();
+  } catch (error) {
+    console.error('Error importing entries:', error);
+    setImportStatus(error.message, true);
+    updateImportSummary();
+  }
+}
+
+/**
+ * Opens the journal import dialog
+ */
+function openImport() {
+  importModal.style.display = 'flex';
+  importDrafts = [];
+  renderImportPreview([]);
+  setImportStatus('');
+}
+
+/**
+ * Closes the journal import dialog
+ */
+function closeImport() {
+  importModal.style.display = 'none';
+  importFilesInput.value = '';
+  importFolderInput.value = '';
+}
+
+/**
+ * Builds the GET /export query from the sidebar filters and export dates
+ * @returns {URLSearchParams} Query parameters
+ */
+function getExportQuery() {
+  const params = new URLSearchParams({ format: exportFormat.value, status: statusFilter.value || 'inbox' });
+  const activeTags = getActiveTagFilters();
+  if (areaFilter.value) params.set('area', areaFilter.value);
+  if (activeTags.length > 0) params.set('tags', activeTags.join(','));
+  if (exportFrom.value) params.set('from', exportFrom.value);
+  if (exportTo.value) params.set('to', exportTo.value);
+  return params;
+}
+
+/**
+ * Downloads the filtered entries in the selected format. Queued changes are
+ * sent first so the file includes them (when the server is reachable).
+ * @returns {Promise<void>}
+ */
+async function exportEntries() {
+  exportBtn.disabled = true;
+  try {
+    await flushSyncQueue();
+    const response = await fetch(`/export?${getExportQuery()}`);
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.message || 'Export failed');
+    }
+    
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = match ? match[1] : 'goal-updates';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    console.error('Error exporting entries:', error);
+    alert(`Export failed: ${error.message}`);
+  } finally {
+    exportBtn.disabled = false;
+  }
+}
+
+/**
+ * Toggles sidebar visibility
+ */
+function toggleSidebar() {
+  sidebar.classList.toggle('hidden');
+  sidebarToggleFixed.style.display = sidebar.classList.contains('hidden') 
+    ? 'block' 
+    : 'none';
+}
+
+/**
+ * Renders a search snippet with its highlighted ranges marked
+ * @param {Object} snippet - { snippet, highlights } from /search
+ * @returns {string} HTML
+ */
+function renderSearchSnippet(snippet) {
+  let html = '';
+  let last = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    html += `${escapeHtml(snippet.snippet.slice(last, start))}<mark>${escapeHtml(snippet.snippet.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(snippet.snippet.slice(last));
+}
+
+/**
+ * Searches saved updates for the query in the search box and shows the
+ * results in place of the current view (an empty box shows the view again).
+ * Queued changes are sent first so new entries can be found.
+ * @returns {Promise<void>}
+ */
+async function runSearch() {
+  const query = searchInput.value.trim();
+  if (!query) {
+    switchView(getCurrentViewMode());
+    return;
+  }
+  
+  const requestId = ++searchRequestId;
+  logViewContent.style.display = 'none';
+  weekViewContent.style.display = 'none';
+  trendsViewContent.style.display = 'none';
+  goalsViewContent.style.display = 'none';
+  searchResultsContent.style.display = 'block';
+  
+  try {
+    await flushSyncQueue();
+    const response = await fetch(`/search?${new URLSearchParams({ q: query })}`);
+    const body = await response.json();
+    if (requestId !== searchRequestId) return;
+    if (!response.ok) {
+      throw new Error(body.message || 'Search failed');
+    }
+    renderSearchResults(body);
+  } catch (error) {
+    if (requestId !== searchRequestId) return;
+    console.error('Error searching updates:', error);
+    searchCount.textContent = error.message;
+    searchResultsList.innerHTML = '';
+  }
+}
+
+/**
+ * Renders search results, best matches first
+ * @param {Object} found - Response from GET /search
+ */
+function renderSearchResults(found) {
+  searchCount.textContent = found.total > found.results.length
+    ? `Top ${found.results.length} of ${found.total} matches`
+    : `${found.total} ${found.total === 1 ? 'match' : 'matches'}`;
+  searchResultsList.innerHTML = '';
+  
+  found.results.forEach(({ entry, snippets }) => {
+    // Open the local copy when there is one (it may have newer queued changes)
+    const update = savedUpdates.find(saved => saved.id === entry.id) || entry;
+    const area = update.area || 'Misc';
+    const sentiment = update.analysis ? update.analysis.sentimentLabel : null;
+    const timeStr = new Date(update.timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+    
+    const li = document.createElement('li');
+    li.className = 'update-item';
+    li.setAttribute('data-area', area);
+    li.setAttribute('data-status', getEntryStatus(update));
+    li.style.setProperty('--area-color', getAreaColor(area));
+    li.innerHTML = `
+      <div class="update-item-header">
+        <span class="update-item-time">${timeStr}</span>
+        ${sentiment ? `<span class="update-item-sentiment sentiment-label ${getSentimentClass(sentiment)}">${escapeHtml(sentiment)}</span>` : ''}
+      </div>
+      <div class="update-item-content">
+        ${snippets.map(snippet => `<div class="update-item-preview search-snippet">${
+          snippet.field === 'nextStep' ? '<span class="search-snippet-label">Next step</span>' : ''
+        }${renderSearchSnippet(snippet)}</div>`).join('')}
+        <span class="area-label">${escapeHtml(area)}</span>
+      </div>
+    `;
+    li.addEventListener('click', () => {
+      if (update.analysis) {
+        showReadOnlyView(update);
+      }
+    });
+    searchResultsList.appendChild(li);
+  });
+}
+
+/**
+ * Builds the /trends query from the Trends view controls
+ * @returns {string} Query string
+ */
+function getTrendsQuery() {
+  const params = new URLSearchParams({ bucket: trendsBucket.value, status: 'all' });
+  if (trendsGroupBy.value) {
+    params.set('groupBy', trendsGroupBy.value);
+  }
+  if (trendsFrom.value) {
+    params.set('from', trendsFrom.value);
+  }
+  if (trendsTo.value) {
+    params.set('to', trendsTo.value);
+  }
+  return params.toString();
+}
+
+/**
+ * Loads trends for the selected range and renders the Trends view. Queued
+ * changes are sent first so the charts include them (when the server is reachable).
+ * @returns {Promise<void>}
+ */
+async function loadTrends() {
+  try {
+    await flushSyncQueue();
+    const response = await fetch(`/trends?${getTrendsQuery()}`);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.message || 'Could not load trends');
+    }
+    renderTrends(body);
+  } catch (error) {
+    console.error('Error loading trends:', error);
+    trendsChart.innerHTML = `<p class="empty-message">${escapeHtml(error.message)}</p>`;
+    trendsGroups.innerHTML = '';
+  }
+}
+
+/**
+ * Renders one trend series as an SVG chart: bars for entry counts and a line
+ * for average sentiment (-1 at the bottom, 1 at the top, gaps where a bucket
+ * has no analyzed entries)
+ * @param {Array<Object>} points - Points as { label, count, averageScore }
+ * @param {number} height - Chart height in SVG units
+ * @param {number} maxCount - Entry count that fills the chart height
+ * @returns {string} SVG markup
+ */
+function renderTrendChart(points, height, maxCount) {
+  const slot = TREND_CHART_WIDTH / points.length;
+  const scoreY = score => (1 - score) * height / 2;
+  
+  const bars = points.map((point, i) => {
+    const barHeight = maxCount > 0 ? point.count / maxCount * height : 0;
+    const average = point.averageScore === null ? 'no sentiment' : `avg ${point.averageScore.toFixed(2)}`;
+    return `<rect class="trend-bar" x="${(i * slot + slot * 0.15).toFixed(1)}" y="${(height - barHeight).toFixed(1)}"
+      width="${(slot * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}">
+      <title>${escapeHtml(point.label)}: ${point.count} ${point.count === 1 ? 'entry' : 'entries'}, ${average}</title></rect>`;
+  }).join('');
+  
+  let path = '';
+  let drawing = false;
+  points.forEach((point, i) => {
+    if (point.averageScore === null) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${(i * slot + slot / 2).toFixed(1)} ${scoreY(point.averageScore).toFixed(1)} `;
+    drawing = true;
+  });
+  const dots = points.length > 60 ? '' : points
+    .map((point, i) => (point.averageScore === null ? ''
+      : `<circle class="trend-dot" cx="${(i * slot + slot / 2).toFixed(1)}" cy="${scoreY(point.averageScore).toFixed(1)}" r="2"></circle>`))
+    .join('');
+  
+  return `<svg class="trend-svg" viewBox="0 0 ${TREND_CHART_WIDTH} ${height}" role="img"
+    aria-label="Entries and average sentiment per period">
+    <line class="trend-zero" x1="0" y1="${height / 2}" x2="${TREND_CHART_WIDTH}" y2="${height / 2}"></line>
+    ${bars}<path class="trend-line" d="${path.trim()}"></path>${dots}
+  </svg>`;
+}
+
+/**
+ * Renders a titled trend chart card with its first and last bucket labels
+ * @param {string} title - Card title
+ * @param {Object} series - { count, averageScore, points } of the whole range
+ * @param {number} height - Chart height in SVG units
+ * @param {number} maxCount - Entry count that fills the chart height
+ * @returns {string} HTML
+ */
+function renderTrendCard(title, series, height, maxCount) {
+  const { count, averageScore, points } = series;
+  const average = averageScore === null ? '' : ` · avg ${averageScore.toFixed(2)}`;
+  return `<div class="trends-card">
+    <div class="trends-card-header">
+      <span class="trends-card-title">${escapeHtml(title)}</span>
+      <span class="trends-card-meta">${count} ${count === 1 ? 'entry' : 'entries'}${average}</span>
+    </div>
+    ${renderTrendChart(points, height, maxCount)}
+    <div class="trends-axis"><span>${escapeHtml(points[0].label)}</span><span>${escapeHtml(points[points.length - 1].label)}</span></div>
+  </div>`;
+}
+
+/**
+ * Renders the Trends view: the overall chart and one smaller chart per area
+ * or tag (the busiest ones, on a shared scale so they can be compared)
+ * @param {Object} trends - Response from GET /trends
+ */
+function renderTrends(trends) {
+  if (trends.count === 0) {
+    trendsChart.innerHTML = '<p class="empty-message">No entries in this range.</p>';
+    trendsGroups.innerHTML = '';
+    return;
+  }
+  
+  const maxCount = Math.max(...trends.overall.map(point => point.count));
+  trendsChart.innerHTML = renderTrendCard('All entries', { ...trends, points: trends.overall }, TREND_CHART_HEIGHT, maxCount) +
+    `<p class="trends-legend"><span class="trends-legend-bar"></span>Entries (max ${maxCount})` +
+    '<span class="trends-legend-line"></span>Avg sentiment (-1 to 1)</p>';
+  
+  const groups = trends.groups.slice(0, MAX_TREND_GROUPS);
+  const groupMax = Math.max(0, ...groups.flatMap(group => group.points.map(point => point.count)));
+  trendsGroups.innerHTML = groups
+    .map(group => renderTrendCard(trends.groupBy === 'tag' ? `#${group.name}` : group.name,
+      group, TREND_GROUP_CHART_HEIGHT, groupMax))
+    .join('');
+}
+
+/**
+ * Loads all goals with their progress and renders the Goals view. Queued
+ * changes are sent first so progress includes them (when the server is reachable).
+ * @returns {Promise<void>}
+ */
+async function loadGoals() {
+  try {
+    await flushSyncQueue();
+    goalsList = (await requestJson('/goals?status=all')).goals;
+    renderGoals();
+  } catch (error) {
+    console.error('Error loading goals:', error);
+    goalList.innerHTML = `<li class="empty-message">${escapeHtml(error.message)}</li>`;
+  }
+}
+
+/**
+ * Runs a goal change, then shows the saved goal everywhere it appears
+ * @param {Promise<Object|null>} request - Pending goal request (resolves to
+ *   the saved goal, or null when it was deleted)
+ * @param {number} goalId - ID of the changed goal
+ * @returns {Promise<void>}
+ */
+async function applyGoalChange(request, goalId) {
+  try {
+    const saved = await request;
+    goalsList = saved
+      ? goalsList.map(goal => (goal.id === goalId ? saved : goal))
+      : goalsList.filter(goal => goal.id !== goalId);
+    goalError.textContent = '';
+  } catch (error) {
+    goalError.textContent = error.message;
+  }
+  renderGoals();
+  
+  // The entry dialog lists the goals of its entry
+  const currentModalId = modalActions.getAttribute('data-entry-id');
+  const update = currentModalId && savedUpdates.find(saved => saved.id === parseInt(currentModalId));
+  if (readOnlyModal.style.display !== 'none' && update) {
+    renderModalGoals(update);
+  }
+}
+
+/**
+ * Links an entry to a goal or unlinks it. Queued changes are sent first so a
+ * new entry exists on the server.
+ * @param {number} goalId - Goal ID
+ * @param {number} entryId - Entry ID
+ * @param {boolean} linked - Whether the entry should count towards the goal
+ * @returns {Promise<void>}
+ */
+function setGoalLink(goalId, entryId, linked) {
+  const request = flushSyncQueue().then(() => (linked
+    ? requestJson(`/goals/${goalId}/entries`, { method: 'POST', body: JSON.stringify({ entryId }) })
+    : requestJson(`/goals/${goalId}/entries/${entryId}`, { method: 'DELETE' })));
+  return applyGoalChange(request, goalId);
+}
+
+/**
+ * Creates a goal from the form in the Goals view
+ * @returns {Promise<void>}
+ */
+async function createGoal() {
+  const value = goalTargetInput.value.trim();
+  const unit = goalUnitSelect.value;
+  if (Boolean(value) !== Boolean(unit)) {
+    goalError.textContent = 'A target needs both a value and a unit';
+    return;
+  }
+  
+  try {
+    const goal = await requestJson('/goals', {
+      method: 'POST',
+      body: JSON.stringify({
+        title: goalTitleInput.value.trim(),
+        area: goalAreaSelect.value,
+        target: value ? { value: parseFloat(value), unit } : null,
+        startDate: goalStartInput.value || undefined,
+        deadline: goalDeadlineInput.value || null
+      })
+    });
+    goalsList = [...goalsList, goal];
+    goalForm.reset();
+    goalAreaSelect.value = goal.area;
+    goalStatusFilter.value = 'active';
+    goalError.textContent = '';
+    renderGoals();
+  } catch (error) {
+    goalError.textContent = error.message;
+  }
+}
+
+/**
+ * Formats a goal's progress ("16.2 / 500 km · on pace: 399.8 · due Dec 31, 2026")
+ * @param {Object} goal - Goal with its progress
+ * @returns {string} Progress text
+ */
+function formatGoalProgress(goal) {
+  const { progress, target } = goal;
+  const parts = [];
+  if (target) {
+    const goalTarget = `${target.value} ${GOAL_UNIT_LABELS[target.unit]}`;
+    parts.push(progress.current === null ? `no results yet (target ${goalTarget})` : `${progress.current} / ${goalTarget}`);
+    if (progress.expected !== null && progress.status !== 'achieved') {
+      parts.push(`on pace: ${progress.expected}`);
+    }
+  }
+  parts.push(`${progress.entryCount} linked ${progress.entryCount === 1 ? 'update' : 'updates'}`);
+  if (goal.deadline) {
+    const deadline = new Date(`${goal.deadline}T00:00:00`);
+    parts.push(`due ${deadline.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Renders the goals matching the status filter, oldest first
+ */
+function renderGoals() {
+  const archived = goalStatusFilter.value === 'archived';
+  const shown = goalsList.filter(goal => (goal.status === 'archived') === archived);
+  if (shown.length === 0) {
+    goalList.innerHTML = `<li class="empty-message">${archived ? 'No archived goals.' : 'No goals yet. Add one above!'}</li>`;
+    return;
+  }
+  
+  goalList.innerHTML = shown.map(goal => {
+    const { progress } = goal;
+    // Totals also mark where they should be by today
+    const pace = goal.target && progress.expected !== null && !BEST_VALUE_GOAL_UNITS.includes(goal.target.unit)
+      ? `<div class="goal-progress-pace" style="left: ${Math.min(100, progress.expected / goal.target.value * 100).toFixed(1)}%"></div>`
+      : '';
+    return `<li class="goal-item" data-goal-id="${goal.id}" style="--area-color: ${getAreaColor(goal.area)}">
+      <div class="goal-item-header">
+        <span class="goal-title">${escapeHtml(goal.title)}</span>
+        <span class="goal-status" data-status="${progress.status}">${GOAL_STATUS_LABELS[progress.status]}</span>
+      </div>
+      ${goal.target ? `<div class="goal-progress"><div class="goal-progress-bar" style="width: ${progress.percent}%"></div>${pace}</div>` : ''}
+      <p class="goal-meta">${escapeHtml(formatGoalProgress(goal))}</p>
+      <div class="goal-actions">
+        <span class="goal-area">${escapeHtml(goal.area)}</span>
+        ${archived ? '' : '<button type="button" class="goal-action-btn" data-action="suggest">Suggest updates</button>'}
+        <button type="button" class="goal-action-btn" data-action="${archived ? 'restore' : 'archive'}">${archived ? 'Restore' : 'Archive'}</button>
+        <button type="button" class="goal-action-btn" data-action="delete">Delete</button>
+      </div>
+      <ul class="goal-suggestions"></ul>
+    </li>`;
+  }).join('');
+  
+  goalList.querySelectorAll('.goal-action-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const goalId = parseInt(btn.closest('.goal-item').getAttribute('data-goal-id'));
+      const action = btn.getAttribute('data-action');
+      if (action === 'suggest') {
+        expandedGoalId = expandedGoalId === goalId ? null : goalId;
+        renderGoals();
+      } else if (action === 'delete') {
+        if (confirm('Delete this goal? Its linked updates are kept.')) {
+          applyGoalChange(requestJson(`/goals/${goalId}`, { method: 'DELETE' }), goalId);
+        }
+      } else {
+        applyGoalChange(requestJson(`/goals/${goalId}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ status: action === 'archive' ? 'archived' : 'active' })
+        }), goalId);
+      }
+    });
+  });
+  
+  const expanded = goalList.querySelector(`.goal-item[data-goal-id="${expandedGoalId}"] .goal-suggestions`);
+  if (expanded && !archived) {
+    loadGoalSuggestions(expandedGoalId, expanded);
+  }
+}
+
+/**
+ * Loads the updates suggested for a goal and lists them with Link buttons
+ * @param {number} goalId - Goal ID
+ * @param {HTMLElement} list - List to render into
+ * @returns {Promise<void>}
+ */
+async function loadGoalSuggestions(goalId, list) {
+  list.innerHTML = '<li class="goal-suggestion-empty">Looking for matching updates...</li>';
+  try {
+    await flushSyncQueue();
+    const { suggestions } = await requestJson(`/goals/${goalId}/suggestions`);
+    if (suggestions.length === 0) {
+      list.innerHTML = '<li class="goal-suggestion-empty">No unlinked updates match this goal.</li>';
+      return;
+    }
+    list.innerHTML = suggestions.map(({ entry, reasons }) => {
+      const preview = entry.text.length > 80 ? `${entry.text.slice(0, 80)}...` : entry.text;
+      const dateStr = new Date(entry.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      return `<li class="goal-suggestion">
+        <div class="goal-suggestion-text">
+          <span class="update-item-time">${dateStr}</span> ${escapeHtml(preview)}
+          <span class="goal-suggestion-reasons">${escapeHtml(reasons.join(', '))}</span>
+        </div>
+        <button type="button" class="goal-action-btn" data-entry-id="${entry.id}">Link</button>
+      </li>`;
+    }).join('');
+    list.querySelectorAll('.goal-action-btn').forEach(btn => {
+      btn.addEventListener('click', () => setGoalLink(goalId, parseInt(btn.getAttribute('data-entry-id')), true));
+    });
+  } catch (error) {
+    console.error('Error loading goal suggestions:', error);
+    list.innerHTML = `<li class="goal-suggestion-empty">${escapeHtml(error.message)}</li>`;
+  }
+}
+
+/**
+ * Switches between Log, Week, Trends and Goals views
+ * @param {string} viewMode - 'log', 'week', 'trends' or 'goals'
+ */
+function switchView(viewMode) {
+  // Save to localStorage
+  localStorage.setItem(VIEW_MODE_STORAGE_KEY, viewMode);
+  
+  // Picking a view leaves search results
+  searchInput.value = '';
+  searchResultsContent.style.display = 'none';
+  
+  // Update button states
+  logViewBtn.classList.toggle('active', viewMode === 'log');
+  weekViewBtn.classList.toggle('active', viewMode === 'week');
+  trendsViewBtn.classList.toggle('active', viewMode === 'trends');
+  goalsViewBtn.classList.toggle('active', viewMode === 'goals');
+  logViewContent.style.display = viewMode === 'log' ? 'block' : 'none';
+  weekViewContent.style.display = viewMode === 'week' ? 'block' : 'none';
+  trendsViewContent.style.display = viewMode === 'trends' ? 'block' : 'none';
+  goalsViewContent.style.display = viewMode === 'goals' ? 'block' : 'none';
+  
+  if (viewMode === 'log') {
+    renderActiveTagFilters();
+    renderSavedUpdates();
+  } else if (viewMode === 'week') {
+    renderActiveTagFilters();
+    renderWeekView();
+  } else if (viewMode === 'trends') {
+    loadTrends();
+  } else {
+    loadGoals();
+  }
+}
+
+// Event Listeners
+analyzeBtn.addEventListener('click', analyzeText);
+
+// Allow Enter key to trigger analysis (Ctrl/Cmd + Enter)
+updateText.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+    analyzeText();
+  }
+});
+
+sidebarToggle.addEventListener('click', toggleSidebar);
+sidebarToggleFixed.addEventListener('click', toggleSidebar);
+closeModal.addEventListener('click', closeReadOnlyView);
 
 // Close modal when clicking outside
 readOnlyModal.addEventListener('click', (e) => {
@@ -1096,6 +2663,39 @@ document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape' && readOnlyModal.style.display !== 'none') {
     closeReadOnlyView();
   }
+  if (e.key === 'Escape' && lexiconModal.style.display !== 'none') {
+    closeLexiconSettings();
+  }
+  if (e.key === 'Escape' && importModal.style.display !== 'none') {
+    closeImport();
+  }
+});
+
+// Lexicon settings
+lexiconBtn.addEventListener('click', openLexiconSettings);
+closeLexiconModal.addEventListener('click', closeLexiconSettings);
+lexiconModal.addEventListener('click', (e) => {
+  if (e.target === lexiconModal) {
+    closeLexiconSettings();
+  }
+});
+
+lexiconLanguageSelect.addEventListener('change', () => {
+  applyLexiconChange(requestJson('/lexicon'));
+});
+
+lexiconForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await saveLexiconTerm(lexiconTermInput.value, parseFloat(lexiconWeightInput.value));
+  if (!lexiconError.textContent) {
+    lexiconTermInput.value = '';
+  }
+});
+
+lexiconResetBtn.addEventListener('click', () => {
+  if (confirm('Replace all terms with the built-in lexicon?')) {
+    applyLexiconChange(requestJson('/lexicon/reset', { method: 'POST' }));
+  }
 });
 
 // Initialize: Load last selected area
@@ -1118,11 +2718,18 @@ if (savedStatusFilter !== null) {
   statusFilter.value = 'inbox'; // Default
 }
 
-// Save area when changed
+// Save area when changed (a manual pick also stops suggestions overriding it)
 areaSelect.addEventListener('change', () => {
+  areaTouchedByUser = true;
   localStorage.setItem(LAST_AREA_STORAGE_KEY, areaSelect.value);
 });
 
+// Suggest area and tags while typing (debounced)
+updateText.addEventListener('input', () => {
+  clearTimeout(suggestionTimer);
+  suggestionTimer = setTimeout(requestSuggestions, SUGGESTION_DEBOUNCE_MS);
+});
+
 // Filter updates when area filter changes
 areaFilter.addEventListener('change', () => {
   localStorage.setItem(AREA_FILTER_STORAGE_KEY, areaFilter.value);
@@ -1142,6 +2749,50 @@ statusFilter.addEventListener('change', () => {
 // View toggle event listeners
 logViewBtn.addEventListener('click', () => switchView('log'));
 weekViewBtn.addEventListener('click', () => switchView('week'));
+trendsViewBtn.addEventListener('click', () => switchView('trends'));
+goalsViewBtn.addEventListener('click', () => switchView('goals'));
+
+// Search as you type (clearing the box shows the current view again)
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+});
+
+// Trends reload when the range, interval or grouping changes
+[trendsFrom, trendsTo, trendsBucket, trendsGroupBy].forEach(control => {
+  control.addEventListener('change', loadTrends);
+});
+
+// Goals view: add goals and switch between active and archived ones
+goalForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  createGoal();
+});
+goalStatusFilter.addEventListener('change', renderGoals);
+
+// Link the entry shown in the dialog to the picked goal
+modalGoalLinkBtn.addEventListener('click', () => {
+  const entryId = parseInt(modalActions.getAttribute('data-entry-id'));
+  if (modalGoalSelect.value) {
+    setGoalLink(parseInt(modalGoalSelect.value), entryId, true);
+  }
+});
+
+// Export button downloads the filtered entries
+exportBtn.addEventListener('click', exportEntries);
+
+// Journal import dialog
+importBtn.addEventListener('click', openImport);
+closeImportModal.addEventListener('click', closeImport);
+importModal.addEventListener('click', (e) => {
+  if (e.target === importModal) {
+    closeImport();
+  }
+});
+importFilesInput.addEventListener('change', () => previewImport(importFilesInput.files));
+importFolderInput.addEventListener('change', () => previewImport(importFolderInput.files));
+importList.addEventListener('change', updateImportSummary);
+importCommitBtn.addEventListener('click', commitImport);
 
 // Tag input change listener - update chip states
 tagsInput.addEventListener('input', updateTagChipStates);
@@ -1152,7 +2803,25 @@ renderTagPresets();
 // Initialize: Render active tag filters
 renderActiveTagFilters();
 
+// Initialize: Fill the goal form's area and unit choices
+goalAreaSelect.innerHTML = AREAS_ORDER.map(area => `<option value="${area}">${escapeHtml(area)}</option>`).join('');
+goalUnitSelect.innerHTML = '<option value="">No target</option>' + Object.entries(GOAL_UNIT_LABELS)
+  .map(([unit, label]) => `<option value="${unit}">${label}</option>`).join('');
+
 // Initialize: Load saved view mode and render appropriate view
 const savedViewMode = getCurrentViewMode();
 switchView(savedViewMode);
 
+// Initialize: Report sync progress, move entries from older versions of the
+// app to the server, then load saved updates and send anything still queued
+syncRejectedBtn.addEventListener('click', reviewRejectedChanges);
+configureSync({ onEntrySynced: handleEntrySynced, onStateChange: renderSyncStatus });
+migrateLocalEntries();
+loadSavedUpdates().then(flushSyncQueue);
+
+// Initialize: Load goals so entries can be linked from the entry dialog (the
+// Goals view loads them itself)
+if (savedViewMode !== 'goals') {
+  loadGoals();
+}
+
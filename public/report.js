@@ -0,0 +1,230 @@
+/**
+ * Goal Update Analyzer - Review Page
+ * 
+ * Shows the weekly or monthly review digest from /reports as a printable
+ * page. The period comes from the URL (?period=weekly&week=2026-W11 or
+ * ?period=monthly&month=2026-03), so a review can be bookmarked.
+ */
+
+// DOM Elements
+const reportContent = document.getElementById('reportContent');
+const reportWeeklyBtn = document.getElementById('reportWeeklyBtn');
+const reportMonthlyBtn = document.getElementById('reportMonthlyBtn');
+const reportPrevBtn = document.getElementById('reportPrevBtn');
+const reportNextBtn = document.getElementById('reportNextBtn');
+const reportMarkdownLink = document.getElementById('reportMarkdownLink');
+const reportPrintBtn = document.getElementById('reportPrintBtn');
+
+// Query parameter that selects the period of each report
+const REPORT_PARAMS = { weekly: 'week', monthly: 'month' };
+
+const SENTIMENT_LABELS = ['Positive', 'Neutral', 'Negative'];
+
+// Digest currently shown
+let currentDigest = null;
+
+/**
+ * Escapes HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Formats a date as a short day ("Mar 14")
+ * @param {string} iso - ISO date
+ * @returns {string} Day
+ */
+function shortDay(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Formats a signed change ("+3", "-0.12", "±0")
+ * @param {number|null} value - Change
+ * @param {string} [unit] - Unit appended to the number
+ * @returns {string} Change, or "n/a" if there is nothing to compare
+ */
+function formatChange(value, unit = '') {
+  if (value === null) return 'n/a';
+  if (value === 0) return `±0${unit}`;
+  return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+/**
+ * Reads the report and period from the page URL
+ * @returns {Object} { period: 'weekly'|'monthly', value: string|null }
+ */
+function getReportLocation() {
+  const params = new URLSearchParams(window.location.search);
+  const period = params.get('period') === 'monthly' ? 'monthly' : 'weekly';
+  return { period, value: params.get(REPORT_PARAMS[period]) };
+}
+
+/**
+ * Builds the /reports URL of a period
+ * @param {string} period - 'weekly' or 'monthly'
+ * @param {string|null} value - Week or month label (null for the current one)
+ * @param {string} [format] - 'json' or 'markdown'
+ * @returns {string} URL
+ */
+function getReportUrl(period, value, format = 'json') {
+  const params = new URLSearchParams({ format });
+  if (value) {
+    params.set(REPORT_PARAMS[period], value);
+  }
+  return `/reports/${period}?${params}`;
+}
+
+/**
+ * Shows another period, keeping it in the page URL
+ * @param {string} period - 'weekly' or 'monthly'
+ * @param {string|null} value - Week or month label (null for the current one)
+ */
+function showPeriod(period, value) {
+  const params = new URLSearchParams({ period });
+  if (value) {
+    params.set(REPORT_PARAMS[period], value);
+  }
+  history.pushState(null, '', `?${params}`);
+  loadReport();
+}
+
+/**
+ * Loads and renders the review for the period in the URL. Queued changes are
+ * sent first so the review includes them (when the server is reachable).
+ * @returns {Promise<void>}
+ */
+async function loadReport() {
+  const { period, value } = getReportLocation();
+  reportWeeklyBtn.classList.toggle('active', period === 'weekly');
+  reportMonthlyBtn.classList.toggle('active', period === 'monthly');
+  reportPrevBtn.disabled = true;
+  reportNextBtn.disabled = true;
+  
+  try {
+    await flushSyncQueue();
+    const response = await fetch(getReportUrl(period, value));
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.message || 'Could not load the review');
+    }
+    currentDigest = body;
+    renderReport(body);
+    reportPrevBtn.disabled = false;
+    reportNextBtn.disabled = false;
+    reportMarkdownLink.href = getReportUrl(period, body.label, 'markdown');
+    reportMarkdownLink.download = `review-${body.label}.md`;
+  } catch (error) {
+    console.error('Error loading review:', error);
+    reportContent.innerHTML = `<p class="empty-message">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Renders a sentiment count with its share of analyzed entries
+ * @param {Object} mix - Sentiment mix from the digest
+ * @param {string} label - Sentiment label
+ * @returns {string} Count and share
+ */
+function formatShare(mix, label) {
+  return mix.analyzed > 0 ? `${mix[label]} (${Math.round(mix[label] / mix.analyzed * 100)}%)` : '0';
+}
+
+/**
+ * Renders a titled list section, or nothing when there are no items
+ * @param {string} title - Section title
+ * @param {Array<Object>} items - Items to list
+ * @param {Function} render - Returns the inner HTML of one item
+ * @returns {string} HTML
+ */
+function renderReportList(title, items, render) {
+  if (items.length === 0) return '';
+  return `<section class="report-section"><h2>${title}</h2><ul class="report-list">${
+    items.map(item => `<li>${render(item)}</li>`).join('')
+  }</ul></section>`;
+}
+
+/**
+ * Renders the source of a digest item ("Running · Mar 14")
+ * @param {Object} item - Item with area and timestamp
+ * @returns {string} HTML
+ */
+function renderItemSource(item) {
+  return `<span class="report-source">${escapeHtml(item.area)} · ${shortDay(item.timestamp)}</span>`;
+}
+
+/**
+ * Renders a digest into the page
+ * @param {Object} digest - Digest from /reports
+ */
+function renderReport(digest) {
+  const noun = digest.period === 'week' ? 'week' : 'month';
+  const lastDay = new Date(new Date(digest.end) - 1).toISOString();
+  const { current, previous, change } = digest.sentiment;
+  document.title = `${digest.label} Review - Goal Update Analyzer`;
+  
+  let html = `<header class="report-header">
+    <h1>${digest.period === 'week' ? 'Weekly' : 'Monthly'} Review: ${escapeHtml(digest.label)}</h1>
+    <p class="report-range">${shortDay(digest.start)} – ${shortDay(lastDay)}, ${new Date(lastDay).getFullYear()}</p>
+  </header>`;
+  
+  html += `<div class="report-stats">
+    <div class="report-stat">
+      <span class="report-stat-value">${digest.totals.entries}</span>
+      <span class="report-stat-label">${digest.totals.entries === 1 ? 'entry' : 'entries'} (${formatChange(digest.totals.change)} vs previous ${noun})</span>
+    </div>
+    <div class="report-stat">
+      <span class="report-stat-value">${current.averageScore === null ? '–' : current.averageScore.toFixed(2)}</span>
+      <span class="report-stat-label">average sentiment (${formatChange(change.averageScore)})</span>
+    </div>
+  </div>`;
+  
+  html += `<section class="report-section"><h2>Sentiment</h2><table class="report-table">
+    <thead><tr><th></th><th>This ${noun}</th><th>Previous ${noun}</th><th>Change</th></tr></thead>
+    <tbody>${SENTIMENT_LABELS.map(label => `<tr>
+      <td>${label}</td><td>${formatShare(current, label)}</td><td>${formatShare(previous, label)}</td>
+      <td>${formatChange(change[label], ' pts')}</td>
+    </tr>`).join('')}</tbody>
+  </table></section>`;
+  
+  if (digest.areas.length > 0) {
+    html += `<section class="report-section"><h2>Areas</h2><table class="report-table">
+      <thead><tr><th>Area</th><th>Entries</th><th>Previous</th><th>Positive / Neutral / Negative</th></tr></thead>
+      <tbody>${digest.areas.map(area => `<tr>
+        <td>${escapeHtml(area.area)}</td><td>${area.entries}</td><td>${area.previousEntries}</td>
+        <td>${SENTIMENT_LABELS.map(label => area.sentiment[label]).join(' / ')}</td>
+      </tr>`).join('')}</tbody>
+    </table></section>`;
+  }
+  
+  html += renderReportList('Highlights', digest.highlights, item =>
+    `${escapeHtml(item.text)} ${renderItemSource(item)}`);
+  html += renderReportList('Open Action Items', digest.actionItems, item =>
+    `<span class="report-checkbox">☐</span> ${escapeHtml(item.text)}` +
+    `${item.dueDate ? ` <strong>due ${escapeHtml(item.dueDate)}</strong>` : ''} ${renderItemSource(item)}`);
+  html += renderReportList('Open Blockers', digest.blockers, item =>
+    `<strong>${escapeHtml(item.category)}:</strong> ${escapeHtml(item.text)} ${renderItemSource(item)}`);
+  html += renderReportList('Quiet Areas', digest.inactiveAreas, item =>
+    `${escapeHtml(item.area)} <span class="report-source">${item.lastEntry ? `last entry ${shortDay(item.lastEntry)}` : 'no entries yet'}</span>`);
+  
+  reportContent.innerHTML = html;
+}
+
+// Event Listeners
+reportWeeklyBtn.addEventListener('click', () => showPeriod('weekly', null));
+reportMonthlyBtn.addEventListener('click', () => showPeriod('monthly', null));
+reportPrevBtn.addEventListener('click', () => {
+  if (currentDigest) showPeriod(getReportLocation().period, currentDigest.previous.label);
+});
+reportNextBtn.addEventListener('click', () => {
+  if (currentDigest) showPeriod(getReportLocation().period, currentDigest.next.label);
+});
+reportPrintBtn.addEventListener('click', () => window.print());
+window.addEventListener('popstate', loadReport);
+
+loadReport();
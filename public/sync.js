@@ -0,0 +1,397 @@
+/**
+ * Goal Update Analyzer - Entry Sync
+ * 
+ * Sends entry changes to the server through a queue kept in localStorage,
+ * so nothing is lost while the server is unreachable:
+ * - new entries and field changes are queued and sent in order, retrying
+ *   until the server answers
+ * - field changes carry the time they were made, and the server keeps the
+ *   latest change per field (last write wins)
+ * - entries saved in localStorage before server storage existed are queued
+ *   once as new entries; the server rejects IDs it already has, so running
+ *   the migration twice never creates duplicates
+ * - a new entry whose ID another device already used is saved again under an
+ *   ID the server picks
+ * - changes the server rejects are kept aside and can be sent again
+ */
+
+// Entries saved by older versions of the app (migrated, then kept as a backup)
+const LEGACY_STORAGE_KEY = 'goalUpdates';
+const LEGACY_BACKUP_STORAGE_KEY = 'goalUpdatesBackup';
+
+// Changes not yet accepted by the server, and changes it rejected
+const SYNC_QUEUE_STORAGE_KEY = 'goalUpdateSyncQueue';
+const SYNC_REJECTED_STORAGE_KEY = 'goalUpdateSyncRejected';
+
+// How long to wait before retrying after the server was unreachable
+const SYNC_RETRY_MS = 30000;
+
+// Current sync state: status is 'synced', 'syncing' or 'offline'
+const syncState = { status: 'synced', pending: 0, rejected: 0 };
+
+let syncHandlers = {
+  onEntrySynced: () => {},
+  onStateChange: () => {}
+};
+let syncInFlight = null;
+let syncRetryTimer = null;
+
+/**
+ * Sets the callbacks the sync module reports to
+ * @param {Object} handlers - { onEntrySynced(entry, previousId), onStateChange(state) }
+ *   where entry is the server's copy of an entry after a queued change was
+ *   accepted, and previousId is set when the entry had to be saved under a new ID
+ */
+function configureSync(handlers) {
+  syncHandlers = { ...syncHandlers, ...handlers };
+  syncState.pending = getSyncQueue().length;
+  syncState.rejected = getRejectedChanges().length;
+  syncHandlers.onStateChange({ ...syncState });
+}
+
+/**
+ * Reads a JSON list from localStorage
+ * @param {string} key - Storage key
+ * @returns {Array} Stored list (empty if missing or unreadable)
+ */
+function readStoredList(key) {
+  const stored = localStorage.getItem(key);
+  if (!stored) {
+    return [];
+  }
+  try {
+    const list = JSON.parse(stored);
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error(`Error parsing ${key}:`, e);
+    return [];
+  }
+}
+
+/**
+ * Gets the queued changes from localStorage
+ * @returns {Array} Operations as { type: 'create', entry, changes?, changedAt? }
+ *   (changes made to the entry before it was accepted) or
+ *   { type: 'update', id, changes, changedAt }
+ */
+function getSyncQueue() {
+  return readStoredList(SYNC_QUEUE_STORAGE_KEY);
+}
+
+/**
+ * Gets the changes the server rejected
+ * @returns {Array} Items as { op, message, rejectedAt }
+ */
+function getRejectedChanges() {
+  return readStoredList(SYNC_REJECTED_STORAGE_KEY);
+}
+
+/**
+ * Saves the rejected changes to localStorage
+ * @param {Array} rejected - Items to keep
+ */
+function saveRejectedChanges(rejected) {
+  localStorage.setItem(SYNC_REJECTED_STORAGE_KEY, JSON.stringify(rejected));
+  syncState.rejected = rejected.length;
+  syncHandlers.onStateChange({ ...syncState });
+}
+
+/**
+ * Queues the rejected changes again (e.g. after the problem was fixed on the
+ * server) and starts syncing
+ * @returns {Promise<void>} Resolves when this sync attempt ends
+ */
+function retryRejectedChanges() {
+  const rejected = getRejectedChanges();
+  saveSyncQueue([...getSyncQueue(), ...rejected.map(item => item.op)]);
+  saveRejectedChanges([]);
+  return flushSyncQueue();
+}
+
+/**
+ * Saves the queued changes to localStorage
+ * @param {Array} queue - Operations to keep
+ */
+function saveSyncQueue(queue) {
+  localStorage.setItem(SYNC_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  syncState.pending = queue.length;
+  syncHandlers.onStateChange({ ...syncState });
+}
+
+/**
+ * Updates the sync status and notifies the UI
+ * @param {string} status - 'synced', 'syncing' or 'offline'
+ */
+function setSyncStatus(status) {
+  syncState.status = status;
+  syncHandlers.onStateChange({ ...syncState });
+}
+
+/**
+ * Queues a new entry for upload and starts syncing
+ * @param {Object} entry - Entry as { id, timestamp, text, analysis?, area, tags, status }
+ *   (without an analysis, the server analyzes the text when it receives it)
+ * @returns {Promise<void>} Resolves when this sync attempt ends
+ */
+function queueCreate(entry) {
+  const queue = getSyncQueue();
+  if (!queue.some(op => op.type === 'create' && op.entry.id === entry.id)) {
+    queue.push({ type: 'create', entry });
+    saveSyncQueue(queue);
+  }
+  return flushSyncQueue();
+}
+
+/**
+ * Queues field changes to an entry and starts syncing. Changes to the same
+ * entry are merged into one queued operation, unless it is already being sent.
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Changed fields, e.g. { status: 'processed' }
+ * @returns {Promise<void>} Resolves when this sync attempt ends
+ */
+function queueUpdate(id, changes) {
+  const changedAt = new Date().toISOString();
+  const queue = getSyncQueue();
+  
+  // The first operation may be on its way to the server right now
+  const waiting = syncInFlight ? queue.slice(1) : queue;
+  const create = waiting.find(op => op.type === 'create' && op.entry.id === id);
+  
+  if (create) {
+    // Kept apart from the entry so a retried upload can still be recognized
+    create.changes = { ...create.changes, ...changes };
+    create.changedAt = { ...create.changedAt };
+    Object.keys(changes).forEach(field => {
+      create.changedAt[field] = changedAt;
+    });
+  } else {
+    let update = waiting.find(op => op.type === 'update' && op.id === id);
+    if (!update) {
+      update = { type: 'update', id, changes: {}, changedAt: {} };
+      queue.push(update);
+    }
+    Object.keys(changes).forEach(field => {
+      update.changes[field] = changes[field];
+      update.changedAt[field] = changedAt;
+    });
+  }
+  
+  saveSyncQueue(queue);
+  return flushSyncQueue();
+}
+
+/**
+ * Applies queued changes to entries loaded from the server, so changes that
+ * haven't reached it yet still show
+ * @param {Array} entries - Entries from the server
+ * @returns {Array} Entries with queued creates and updates applied, newest first
+ */
+function applyPendingChanges(entries) {
+  const byId = new Map(entries.map(entry => [entry.id, entry]));
+  
+  getSyncQueue().forEach(op => {
+    if (op.type === 'create' && !byId.has(op.entry.id)) {
+      byId.set(op.entry.id, { ...op.entry, ...op.changes });
+    } else if (op.type === 'update' && byId.has(op.id)) {
+      byId.set(op.id, { ...byId.get(op.id), ...op.changes });
+    }
+  });
+  
+  return [...byId.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Queues entries saved in localStorage by older versions of the app for
+ * upload, filling in the defaults for missing fields (area 'Misc', no tags,
+ * status 'inbox'). The old list is kept under a backup key.
+ * @returns {number} Number of entries queued
+ */
+function migrateLocalEntries() {
+  const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!stored) {
+    return 0;
+  }
+  
+  let legacy;
+  try {
+    legacy = JSON.parse(stored);
+  } catch (e) {
+    console.error('Error parsing saved updates for migration:', e);
+    return 0;
+  }
+  
+  const queue = getSyncQueue();
+  const queuedIds = new Set(queue.filter(op => op.type === 'create').map(op => op.entry.id));
+  const entries = (Array.isArray(legacy) ? legacy : []).filter(entry =>
+    entry && Number.isSafeInteger(entry.id) && typeof entry.text === 'string' && entry.text.trim() &&
+    !queuedIds.has(entry.id)
+  );
+  
+  entries.forEach(entry => {
+    queue.push({
+      type: 'create',
+      entry: {
+        id: entry.id,
+        timestamp: entry.timestamp || new Date(entry.id).toISOString(),
+        text: entry.text,
+        analysis: entry.analysis || undefined,
+        area: entry.area || 'Misc',
+        tags: entry.tags || [],
+        status: entry.status || 'inbox'
+      }
+    });
+  });
+  
+  saveSyncQueue(queue);
+  localStorage.setItem(LEGACY_BACKUP_STORAGE_KEY, stored);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return entries.length;
+}
+
+/**
+ * Sends one request for the sync queue
+ * @param {string} url - Endpoint
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} { status, body }
+ * @throws {Error} If the server is unreachable or failed (worth retrying later)
+ */
+async function sendSyncRequest(url, options) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  if (response.status >= 500) {
+    throw new Error(`Server error ${response.status}`);
+  }
+  const body = await response.json().catch(() => ({}));
+  return { status: response.status, body };
+}
+
+/**
+ * Makes later queued changes to an entry use the ID the server gave it
+ * @param {number} previousId - ID the entry was created with
+ * @param {number} id - ID the server saved it under
+ */
+function renameQueuedEntry(previousId, id) {
+  saveSyncQueue(getSyncQueue().map((op, index) => (
+    index > 0 && op.type === 'update' && op.id === previousId ? { ...op, id } : op
+  )));
+}
+
+/**
+ * Sends a queued new entry. If its ID is taken, the server's copy is either
+ * this entry uploaded before (a retry, or a second migration: changes made
+ * since are sent on top) or another device's entry with the same ID (this
+ * one is then saved under an ID the server picks).
+ * @param {Object} op - Queued create operation
+ * @returns {Promise<Object>} { status, body, previousId? }
+ */
+async function sendSyncCreate(op) {
+  const changes = op.changes || {};
+  const created = await sendSyncRequest('/entries', {
+    method: 'POST',
+    body: JSON.stringify({ ...op.entry, ...changes })
+  });
+  if (created.status !== 409) {
+    return created;
+  }
+  
+  const existing = await sendSyncRequest(`/entries/${op.entry.id}`, { method: 'GET' });
+  const sameEntry = existing.status === 200 && existing.body.text === op.entry.text &&
+    new Date(existing.body.timestamp).getTime() === new Date(op.entry.timestamp).getTime();
+  
+  if (!sameEntry) {
+    const { id, ...fields } = { ...op.entry, ...changes };
+    const recreated = await sendSyncRequest('/entries', { method: 'POST', body: JSON.stringify(fields) });
+    if (recreated.status < 400) {
+      renameQueuedEntry(id, recreated.body.id);
+      return { ...recreated, previousId: id };
+    }
+    return recreated;
+  }
+  if (Object.keys(changes).length === 0) {
+    return existing;
+  }
+  return sendSyncRequest(`/entries/${op.entry.id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ ...changes, changedAt: op.changedAt })
+  });
+}
+
+/**
+ * Sends one queued operation
+ * @param {Object} op - Queued operation
+ * @returns {Promise<Object>} { entry, previousId? } with the server's copy of
+ *   the entry, or { rejected: message } if the server refused the change
+ * @throws {Error} If the server is unreachable (the operation stays queued)
+ */
+async function sendSyncOperation(op) {
+  const { status, body, previousId } = op.type === 'create'
+    ? await sendSyncCreate(op)
+    : await sendSyncRequest(`/entries/${op.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ ...op.changes, changedAt: op.changedAt })
+    });
+  
+  if (status >= 400) {
+    console.error('Sync change rejected:', body.message, op);
+    return { rejected: body.message || `Server answered ${status}` };
+  }
+  return { entry: body, previousId };
+}
+
+/**
+ * Sends queued operations in order until the queue is empty or the server is
+ * unreachable (then retries after SYNC_RETRY_MS)
+ * @returns {Promise<void>}
+ */
+async function sendQueuedChanges() {
+  clearTimeout(syncRetryTimer);
+  if (getSyncQueue().length === 0) {
+    setSyncStatus('synced');
+    return;
+  }
+  
+  setSyncStatus('syncing');
+  let queue;
+  while ((queue = getSyncQueue()).length > 0) {
+    let result;
+    try {
+      result = await sendSyncOperation(queue[0]);
+    } catch (error) {
+      console.error('Sync failed, will retry:', error.message);
+      setSyncStatus('offline');
+      syncRetryTimer = setTimeout(flushSyncQueue, SYNC_RETRY_MS);
+      return;
+    }
+    
+    // Drop the sent operation (re-read: changes may have been queued meanwhile);
+    // rejected ones are kept aside so nothing is lost silently
+    saveSyncQueue(getSyncQueue().slice(1));
+    if (result.rejected) {
+      saveRejectedChanges([
+        ...getRejectedChanges(),
+        { op: queue[0], message: result.rejected, rejectedAt: new Date().toISOString() }
+      ]);
+    } else {
+      syncHandlers.onEntrySynced(result.entry, result.previousId);
+    }
+  }
+  setSyncStatus('synced');
+}
+
+/**
+ * Starts sending queued changes (joins the attempt already running, if any)
+ * @returns {Promise<void>} Resolves when the attempt ends
+ */
+function flushSyncQueue() {
+  if (!syncInFlight) {
+    syncInFlight = sendQueuedChanges().finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+}
+
+// Retry as soon as the browser reports the network is back
+window.addEventListener('online', () => flushSyncQueue());
@@ -0,0 +1,507 @@
+/**
+ * Goal Update Analyzer - Review Digests
+ * 
+ * Builds weekly and monthly review digests from saved entries: entries per
+ * area, the sentiment mix compared with the previous period, the strongest
+ * summary bullets, open action items and blockers, and areas that went quiet.
+ * Also builds trends: entry counts and average sentiment per day, week or
+ * month, overall and per area or tag.
+ * Weeks are ISO weeks (Monday to Sunday, "2026-W11"); months are calendar
+ * months ("2026-03"). All use the server's local time zone.
+ */
+
+const { AREAS } = require('./analyzer');
+
+const SENTIMENT_LABELS = ['Positive', 'Neutral', 'Negative'];
+
+// Most items listed per digest section
+const MAX_HIGHLIGHTS = 5;
+const MAX_DIGEST_ITEMS = 20;
+
+// Trend bucket sizes and how many buckets a trend covers by default
+const TREND_BUCKETS = { day: 30, week: 12, month: 12 };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Pads a number to two digits.
+ * 
+ * @param {number} value - Number to pad
+ * @returns {string} Padded number
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Gets the ISO week label of a date ("2026-W11").
+ * 
+ * @param {Date} date - Any day in the week
+ * @returns {string} Week label
+ */
+function isoWeekLabel(date) {
+  // The ISO year is the year of the week's Thursday; week 1 holds January 4th
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4 + 3 - (new Date(thursday.getFullYear(), 0, 4).getDay() + 6) % 7);
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * MS_PER_DAY));
+  return `${thursday.getFullYear()}-W${pad(week)}`;
+}
+
+/**
+ * Builds the period of the week starting on a Monday.
+ * 
+ * @param {Date} monday - First day of the week
+ * @returns {Object} { label, start, end } where end is the start of the next week
+ */
+function weekFrom(monday) {
+  const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate());
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+  return { label: isoWeekLabel(start), start, end };
+}
+
+/**
+ * Builds the period of a calendar month.
+ * 
+ * @param {number} year - Year
+ * @param {number} month - Month index (0 = January; out-of-range values roll over)
+ * @returns {Object} { label, start, end } where end is the start of the next month
+ */
+function monthFrom(year, month) {
+  const start = new Date(year, month, 1);
+  const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  return { label: `${start.getFullYear()}-${pad(start.getMonth() + 1)}`, start, end };
+}
+
+/**
+ * Builds the period of one day.
+ * 
+ * @param {Date} date - Any time on the day
+ * @returns {Object} { label, start, end } where end is the start of the next day
+ */
+function dayFrom(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+  return { label: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`, start, end };
+}
+
+/**
+ * Gets the day, week or month containing a date.
+ * 
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {Date} date - Any time in the period
+ * @returns {Object} { label, start, end }
+ */
+function bucketOf(bucket, date) {
+  if (bucket === 'week') {
+    return weekFrom(new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7));
+  }
+  if (bucket === 'month') {
+    return monthFrom(date.getFullYear(), date.getMonth());
+  }
+  return dayFrom(date);
+}
+
+/**
+ * Parses the week to review.
+ * 
+ * @param {string} [value] - ISO week ("2026-W11"), any day in it ("2026-03-14"),
+ *   or nothing for the current week
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { label, start, end }, or null if the value is invalid
+ */
+function parseWeek(value, now = new Date()) {
+  let day = now;
+  if (value !== undefined) {
+    const week = /^(\d{4})-W(\d{2})$/i.exec(value);
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (week) {
+      // January 4th is always in week 1
+      const jan4 = new Date(Number(week[1]), 0, 4);
+      day = new Date(jan4.getFullYear(), 0, 4 + (Number(week[2]) - 1) * 7);
+      if (isoWeekLabel(day) !== `${week[1]}-W${week[2]}`) {
+        return null;
+      }
+    } else if (date) {
+      day = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]));
+      if (day.getMonth() !== Number(date[2]) - 1 || day.getDate() !== Number(date[3])) {
+        return null;
+      }
+    } else {
+      return null;
+    }
+  }
+  return weekFrom(new Date(day.getFullYear(), day.getMonth(), day.getDate() - (day.getDay() + 6) % 7));
+}
+
+/**
+ * Parses the month to review.
+ * 
+ * @param {string} [value] - Month ("2026-03"), or nothing for the current month
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { label, start, end }, or null if the value is invalid
+ */
+function parseMonth(value, now = new Date()) {
+  if (value === undefined) {
+    return monthFrom(now.getFullYear(), now.getMonth());
+  }
+  const month = /^(\d{4})-(\d{2})$/.exec(value);
+  if (!month || Number(month[2]) < 1 || Number(month[2]) > 12) {
+    return null;
+  }
+  return monthFrom(Number(month[1]), Number(month[2]) - 1);
+}
+
+/**
+ * Gets the periods before and after a period of the same kind.
+ * 
+ * @param {string} kind - 'week' or 'month'
+ * @param {Object} period - { start }
+ * @returns {Object} { previous, next } periods
+ */
+function adjacentPeriods(kind, period) {
+  const { start } = period;
+  if (kind === 'week') {
+    return {
+      previous: weekFrom(new Date(start.getFullYear(), start.getMonth(), start.getDate() - 7)),
+      next: weekFrom(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7))
+    };
+  }
+  return {
+    previous: monthFrom(start.getFullYear(), start.getMonth() - 1),
+    next: monthFrom(start.getFullYear(), start.getMonth() + 1)
+  };
+}
+
+/**
+ * Counts sentiment labels and averages scores over analyzed entries.
+ * 
+ * @param {Array<Object>} list - Entries
+ * @returns {Object} { Positive, Neutral, Negative, analyzed, averageScore } where
+ *   averageScore is null without analyzed entries
+ */
+function sentimentMix(list) {
+  const mix = { Positive: 0, Neutral: 0, Negative: 0, analyzed: 0, averageScore: null };
+  let total = 0;
+  list.forEach(entry => {
+    const analysis = entry.analysis;
+    if (!analysis || !SENTIMENT_LABELS.includes(analysis.sentimentLabel)) return;
+    mix[analysis.sentimentLabel]++;
+    mix.analyzed++;
+    total += analysis.sentimentScore || 0;
+  });
+  if (mix.analyzed > 0) {
+    mix.averageScore = Math.round(total / mix.analyzed * 100) / 100;
+  }
+  return mix;
+}
+
+/**
+ * Compares two sentiment mixes.
+ * 
+ * @param {Object} current - Mix of the period
+ * @param {Object} previous - Mix of the previous period
+ * @returns {Object} { averageScore, Positive, Neutral, Negative } where the labels
+ *   hold the change in share (percentage points) and values are null when
+ *   either period has no analyzed entries
+ */
+function compareMixes(current, previous) {
+  const comparable = current.analyzed > 0 && previous.analyzed > 0;
+  const change = {
+    averageScore: comparable ? Math.round((current.averageScore - previous.averageScore) * 100) / 100 : null
+  };
+  SENTIMENT_LABELS.forEach(label => {
+    change[label] = comparable
+      ? Math.round(current[label] / current.analyzed * 100 - previous[label] / previous.analyzed * 100)
+      : null;
+  });
+  return change;
+}
+
+/**
+ * Builds a digest for one period.
+ * 
+ * @param {Array<Object>} allEntries - All saved entries
+ * @param {string} kind - 'week' or 'month'
+ * @param {Object} period - { label, start, end } from parseWeek or parseMonth
+ * @returns {Object} Digest: { period, label, start, end, previous, next, totals,
+ *   sentiment, areas, highlights, actionItems, blockers, inactiveAreas }
+ */
+function buildDigest(allEntries, kind, period) {
+  const { previous, next } = adjacentPeriods(kind, period);
+  const within = range => allEntries.filter(entry => {
+    const date = new Date(entry.timestamp);
+    return date >= range.start && date < range.end;
+  });
+  const current = within(period);
+  const before = within(previous);
+  const areaOf = entry => entry.area || 'Misc';
+  const source = entry => ({ entryId: entry.id, area: areaOf(entry), timestamp: entry.timestamp });
+  const open = current.filter(entry => (entry.status || 'inbox') === 'inbox');
+  
+  // Entries per area, busiest first
+  const areas = AREAS
+    .map(area => {
+      const inArea = current.filter(entry => areaOf(entry) === area);
+      return {
+        area,
+        entries: inArea.length,
+        previousEntries: before.filter(entry => areaOf(entry) === area).length,
+        sentiment: sentimentMix(inArea)
+      };
+    })
+    .filter(area => area.entries > 0 || area.previousEntries > 0)
+    .sort((a, b) => b.entries - a.entries || b.previousEntries - a.previousEntries);
+  
+  // The most relevant summary bullets across the period
+  const seen = new Set();
+  const highlights = current
+    .flatMap(entry => {
+      const analysis = entry.analysis || {};
+      const details = analysis.summaryDetails || (analysis.summaryBullets || []).map(text => ({ text, score: 0 }));
+      return details.map(detail => ({ text: detail.text, score: detail.score, ...source(entry) }));
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp))
+    .filter(item => !seen.has(item.text) && seen.add(item.text))
+    .slice(0, MAX_HIGHLIGHTS);
+  
+  // Action items and blockers of entries still in the inbox
+  const actionItems = open
+    .flatMap(entry => ((entry.analysis && entry.analysis.actionItems) || []).map(item => ({
+      text: item.text,
+      dueDate: item.dueDate || null,
+      dueHint: item.dueHint || null,
+      ...source(entry)
+    })))
+    .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999') ||
+      new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(0, MAX_DIGEST_ITEMS);
+  const blockers = open
+    .flatMap(entry => ((entry.analysis && entry.analysis.blockers) || []).map(blocker => ({
+      text: blocker.text,
+      category: blocker.category,
+      ...source(entry)
+    })))
+    .slice(0, MAX_DIGEST_ITEMS);
+  
+  // Areas without entries this period, with when they were last active
+  const inactiveAreas = AREAS
+    .filter(area => area !== 'Misc' && !current.some(entry => areaOf(entry) === area))
+    .map(area => {
+      const last = allEntries
+        .filter(entry => areaOf(entry) === area && new Date(entry.timestamp) < period.start)
+        .reduce((latest, entry) => (!latest || entry.timestamp > latest ? entry.timestamp : latest), null);
+      return { area, lastEntry: last ? new Date(last).toISOString() : null };
+    });
+  
+  const currentMix = sentimentMix(current);
+  const previousMix = sentimentMix(before);
+  const describe = range => ({ label: range.label, start: range.start.toISOString(), end: range.end.toISOString() });
+  
+  return {
+    period: kind,
+    ...describe(period),
+    previous: describe(previous),
+    next: describe(next),
+    totals: {
+      entries: current.length,
+      previousEntries: before.length,
+      change: current.length - before.length
+    },
+    sentiment: {
+      current: currentMix,
+      previous: previousMix,
+      change: compareMixes(currentMix, previousMix)
+    },
+    areas,
+    highlights,
+    actionItems,
+    blockers,
+    inactiveAreas
+  };
+}
+
+/**
+ * Lists the buckets of a trend, oldest first. Without a start, the trend
+ * covers the default number of buckets (TREND_BUCKETS) up to the end.
+ * 
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {Object} [range] - { from, to } Dates (to defaults to now)
+ * @param {Date} [now] - Current time
+ * @param {number} [max] - Stop after max + 1 buckets, so a range that is too
+ *   long can be rejected without building all of its buckets
+ * @returns {Array<Object>} Buckets as { label, start, end }
+ */
+function trendBuckets(bucket, range = {}, now = new Date(), max = Infinity) {
+  const to = range.to || now;
+  let from = range.from;
+  if (!from) {
+    const last = bucketOf(bucket, to).start;
+    const back = TREND_BUCKETS[bucket] - 1;
+    from = bucket === 'day' ? new Date(last.getFullYear(), last.getMonth(), last.getDate() - back)
+      : bucket === 'week' ? new Date(last.getFullYear(), last.getMonth(), last.getDate() - back * 7)
+        : new Date(last.getFullYear(), last.getMonth() - back, 1);
+  }
+  
+  const buckets = [];
+  for (let current = bucketOf(bucket, from); current.start <= to && buckets.length <= max;
+    current = bucketOf(bucket, current.end)) {
+    buckets.push(current);
+  }
+  return buckets;
+}
+
+/**
+ * Builds trend series: entry counts and average sentiment score per bucket,
+ * overall and, optionally, per area or tag. Entries outside the buckets are
+ * ignored; entries with several tags count toward each of them.
+ * 
+ * @param {Array<Object>} list - Entries
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {Array<Object>} buckets - Buckets from trendBuckets
+ * @param {string} [groupBy] - 'area' or 'tag'
+ * @returns {Object} { bucket, groupBy, from, to, count, averageScore, overall,
+ *   groups } where overall is a point { label, start, end, count, averageScore }
+ *   per bucket (averageScore is null without analyzed entries) and groups lists
+ *   { name, count, averageScore, points }, busiest first
+ */
+function buildTrends(list, bucket, buckets, groupBy) {
+  const index = new Map(buckets.map((item, position) => [item.label, position]));
+  const emptyTotals = () => buckets.map(() => ({ count: 0, scored: 0, scoreSum: 0 }));
+  const add = (totals, entry) => {
+    totals.count++;
+    const analysis = entry.analysis;
+    if (analysis && typeof analysis.sentimentScore === 'number') {
+      totals.scored++;
+      totals.scoreSum += analysis.sentimentScore;
+    }
+  };
+  const average = totals => (totals.scored > 0 ? Math.round(totals.scoreSum / totals.scored * 100) / 100 : null);
+  
+  const overall = emptyTotals();
+  const groups = new Map();
+  list.forEach(entry => {
+    const position = index.get(bucketOf(bucket, new Date(entry.timestamp)).label);
+    if (position === undefined) return;
+    add(overall[position], entry);
+    
+    const names = groupBy === 'area' ? [entry.area || 'Misc'] : groupBy === 'tag' ? (entry.tags || []) : [];
+    names.forEach(name => {
+      if (!groups.has(name)) {
+        groups.set(name, emptyTotals());
+      }
+      add(groups.get(name)[position], entry);
+    });
+  });
+  
+  const points = totals => totals.map((item, position) => ({
+    label: buckets[position].label,
+    start: buckets[position].start.toISOString(),
+    end: buckets[position].end.toISOString(),
+    count: item.count,
+    averageScore: average(item)
+  }));
+  const summarize = totals => average(totals.reduce((sum, item) => ({
+    scored: sum.scored + item.scored,
+    scoreSum: sum.scoreSum + item.scoreSum
+  }), { scored: 0, scoreSum: 0 }));
+  
+  return {
+    bucket,
+    groupBy: groupBy || null,
+    from: buckets.length > 0 ? buckets[0].start.toISOString() : null,
+    to: buckets.length > 0 ? buckets[buckets.length - 1].end.toISOString() : null,
+    count: overall.reduce((sum, item) => sum + item.count, 0),
+    averageScore: summarize(overall),
+    overall: points(overall),
+    groups: [...groups.entries()]
+      .map(([name, totals]) => ({
+        name,
+        count: totals.reduce((sum, item) => sum + item.count, 0),
+        averageScore: summarize(totals),
+        points: points(totals)
+      }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Formats a date as a short day ("Mar 14").
+ * 
+ * @param {string} iso - ISO date
+ * @returns {string} Day
+ */
+function shortDay(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Formats a signed change ("+3", "-0.12", "±0").
+ * 
+ * @param {number|null} value - Change
+ * @param {string} [unit] - Unit appended to the number
+ * @returns {string} Change, or "n/a" if there is nothing to compare
+ */
+function signed(value, unit = '') {
+  if (value === null) return 'n/a';
+  if (value === 0) return `±0${unit}`;
+  return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+/**
+ * Renders a digest as Markdown.
+ * 
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} Markdown document
+ */
+function renderDigestMarkdown(digest) {
+  const noun = digest.period === 'week' ? 'week' : 'month';
+  const lastDay = new Date(new Date(digest.end) - 1).toISOString();
+  const { current, previous, change } = digest.sentiment;
+  const lines = [
+    `# ${digest.period === 'week' ? 'Weekly' : 'Monthly'} Review: ${digest.label}`,
+    '',
+    `${shortDay(digest.start)} – ${shortDay(lastDay)}, ${new Date(lastDay).getFullYear()}`,
+    '',
+    `**${digest.totals.entries} ${digest.totals.entries === 1 ? 'entry' : 'entries'}** ` +
+      `(${signed(digest.totals.change)} vs previous ${noun})` +
+      (current.averageScore === null ? '' : ` · average sentiment ${current.averageScore} (${signed(change.averageScore)})`)
+  ];
+  
+  const share = (mix, label) => (mix.analyzed > 0 ? `${mix[label]} (${Math.round(mix[label] / mix.analyzed * 100)}%)` : '0');
+  lines.push('', '## Sentiment', '', `| | This ${noun} | Previous ${noun} | Change |`, '|---|---|---|---|');
+  SENTIMENT_LABELS.forEach(label => {
+    lines.push(`| ${label} | ${share(current, label)} | ${share(previous, label)} | ${signed(change[label], ' pts')} |`);
+  });
+  
+  if (digest.areas.length > 0) {
+    lines.push('', '## Areas', '', '| Area | Entries | Previous | Positive / Neutral / Negative |', '|---|---|---|---|');
+    digest.areas.forEach(area => {
+      const mix = area.sentiment;
+      lines.push(`| ${area.area} | ${area.entries} | ${area.previousEntries} | ${mix.Positive} / ${mix.Neutral} / ${mix.Negative} |`);
+    });
+  }
+  
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', `## ${title}`, '', ...items.map(format));
+  };
+  section('Highlights', digest.highlights, item => `- **${item.area}** (${shortDay(item.timestamp)}): ${item.text}`);
+  section('Open Action Items', digest.actionItems, item =>
+    `- [ ] ${item.text}${item.dueDate ? ` — due ${item.dueDate}` : ''} (${item.area}, ${shortDay(item.timestamp)})`);
+  section('Open Blockers', digest.blockers, item =>
+    `- **${item.category}**: ${item.text} (${item.area}, ${shortDay(item.timestamp)})`);
+  section('Quiet Areas', digest.inactiveAreas, item =>
+    `- ${item.area} — ${item.lastEntry ? `last entry ${shortDay(item.lastEntry)}` : 'no entries yet'}`);
+  
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseWeek,
+  parseMonth,
+  buildDigest,
+  renderDigestMarkdown,
+  trendBuckets,
+  buildTrends,
+  TREND_BUCKETS
+};
@@ -0,0 +1,494 @@
+/**
+ * Goal Update Analyzer - Search
+ * 
+ * Full-text search over entry text, summary bullets and next steps, backed by
+ * an in-memory inverted index (token -> entries and positions). The index is
+ * brought up to date on each search: entries are saved as new objects when
+ * they change, so only new or changed entries are re-tokenized.
+ * 
+ * Query syntax:
+ * - words match whole words and, ranked lower, words starting with them
+ *   ("run" finds "running"; words of 3+ letters)
+ * - "quoted phrases" match those words in a row
+ * - operators filter results: area:Running (or area:"Life Admin"), tag:pb,
+ *   sentiment:negative, status:inbox, before:2026-09-01 and after:2026-08-01
+ *   (dates are exclusive and cover the whole local day)
+ * 
+ * Results are ranked with BM25 and come with snippets whose highlighted
+ * ranges the client marks up.
+ */
+
+const { AREAS, matchAreaName } = require('./analyzer');
+const { STATUSES, parseDateFilter } = require('./entries');
+
+// How much a match in each field counts (summary bullets repeat the text)
+const FIELD_WEIGHTS = { text: 1, summary: 0.5, nextStep: 0.75 };
+
+// Weight of prefix matches relative to whole-word matches, and of phrase
+// matches relative to the same words found apart
+const PREFIX_WEIGHT = 0.5;
+const PHRASE_BOOST = 1.5;
+
+// Shorter query words only match whole words; longer ones also match words
+// starting with them, up to a number of index words
+const MIN_PREFIX_LENGTH = 3;
+const MAX_PREFIX_EXPANSIONS = 50;
+
+// BM25 parameters (term frequency saturation and length normalization)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Results per page when no limit is given
+const DEFAULT_PAGE_SIZE = 50;
+
+// Snippet length in characters, and context kept before the first highlight
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+
+// Query parts: operator:value, operator:"quoted value", "phrase" or a word
+const QUERY_PART_PATTERN = /([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"?|(\S+)/gi;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// The index: entries by ID with their length and words, and postings from
+// each word to the entries containing it ({ id -> { field -> positions } })
+const docs = new Map();
+const postings = new Map();
+let totalLength = 0;
+let sortedTokens = null;
+
+/**
+ * Normalizes a word for the index: lowercase without accents.
+ * 
+ * @param {string} word - Word as written
+ * @returns {string} Normalized word
+ */
+function normalizeToken(word) {
+  return word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Splits text into normalized words with their character ranges.
+ * 
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Words as { token, start, end }
+ */
+function tokenize(text) {
+  return [...text.matchAll(TOKEN_PATTERN)].map(match => ({
+    token: normalizeToken(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Gets the searchable fields of an entry.
+ * 
+ * @param {Object} entry - Saved entry
+ * @returns {Object} { text, summary, nextStep }
+ */
+function entryFields(entry) {
+  const analysis = entry.analysis || {};
+  return {
+    text: entry.text || '',
+    summary: (analysis.summaryBullets || []).join('\n'),
+    nextStep: analysis.nextStep || ''
+  };
+}
+
+/**
+ * Adds an entry to the index.
+ * 
+ * @param {Object} entry - Saved entry
+ */
+function indexEntry(entry) {
+  const tokens = new Set();
+  let length = 0;
+  
+  Object.entries(entryFields(entry)).forEach(([field, text]) => {
+    tokenize(text).forEach(({ token }, position) => {
+      if (!postings.has(token)) {
+        postings.set(token, new Map());
+        sortedTokens = null;
+      }
+      const byEntry = postings.get(token);
+      if (!byEntry.has(entry.id)) {
+        byEntry.set(entry.id, {});
+      }
+      const positions = byEntry.get(entry.id);
+      (positions[field] = positions[field] || []).push(position);
+      tokens.add(token);
+      length += FIELD_WEIGHTS[field];
+    });
+  });
+  
+  docs.set(entry.id, { entry, tokens, length });
+  totalLength += length;
+}
+
+/**
+ * Removes an entry from the index.
+ * 
+ * @param {number} id - Entry ID
+ */
+function unindexEntry(id) {
+  const doc = docs.get(id);
+  doc.tokens.forEach(token => {
+    const byEntry = postings.get(token);
+    byEntry.delete(id);
+    if (byEntry.size === 0) {
+      postings.delete(token);
+      sortedTokens = null;
+    }
+  });
+  docs.delete(id);
+  totalLength -= doc.length;
+}
+
+/**
+ * Brings the index up to date with the stored entries.
+ * 
+ * @param {Array<Object>} list - All saved entries
+ */
+function syncIndex(list) {
+  const seen = new Set();
+  list.forEach(entry => {
+    seen.add(entry.id);
+    const doc = docs.get(entry.id);
+    if (doc && doc.entry === entry) return;
+    if (doc) {
+      unindexEntry(entry.id);
+    }
+    indexEntry(entry);
+  });
+  [...docs.keys()].filter(id => !seen.has(id)).forEach(unindexEntry);
+}
+
+/**
+ * Finds the index words starting with a prefix.
+ * 
+ * @param {string} prefix - Normalized prefix
+ * @returns {string[]} Words, at most MAX_PREFIX_EXPANSIONS
+ */
+function expandPrefix(prefix) {
+  if (!sortedTokens) {
+    sortedTokens = [...postings.keys()].sort();
+  }
+  // Binary search for the first word not before the prefix
+  let low = 0;
+  let high = sortedTokens.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sortedTokens[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  const words = [];
+  for (let i = low; i < sortedTokens.length && sortedTokens[i].startsWith(prefix) && words.length < MAX_PREFIX_EXPANSIONS; i++) {
+    words.push(sortedTokens[i]);
+  }
+  return words;
+}
+
+/**
+ * Scores one index word for one entry (BM25 with field weights).
+ * 
+ * @param {string} token - Index word
+ * @param {number} id - Entry ID
+ * @returns {number} Score (0 if the entry doesn't contain the word)
+ */
+function scoreToken(token, id) {
+  const byEntry = postings.get(token);
+  const positions = byEntry && byEntry.get(id);
+  if (!positions) return 0;
+  
+  const frequency = Object.entries(positions)
+    .reduce((sum, [field, list]) => sum + list.length * FIELD_WEIGHTS[field], 0);
+  const idf = Math.log(1 + (docs.size - byEntry.size + 0.5) / (byEntry.size + 0.5));
+  const lengthRatio = docs.get(id).length / (totalLength / docs.size);
+  return idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+}
+
+/**
+ * Checks whether an index word matches a query word.
+ * 
+ * @param {string} token - Index word
+ * @param {string} term - Normalized query word
+ * @returns {boolean} True if they are the same word, or the query word is a
+ *   long enough prefix of it
+ */
+function tokenMatches(token, term) {
+  return token === term || (term.length >= MIN_PREFIX_LENGTH && token.startsWith(term));
+}
+
+/**
+ * Scores the entries matching a word: whole-word matches, plus (at a lower
+ * weight) words starting with it.
+ * 
+ * @param {string} term - Normalized query word
+ * @returns {Map<number, number>} Score per matching entry ID
+ */
+function matchTerm(term) {
+  const scores = new Map();
+  const tokens = term.length >= MIN_PREFIX_LENGTH ? expandPrefix(term) : [term].filter(token => postings.has(token));
+  tokens.forEach(token => {
+    const weight = token === term ? 1 : PREFIX_WEIGHT;
+    postings.get(token).forEach((positions, id) => {
+      scores.set(id, Math.max(scores.get(id) || 0, weight * scoreToken(token, id)));
+    });
+  });
+  return scores;
+}
+
+/**
+ * Scores the entries containing a phrase (its words in a row, in one field).
+ * 
+ * @param {string[]} words - Normalized phrase words
+ * @returns {Map<number, number>} Score per matching entry ID
+ */
+function matchPhrase(words) {
+  const scores = new Map();
+  const lists = words.map(word => postings.get(word));
+  if (lists.some(list => !list)) return scores;
+  
+  lists[0].forEach((firstPositions, id) => {
+    if (!lists.every(list => list.has(id))) return;
+    const found = Object.entries(firstPositions).some(([field, starts]) =>
+      starts.some(start => lists.every((list, offset) => (list.get(id)[field] || []).includes(start + offset))));
+    if (found) {
+      scores.set(id, PHRASE_BOOST * words.reduce((sum, word) => sum + scoreToken(word, id), 0));
+    }
+  });
+  return scores;
+}
+
+/**
+ * Resolves an area:value operator to an area name.
+ * 
+ * @param {string} value - Area as typed ("Running", "life admin", "coding")
+ * @returns {string|null} Area, or null if it names none
+ */
+function resolveArea(value) {
+  const lower = value.trim().toLowerCase();
+  return AREAS.find(area => area.toLowerCase() === lower) ||
+    matchAreaName(lower.replace(/[^a-z]/g, '')) || null;
+}
+
+/**
+ * Parses a search query into words, phrases and filters.
+ * 
+ * @param {string} text - Query as typed
+ * @returns {Object} { query: { terms, phrases, filters } } where filters holds
+ *   { area?, tags, sentiment?, status?, before?, after? }, or { error } with a
+ *   message when an operator value is invalid or nothing can be searched
+ */
+function parseQuery(text) {
+  const terms = [];
+  const phrases = [];
+  const filters = { tags: [] };
+  
+  for (const match of text.matchAll(QUERY_PART_PATTERN)) {
+    const [part, operator, quotedValue, plainValue, phrase] = match;
+    const name = operator && operator.toLowerCase();
+    const value = quotedValue !== undefined ? quotedValue : plainValue;
+    
+    if (name === 'area') {
+      filters.area = resolveArea(value);
+      if (!filters.area) {
+        return { error: `Unknown area "${value}". Areas: ${AREAS.join(', ')}` };
+      }
+    } else if (name === 'tag') {
+      filters.tags.push(value.trim().toLowerCase().replace(/^#/, ''));
+    } else if (name === 'sentiment') {
+      filters.sentiment = SENTIMENTS.find(label => label.toLowerCase() === value.toLowerCase());
+      if (!filters.sentiment) {
+        return { error: `Sentiment must be one of: ${SENTIMENTS.join(', ').toLowerCase()}` };
+      }
+    } else if (name === 'status') {
+      filters.status = value.toLowerCase();
+      if (!STATUSES.includes(filters.status)) {
+        return { error: `Status must be one of: ${STATUSES.join(', ')}` };
+      }
+    } else if (name === 'before' || name === 'after') {
+      // Exclusive: before the start of the day, after its end
+      filters[name] = parseDateFilter(value, name === 'after');
+      if (!filters[name]) {
+        return { error: `${name} must be a date (YYYY-MM-DD) or ISO 8601 timestamp` };
+      }
+    } else if (phrase !== undefined) {
+      const words = tokenize(phrase).map(word => word.token);
+      if (words.length > 1) {
+        phrases.push(words);
+      } else {
+        terms.push(...words);
+      }
+    } else {
+      // Words (and unknown operators, searched as words)
+      terms.push(...tokenize(part).map(word => word.token));
+    }
+  }
+  
+  const hasFilters = Object.keys(filters).length > 1 || filters.tags.length > 0;
+  if (terms.length === 0 && phrases.length === 0 && !hasFilters) {
+    return { error: 'Search for at least one word, phrase or operator' };
+  }
+  return { query: { terms: [...new Set(terms)], phrases, filters } };
+}
+
+/**
+ * Checks whether an entry passes the query's operator filters.
+ * 
+ * @param {Object} entry - Saved entry
+ * @param {Object} filters - Filters from parseQuery
+ * @returns {boolean} True if the entry matches
+ */
+function matchesFilters(entry, filters) {
+  const date = new Date(entry.timestamp);
+  const analysis = entry.analysis || {};
+  return (!filters.area || (entry.area || 'Misc') === filters.area) &&
+    filters.tags.every(tag => (entry.tags || []).includes(tag)) &&
+    (!filters.sentiment || analysis.sentimentLabel === filters.sentiment) &&
+    (!filters.status || (entry.status || 'inbox') === filters.status) &&
+    (!filters.before || date < filters.before) &&
+    (!filters.after || date > filters.after);
+}
+
+/**
+ * Finds the ranges to highlight in a field: words starting with a query word
+ * and phrases found in a row.
+ * 
+ * @param {string} text - Field text
+ * @param {Object} query - Query from parseQuery
+ * @returns {Array<Array<number>>} [start, end] ranges, in order
+ */
+function findHighlights(text, query) {
+  const words = tokenize(text);
+  const marked = words.map(({ token }) => query.terms.some(term => tokenMatches(token, term)));
+  query.phrases.forEach(phrase => {
+    for (let i = 0; i + phrase.length <= words.length; i++) {
+      if (phrase.every((word, offset) => words[i + offset].token === word)) {
+        phrase.forEach((word, offset) => {
+          marked[i + offset] = true;
+        });
+      }
+    }
+  });
+  return words.filter((word, i) => marked[i]).map(word => [word.start, word.end]);
+}
+
+/**
+ * Cuts a snippet of a field around its first highlight.
+ * 
+ * @param {string} field - Field name ('text', 'summary' or 'nextStep')
+ * @param {string} text - Field text
+ * @param {Array<Array<number>>} highlights - Ranges from findHighlights
+ * @returns {Object} { field, snippet, highlights } with ranges relative to the snippet
+ */
+function cutSnippet(field, text, highlights) {
+  const flat = text.replace(/\s+/g, ' ');
+  if (flat.length <= SNIPPET_LENGTH) {
+    return { field, snippet: flat, highlights };
+  }
+  
+  let start = highlights.length > 0 ? Math.max(0, highlights[0][0] - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    // Start at a word boundary
+    const space = flat.indexOf(' ', start);
+    start = space !== -1 && space < highlights[0][0] ? space + 1 : start;
+  }
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < flat.length ? '…' : '';
+  
+  return {
+    field,
+    snippet: `${prefix}${flat.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+}
+
+/**
+ * Builds the snippets of a result: the text, and the next step when it
+ * matches. Summary bullets are shown only when the text itself doesn't
+ * match (they are usually sentences of the text).
+ * 
+ * @param {Object} entry - Saved entry
+ * @param {Object} query - Query from parseQuery
+ * @returns {Array<Object>} Snippets as { field, snippet, highlights }
+ */
+function buildSnippets(entry, query) {
+  const fields = entryFields(entry);
+  // Whitespace runs collapse to one space in snippets, so highlight that text
+  const found = field => findHighlights(fields[field].replace(/\s+/g, ' '), query);
+  
+  const snippets = [];
+  const textHighlights = found('text');
+  const summaryHighlights = textHighlights.length === 0 ? found('summary') : [];
+  snippets.push(summaryHighlights.length > 0
+    ? cutSnippet('summary', fields.summary, summaryHighlights)
+    : cutSnippet('text', fields.text, textHighlights));
+  
+  const nextStepHighlights = found('nextStep');
+  if (nextStepHighlights.length > 0) {
+    snippets.push(cutSnippet('nextStep', fields.nextStep, nextStepHighlights));
+  }
+  return snippets;
+}
+
+/**
+ * Searches entries. Every word and phrase must match; without any, the query
+ * only filters and results are newest first.
+ * 
+ * @param {Array<Object>} list - All saved entries
+ * @param {Object} query - Query from parseQuery
+ * @param {Object} [page] - { offset?, limit? } (default the first 50 results)
+ * @returns {Object} { results: { entry, score, snippets }[], total, offset, limit }
+ */
+function searchEntries(list, query, page = {}) {
+  syncIndex(list);
+  const offset = page.offset || 0;
+  const limit = page.limit || DEFAULT_PAGE_SIZE;
+  
+  let scores = null;
+  const matchers = [...query.terms.map(matchTerm), ...query.phrases.map(matchPhrase)];
+  matchers.forEach(matches => {
+    if (scores === null) {
+      scores = matches;
+      return;
+    }
+    const combined = new Map();
+    scores.forEach((score, id) => {
+      if (matches.has(id)) {
+        combined.set(id, score + matches.get(id));
+      }
+    });
+    scores = combined;
+  });
+  
+  const ranked = (scores === null ? list.map(entry => [entry.id, 0]) : [...scores])
+    .map(([id, score]) => ({ entry: docs.get(id).entry, score }))
+    .filter(result => matchesFilters(result.entry, query.filters))
+    .sort((a, b) => b.score - a.score || new Date(b.entry.timestamp) - new Date(a.entry.timestamp));
+  
+  return {
+    results: ranked.slice(offset, offset + limit).map(result => ({
+      entry: result.entry,
+      score: Math.round(result.score * 1000) / 1000,
+      snippets: buildSnippets(result.entry, query)
+    })),
+    total: ranked.length,
+    offset,
+    limit
+  };
+}
+
+module.exports = {
+  parseQuery,
+  searchEntries
+};
@@ -2,22 +2,301 @@
  * Goal Update Analyzer - Express Server
  * 
  * Simple local server that serves the web app and provides
- * a POST /analyze endpoint for text analysis.
+ * a POST /analyze endpoint for text analysis, plus storage for
+ * saved entries (/entries) and the sentiment lexicon (/lexicon).
  */
 
 const express = require('express');
 const path = require('path');
 const analyzer = require('./analyzer');
+const providers = require('./providers');
+const lexicon = require('./lexicon');
+const languages = require('./languages');
+const entries = require('./entries');
+const exporter = require('./exporter');
+const importer = require('./importer');
+const reports = require('./reports');
+const search = require('./search');
+const goals = require('./goals');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware to parse JSON request bodies
+// Largest request body accepted by POST /analyze/batch
+const MAX_BATCH_BODY = '5mb';
+
+// Largest request body accepted by the /import routes (uploaded journals and zips)
+const MAX_IMPORT_BODY = '20mb';
+
+// Middleware to parse JSON request bodies (batches and imports may be bigger than
+// the default limit; the route-specific parsers run first and the general one skips)
+app.use('/analyze/batch', express.json({ limit: MAX_BATCH_BODY }));
+app.use('/import', express.json({ limit: MAX_IMPORT_BODY }));
 app.use(express.json());
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Maximum length of an update (characters, after trimming)
+const MAX_LENGTH = 5000;
+
+// Maximum number of past entries accepted as history (for suggestions and next steps)
+const MAX_HISTORY = 500;
+
+// Maximum number of items in one POST /analyze/batch request
+const MAX_BATCH_ITEMS = 500;
+
+// Maximum number of entries in one import
+const MAX_IMPORT_ENTRIES = 2000;
+
+// Maximum length of a GET /search query
+const MAX_QUERY_LENGTH = 500;
+
+// Maximum number of buckets (points per series) in GET /trends
+const MAX_TREND_BUCKETS = 400;
+
+/**
+ * Validates update text from a request body.
+ * @param {*} text - Value of the `text` field
+ * @returns {Object} { text } with the trimmed text, or { error } with the 400 response body
+ */
+function validateText(text) {
+  // Validation: check if text is provided
+  if (!text) {
+    return {
+      error: {
+        error: 'Text is required',
+        message: 'Please provide text in the request body'
+      }
+    };
+  }
+  
+  // Validation: check if text is a string
+  if (typeof text !== 'string') {
+    return {
+      error: {
+        error: 'Invalid input',
+        message: 'Text must be a string'
+      }
+    };
+  }
+  
+  // Validation: check if text is not empty after trimming
+  const trimmedText = text.trim();
+  if (trimmedText.length === 0) {
+    return {
+      error: {
+        error: 'Empty text',
+        message: 'Text cannot be empty'
+      }
+    };
+  }
+  
+  // Validation: check max length
+  if (trimmedText.length > MAX_LENGTH) {
+    return {
+      error: {
+        error: 'Text too long',
+        message: `Text must be ${MAX_LENGTH} characters or less (received ${trimmedText.length})`
+      }
+    };
+  }
+  
+  return { text: trimmedText };
+}
+
+/**
+ * Validates the analysis options shared by /analyze, /analyze/batch and POST /entries.
+ * @param {Object} options - { provider, language } from a request body
+ * @returns {Object|null} The 400 response body, or null if valid
+ */
+function validateAnalysisOptions({ provider, language }) {
+  // Validation: check provider name if one was requested
+  if (provider !== undefined && (typeof provider !== 'string' || !providers.hasProvider(provider))) {
+    return {
+      error: 'Unknown provider',
+      message: `Provider must be one of: ${providers.listProviders().join(', ')}`
+    };
+  }
+  
+  // Validation: check language if one was requested
+  if (language !== undefined && (typeof language !== 'string' || !languages.isSupportedLanguage(language))) {
+    return {
+      error: 'Unsupported language',
+      message: `Language must be one of: ${languages.listLanguages().join(', ')}`
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Keeps only well-formed past entries from a request's `history` field.
+ * Malformed items are dropped rather than rejected, since history only tunes
+ * suggestions and next steps.
+ * @param {*} history - Value of the `history` field
+ * @returns {Array<Object>} Sanitized entries as { text, area, tags, timestamp,
+ *   sentimentLabel, actionItems, blocked } (at most MAX_HISTORY)
+ */
+function parseHistory(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+  
+  return history
+    .filter(entry => entry && typeof entry.text === 'string' && entry.text.length <= MAX_LENGTH)
+    .slice(0, MAX_HISTORY)
+    .map(entry => ({
+      text: entry.text,
+      area: typeof entry.area === 'string' ? entry.area : undefined,
+      tags: parseTags(entry.tags),
+      timestamp: typeof entry.timestamp === 'string' ? entry.timestamp : undefined,
+      sentimentLabel: typeof entry.sentimentLabel === 'string' ? entry.sentimentLabel : undefined,
+      actionItems: Array.isArray(entry.actionItems)
+        ? entry.actionItems.filter(item => item && typeof item.text === 'string')
+        : [],
+      blocked: typeof entry.blocked === 'boolean' ? entry.blocked : undefined
+    }));
+}
+
+/**
+ * Keeps only string tags from a request field.
+ * @param {*} tags - Value of a `tags` field
+ * @returns {string[]} Tags (empty if the field is missing or malformed)
+ */
+function parseTags(tags) {
+  return Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : [];
+}
+
+/**
+ * Gets stored entries as analyzer history (newest MAX_HISTORY).
+ * @returns {Array<Object>} Entries as { text, area, tags, timestamp, sentimentLabel,
+ *   actionItems, blocked }
+ */
+function storedHistory() {
+  return entries.getHistory(MAX_HISTORY);
+}
+
+/**
+ * Parses an entry or goal ID from a route parameter.
+ * @param {string} value - Value of the `:id` (or `:entryId`) parameter
+ * @returns {number|null} ID, or null if it isn't a positive integer
+ */
+function parseEntryId(value) {
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Parses the entry filters shared by GET /entries and GET /export.
+ * @param {Object} query - Request query: { status?, area?, tags?, from?, to? }
+ * @returns {Object} { filters } for entries.findEntries, or { error } with the 400 response body
+ */
+function parseEntryFilters(query) {
+  const { status, area, tags, from, to } = query;
+  const filters = {};
+  
+  if (status !== undefined) {
+    if (status !== 'all' && !entries.STATUSES.includes(status)) {
+      return {
+        error: {
+          error: 'Invalid filter',
+          message: `Status must be one of: ${entries.STATUSES.join(', ')}, all`
+        }
+      };
+    }
+    filters.status = status;
+  }
+  
+  if (area !== undefined) {
+    const problem = entries.validateEntryFields({ area });
+    if (problem) {
+      return { error: { error: 'Invalid filter', message: problem } };
+    }
+    filters.area = area;
+  }
+  
+  if (tags !== undefined) {
+    filters.tags = String(tags).split(',');
+  }
+  
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const date = entries.parseDateFilter(String(value), name === 'to');
+    if (!date) {
+      return {
+        error: {
+          error: 'Invalid filter',
+          message: `${name} must be a date (YYYY-MM-DD) or ISO 8601 timestamp`
+        }
+      };
+    }
+    filters[name] = date;
+  }
+  
+  return { filters };
+}
+
+/**
+ * Parses offset and limit query parameters.
+ * 
+ * @param {Object} query - Request query
+ * @returns {Object} { page: { offset?, limit? } }, or { error } with the
+ *   response body when a value is invalid
+ */
+function parsePage(query) {
+  const page = {};
+  for (const name of ['offset', 'limit']) {
+    const value = query[name];
+    if (value === undefined) continue;
+    if (!/^\d+$/.test(value) || (name === 'limit' && (Number(value) === 0 || Number(value) > entries.MAX_PAGE_SIZE))) {
+      return {
+        error: {
+          error: 'Invalid filter',
+          message: name === 'limit'
+            ? `Limit must be between 1 and ${entries.MAX_PAGE_SIZE}`
+            : 'Offset must be a non-negative integer'
+        }
+      };
+    }
+    page[name] = Number(value);
+  }
+  return { page };
+}
+
+/**
+ * Responds with 404 for an entry that doesn't exist.
+ * @param {Object} res - Express response
+ * @param {string} id - Requested ID
+ */
+function entryNotFound(res, id) {
+  res.status(404).json({
+    error: 'Not found',
+    message: `No entry with id ${id}`
+  });
+}
+
+/**
+ * Responds with 404 for a goal that doesn't exist.
+ * @param {Object} res - Express response
+ * @param {string} id - Requested ID
+ */
+function goalNotFound(res, id) {
+  res.status(404).json({
+    error: 'Not found',
+    message: `No goal with id ${id}`
+  });
+}
+
+/**
+ * Adds computed progress to a goal for responses.
+ * @param {Object} goal - Stored goal
+ * @param {Array<Object>} allEntries - All saved entries
+ * @returns {Object} Goal with progress (see goals.computeProgress)
+ */
+function withProgress(goal, allEntries) {
+  return { ...goal, progress: goals.computeProgress(goal, allEntries) };
+}
+
 // Root route serves the main HTML page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -27,66 +306,1124 @@ app.get('/', (req, res) => {
  * POST /analyze
  * Analyzes goal update text and returns summary, sentiment, and next step.
  * 
- * Request body: { text: string }
- * Response: { summaryBullets: string[], sentimentLabel: string, nextStep: string }
+ * Request body: { text: string, provider?: string, area?: string, tags?: string[],
+ *                 history?: Object[], language?: string }
+ *   history holds the user's past entries ({ text, area, tags, timestamp,
+ *   sentimentLabel, actionItems, blocked }) used to learn area/tag suggestions and for
+ *   history-aware next steps; language ('en', 'es', 'de') skips detection
+ * Response: { language: string, languageConfidence: number|null,
+ *             summaryBullets: string[], summaryDetails: Object[], sentimentLabel: string,
+ *             sentimentScore: number, confidence: number, evidence: Object[],
+ *             mood: { energy, stress, confidence }, lexiconVersion: number,
+ *             sentences: Object[], metrics: Object[], actionItems: Object[],
+ *             tasks: Object[], blocked: boolean, blockers: Object[],
+ *             suggestedArea: { area, confidence },
+ *             suggestedTags: string[], nextStep: string, nextSteps: { text, rule }[],
+ *             provider: string, fallbackFrom?: string, fallbackReason?: string }
+ */
+app.post('/analyze', async (req, res) => {
+  try {
+    const { text, provider, area, tags, history, language } = req.body;
+    
+    // Validation: text must be a non-empty string within the length limit
+    const validation = validateText(text);
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+    const trimmedText = validation.text;
+    
+    // Validation: provider and language must be known if given
+    const optionsError = validateAnalysisOptions({ provider, language });
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+    
+    // Perform analysis (falls back to heuristics if the provider fails)
+    const analysis = await providers.analyze(trimmedText, {
+      provider,
+      language,
+      area: typeof area === 'string' ? area : undefined,
+      tags: Array.isArray(tags) ? parseTags(tags) : undefined,
+      history: parseHistory(history)
+    });
+    
+    // Return analysis results
+    res.json(analysis);
+    
+  } catch (error) {
+    // Handle any unexpected errors
+    console.error('Error analyzing text:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while analyzing the text'
+    });
+  }
+});
+
+/**
+ * Analyzes one item of a batch. Invalid items get an error instead of an
+ * analysis, with the same checks as POST /analyze.
+ * @param {*} item - Item from the request, { id, text, area?, tags?, language? }
+ * @param {number} index - Position in the batch
+ * @param {Object} options - { provider, history } shared by the whole batch
+ * @returns {Promise<Object>} { id, index, analysis } or { id, index, error, message }
+ */
+async function analyzeBatchItem(item, index, options) {
+  const id = item && item.id !== undefined ? item.id : index;
+  if (!item || typeof item !== 'object') {
+    return { id, index, error: 'Invalid input', message: 'Items must be objects' };
+  }
+  
+  const validation = validateText(item.text);
+  if (validation.error) {
+    return { id, index, ...validation.error };
+  }
+  
+  const optionsError = validateAnalysisOptions({ language: item.language });
+  if (optionsError) {
+    return { id, index, ...optionsError };
+  }
+  
+  try {
+    const analysis = await providers.analyze(validation.text, {
+      provider: options.provider,
+      language: item.language,
+      area: typeof item.area === 'string' ? item.area : undefined,
+      tags: Array.isArray(item.tags) ? parseTags(item.tags) : undefined,
+      history: options.history
+    });
+    return { id, index, analysis };
+  } catch (error) {
+    console.error(`Error analyzing batch item ${index}:`, error);
+    return { id, index, error: 'Analysis failed', message: 'An error occurred while analyzing the text' };
+  }
+}
+
+/**
+ * POST /analyze/batch
+ * Analyzes many updates in one request (e.g. back-filling a journal). Items
+ * are analyzed in order; a bad item gets its own error and the rest still run.
+ * Send `Accept: application/x-ndjson` to get one JSON line per item as soon as
+ * it's done, followed by a summary line, to show progress on large imports.
+ * 
+ * Request body: { items: { id, text, area?, tags?, language? }[], provider?: string,
+ *                 history?: Object[] } (at most MAX_BATCH_ITEMS items and MAX_BATCH_BODY)
+ * Response: { results: ({ id, index, analysis } | { id, index, error, message })[],
+ *             total: number, succeeded: number, failed: number }
+ *   or, as NDJSON, one result per line then { done: true, total, succeeded, failed }
  */
-app.post('/analyze', (req, res) => {
+app.post('/analyze/batch', async (req, res) => {
   try {
-    const { text } = req.body;
+    const { items, provider, history } = req.body;
     
-    // Validation: check if text is provided
-    if (!text) {
+    // Validation: items must be a non-empty array within the item limit
+    if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
-        error: 'Text is required',
-        message: 'Please provide text in the request body'
+        error: 'Invalid input',
+        message: 'Items must be a non-empty array of { id, text }'
+      });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        error: 'Batch too large',
+        message: `A batch can hold at most ${MAX_BATCH_ITEMS} items (received ${items.length})`
       });
     }
     
-    // Validation: check if text is a string
-    if (typeof text !== 'string') {
+    const optionsError = validateAnalysisOptions({ provider });
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+    
+    const options = { provider, history: parseHistory(history) };
+    const stream = (req.get('Accept') || '').includes('application/x-ndjson');
+    const results = [];
+    let succeeded = 0;
+    
+    // Stop early if a streaming client goes away
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+    
+    if (stream) {
+      res.status(200).type('application/x-ndjson');
+    }
+    
+    for (let index = 0; index < items.length && !closed; index++) {
+      const result = await analyzeBatchItem(items[index], index, options);
+      if (result.analysis) succeeded++;
+      
+      if (stream) {
+        res.write(`${JSON.stringify(result)}\n`);
+        // Let the line go out before analyzing the next item
+        await new Promise(resolve => setImmediate(resolve));
+      } else {
+        results.push(result);
+      }
+    }
+    
+    const summary = { total: items.length, succeeded, failed: items.length - succeeded };
+    if (stream) {
+      res.end(`${JSON.stringify({ done: true, ...summary })}\n`);
+    } else {
+      res.json({ results, ...summary });
+    }
+    
+  } catch (error) {
+    console.error('Error analyzing batch:', error);
+    if (res.headersSent) {
+      return res.end(`${JSON.stringify({ error: 'Internal server error', message: 'The batch was interrupted' })}\n`);
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while analyzing the batch'
+    });
+  }
+});
+
+/**
+ * POST /suggest
+ * Suggests an area and tags for draft text (used while typing, before saving).
+ * 
+ * Request body: { text: string, history?: Object[] }
+ * Response: { suggestedArea: { area: string, confidence: number }, suggestedTags: string[] }
+ */
+app.post('/suggest', (req, res) => {
+  try {
+    const validation = validateText(req.body.text);
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+    
+    const suggestions = analyzer.suggestAreaAndTags(validation.text, {
+      examples: parseHistory(req.body.history)
+    });
+    res.json(suggestions);
+    
+  } catch (error) {
+    console.error('Error suggesting area and tags:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while suggesting area and tags'
+    });
+  }
+});
+
+/**
+ * GET /providers
+ * Lists the available analysis providers and the configured default.
+ * 
+ * Response: { providers: string[], default: string }
+ */
+app.get('/providers', (req, res) => {
+  res.json({
+    providers: providers.listProviders(),
+    default: providers.getDefaultProviderName()
+  });
+});
+
+/**
+ * GET /lexicon
+ * Returns the sentiment lexicon, optionally only one language's terms.
+ * 
+ * Query: ?language=es
+ * Response: { version: number, updatedAt: string|null, terms: { term, weight, language }[] }
+ */
+app.get('/lexicon', (req, res) => {
+  const current = lexicon.getLexicon();
+  const { language } = req.query;
+  
+  if (language === undefined) {
+    return res.json(current);
+  }
+  if (!languages.isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: 'Unsupported language',
+      message: `Language must be one of: ${languages.listLanguages().join(', ')}`
+    });
+  }
+  
+  res.json({ ...current, terms: current.terms.filter(item => item.language === language) });
+});
+
+/**
+ * PUT /lexicon
+ * Replaces the whole term list. Pass the version you edited to avoid
+ * overwriting someone else's change (409 if the lexicon moved on).
+ * 
+ * Request body: { terms: { term: string, weight: number, language?: string }[], version?: number }
+ * Response: the saved lexicon
+ */
+app.put('/lexicon', (req, res) => {
+  try {
+    const { terms, version } = req.body;
+    
+    if (!Array.isArray(terms)) {
       return res.status(400).json({
         error: 'Invalid input',
-        message: 'Text must be a string'
+        message: 'Terms must be an array of { term, weight }'
       });
     }
-    
-    // Validation: check if text is not empty after trimming
-    const trimmedText = text.trim();
-    if (trimmedText.length === 0) {
+    if (version !== undefined && !Number.isInteger(version)) {
       return res.status(400).json({
-        error: 'Empty text',
-        message: 'Text cannot be empty'
+        error: 'Invalid input',
+        message: 'Version must be an integer'
       });
     }
     
-    // Validation: check max length (5000 characters)
-    const MAX_LENGTH = 5000;
-    if (trimmedText.length > MAX_LENGTH) {
-      return res.status(400).json({
-        error: 'Text too long',
-        message: `Text must be ${MAX_LENGTH} characters or less (received ${trimmedText.length})`
+    for (const item of terms) {
+      const problem = item
+        ? lexicon.validateTerm(item.term, item.weight, item.language)
+        : 'Terms must be objects';
+      if (problem) {
+        return res.status(400).json({ error: 'Invalid term', message: problem });
+      }
+    }
+    
+    res.json(lexicon.replaceTerms(terms, version));
+    
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') {
+      return res.status(409).json({ error: 'Version conflict', message: error.message });
+    }
+    console.error('Error saving lexicon:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while saving the lexicon'
+    });
+  }
+});
+
+/**
+ * POST /lexicon/terms
+ * Adds a term, or changes its weight if it already exists.
+ * 
+ * Request body: { term: string, weight: number, language?: string }
+ *   (weight between -3 and 3, not 0; language defaults to 'en')
+ * Response: the saved lexicon
+ */
+app.post('/lexicon/terms', (req, res) => {
+  try {
+    const { term, weight, language } = req.body;
+    
+    const problem = lexicon.validateTerm(term, weight, language);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid term', message: problem });
+    }
+    
+    res.json(lexicon.setTerm(term, weight, language));
+    
+  } catch (error) {
+    console.error('Error saving lexicon term:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while saving the term'
+    });
+  }
+});
+
+/**
+ * DELETE /lexicon/terms/:term
+ * Removes a term.
+ * 
+ * Query: ?language=es (defaults to 'en')
+ * Response: the saved lexicon (404 if the term isn't in it)
+ */
+app.delete('/lexicon/terms/:term', (req, res) => {
+  try {
+    const saved = lexicon.removeTerm(req.params.term, req.query.language);
+    if (!saved) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `"${req.params.term}" is not in the lexicon`
       });
     }
+    res.json(saved);
     
-    // Perform analysis
-    const analysis = analyzer.analyzeText(trimmedText);
+  } catch (error) {
+    console.error('Error removing lexicon term:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while removing the term'
+    });
+  }
+});
+
+/**
+ * POST /lexicon/reset
+ * Restores the built-in lexicon.
+ * 
+ * Response: the saved lexicon
+ */
+app.post('/lexicon/reset', (req, res) => {
+  try {
+    res.json(lexicon.resetLexicon());
+  } catch (error) {
+    console.error('Error resetting lexicon:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while resetting the lexicon'
+    });
+  }
+});
+
+/**
+ * GET /entries
+ * Lists saved entries, newest first, one page at a time.
+ * 
+ * Query: ?status=inbox|processed|archived|all &area=Running &tags=pb,weekly (all
+ *   must match) &from=2024-03-01 &to=2024-03-31 (inclusive; dates or ISO
+ *   timestamps) &offset=0 &limit=50 (at most 500)
+ * Response: { entries: Object[], total: number, offset: number, limit: number }
+ */
+app.get('/entries', (req, res) => {
+  try {
+    const parsed = parseEntryFilters(req.query);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+    const page = parsePage(req.query);
+    if (page.error) {
+      return res.status(400).json(page.error);
+    }
     
-    // Return analysis results
-    res.json(analysis);
+    res.json(entries.listEntries({ ...parsed.filters, ...page.page }));
     
   } catch (error) {
-    // Handle any unexpected errors
-    console.error('Error analyzing text:', error);
+    console.error('Error listing entries:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'An error occurred while analyzing the text'
+      message: 'An error occurred while listing entries'
+    });
+  }
+});
+
+/**
+ * GET /search
+ * Searches entry text, summary bullets and next steps, best matches first
+ * (see search.js for the query syntax).
+ * 
+ * Query: ?q=stuck "code review" area:Work tag:pb sentiment:negative
+ *   status:inbox before:2026-09-01 after:2026-08-01 &offset=0 &limit=50 (at most 500)
+ * Response: { results: { entry, score, snippets: { field, snippet, highlights }[] }[],
+ *             total, offset, limit } where field is 'text', 'summary' or
+ *   'nextStep' and highlights are [start, end) ranges in the snippet
+ */
+app.get('/search', (req, res) => {
+  try {
+    const { q } = req.query;
+    if (typeof q !== 'string' || q.trim().length === 0 || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: `q must be a search query of up to ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+    const parsed = search.parseQuery(q);
+    if (parsed.error) {
+      return res.status(400).json({ error: 'Invalid query', message: parsed.error });
+    }
+    const page = parsePage(req.query);
+    if (page.error) {
+      return res.status(400).json(page.error);
+    }
+    
+    res.json(search.searchEntries(entries.findEntries(), parsed.query, page.page));
+    
+  } catch (error) {
+    console.error('Error searching entries:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while searching entries'
+    });
+  }
+});
+
+/**
+ * GET /entries/:id
+ * Returns one saved entry.
+ * 
+ * Response: the entry (404 if there is none with that ID)
+ */
+app.get('/entries/:id', (req, res) => {
+  const id = parseEntryId(req.params.id);
+  const entry = id === null ? null : entries.getEntry(id);
+  if (!entry) {
+    return entryNotFound(res, req.params.id);
+  }
+  res.json(entry);
+});
+
+/**
+ * POST /entries
+ * Saves a new entry. Without an analysis, the text is analyzed first
+ * (using the stored entries as history).
+ * 
+ * Request body: { text: string, analysis?: Object, area?: string, tags?: string[],
+ *                 status?: string, timestamp?: string, id?: number, language?: string }
+ *   (id and timestamp are for importing existing entries; 409 if the id is taken;
+ *   language skips detection when the text is analyzed)
+ * Response: the saved entry (201)
+ */
+app.post('/entries', async (req, res) => {
+  try {
+    const { text, analysis, area, tags, status, timestamp, id, language } = req.body;
+    
+    const validation = validateText(text);
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+    
+    const problem = entries.validateEntryFields({ id, area, tags, status, timestamp, analysis });
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid entry', message: problem });
+    }
+    const optionsError = validateAnalysisOptions({ language });
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+    
+    const entry = entries.createEntry({
+      id,
+      text: validation.text,
+      analysis: analysis || await providers.analyze(validation.text, {
+        language,
+        area,
+        tags,
+        history: storedHistory()
+      }),
+      area,
+      tags,
+      status,
+      timestamp
+    });
+    res.status(201).json(entry);
+    
+  } catch (error) {
+    if (error.code === 'DUPLICATE_ID') {
+      return res.status(409).json({ error: 'Duplicate entry', message: error.message });
+    }
+    console.error('Error saving entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while saving the entry'
+    });
+  }
+});
+
+/**
+ * PATCH /entries/:id
+ * Changes some fields of an entry. Changing the text without sending a new
+ * analysis re-analyzes it. Clients syncing queued offline edits send when each
+ * field was changed; a change older than the stored one is ignored.
+ * 
+ * Request body: { text?: string, analysis?: Object, area?: string, tags?: string[],
+ *                 status?: string, changedAt?: { text?, area?, tags?, status? } }
+ * Response: the saved entry, with the values that won (404 if there is none with that ID)
+ */
+app.patch('/entries/:id', async (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    const existing = id === null ? null : entries.getEntry(id);
+    if (!existing) {
+      return entryNotFound(res, req.params.id);
+    }
+    
+    const { text, analysis, area, tags, status, changedAt } = req.body;
+    const changes = { analysis, area, tags, status };
+    
+    const problem = entries.validateEntryFields({ ...changes, changedAt });
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid entry', message: problem });
+    }
+    
+    if (text !== undefined) {
+      const validation = validateText(text);
+      if (validation.error) {
+        return res.status(400).json(validation.error);
+      }
+      changes.text = validation.text;
+      
+      if (!analysis && changes.text !== existing.text) {
+        changes.analysis = await providers.analyze(changes.text, {
+          area: area || existing.area,
+          tags: tags || existing.tags,
+          history: storedHistory().filter(entry => entry.timestamp !== existing.timestamp)
+        });
+      }
+    }
+    
+    res.json(entries.updateEntry(id, changes, changedAt));
+    
+  } catch (error) {
+    console.error('Error updating entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while updating the entry'
+    });
+  }
+});
+
+/**
+ * DELETE /entries/:id
+ * Deletes an entry.
+ * 
+ * Response: 204 (404 if there is none with that ID)
+ */
+app.delete('/entries/:id', (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    if (id === null || !entries.deleteEntry(id)) {
+      return entryNotFound(res, req.params.id);
+    }
+    res.status(204).end();
+    
+  } catch (error) {
+    console.error('Error deleting entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while deleting the entry'
+    });
+  }
+});
+
+/**
+ * GET /goals
+ * Lists goals with their progress, oldest first.
+ * 
+ * Query: ?status=active|archived|all (default active)
+ * Response: { goals: { id, title, area, target, deadline, startDate, status,
+ *             entryIds, createdAt, progress }[] } where progress is { entryCount,
+ *   current, percent, expected, status, lastEntry } and progress.status is
+ *   'achieved', 'on-track', 'behind', 'overdue' or 'open'
+ */
+app.get('/goals', (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'active' : req.query.status;
+    if (status !== 'all' && !goals.GOAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: `Status must be one of: ${goals.GOAL_STATUSES.join(', ')}, all`
+      });
+    }
+    
+    const allEntries = entries.findEntries();
+    res.json({ goals: goals.listGoals(status).map(goal => withProgress(goal, allEntries)) });
+    
+  } catch (error) {
+    console.error('Error listing goals:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while listing goals'
+    });
+  }
+});
+
+/**
+ * POST /goals
+ * Creates a goal.
+ * 
+ * Request body: { title: string, area?: string, target?: { value: number, unit: string },
+ *                 deadline?: "YYYY-MM-DD", startDate?: "YYYY-MM-DD" (default today) }
+ *   where unit is one of goals.GOAL_UNITS ("km", "hours", "average", ...)
+ * Response: 201 with the saved goal and its progress
+ */
+app.post('/goals', (req, res) => {
+  try {
+    const { title, area, target, deadline, startDate } = req.body;
+    const fields = { title, area, target, deadline, startDate };
+    
+    const problem = title === undefined ? 'Title is required' : goals.validateGoalFields(fields);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid goal', message: problem });
+    }
+    if (deadline && startDate && startDate > deadline) {
+      return res.status(400).json({ error: 'Invalid goal', message: 'startDate must not be after deadline' });
+    }
+    
+    res.status(201).json(withProgress(goals.createGoal(fields), entries.findEntries()));
+    
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while creating the goal'
+    });
+  }
+});
+
+/**
+ * PATCH /goals/:id
+ * Changes some fields of a goal.
+ * 
+ * Request body: { title?, area?, target?, deadline?, startDate?, status? } (as in
+ *   POST /goals; null clears the target or deadline, or resets startDate to the
+ *   day the goal was created; status is 'active' or 'archived')
+ * Response: the saved goal with its progress (404 if there is none with that ID)
+ */
+app.patch('/goals/:id', (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    const existing = id === null ? null : goals.getGoal(id);
+    if (!existing) {
+      return goalNotFound(res, req.params.id);
+    }
+    
+    const { title, area, target, deadline, startDate, status } = req.body;
+    const changes = { title, area, target, deadline, startDate, status };
+    
+    const problem = goals.validateGoalFields(changes);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid goal', message: problem });
+    }
+    const nextStart = startDate === undefined ? existing.startDate : startDate;
+    const nextDeadline = deadline === undefined ? existing.deadline : deadline;
+    if (nextStart && nextDeadline && nextStart > nextDeadline) {
+      return res.status(400).json({ error: 'Invalid goal', message: 'startDate must not be after deadline' });
+    }
+    
+    res.json(withProgress(goals.updateGoal(id, changes), entries.findEntries()));
+    
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while updating the goal'
+    });
+  }
+});
+
+/**
+ * DELETE /goals/:id
+ * Deletes a goal. Its linked entries are kept.
+ * 
+ * Response: 204 (404 if there is none with that ID)
+ */
+app.delete('/goals/:id', (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    if (id === null || !goals.deleteGoal(id)) {
+      return goalNotFound(res, req.params.id);
+    }
+    res.status(204).end();
+    
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while deleting the goal'
+    });
+  }
+});
+
+/**
+ * POST /goals/:id/entries
+ * Links an entry to a goal (linking it again changes nothing). Deleted
+ * entries stop counting toward progress.
+ * 
+ * Request body: { entryId: number }
+ * Response: the saved goal with its progress (404 if the goal or entry doesn't exist)
+ */
+app.post('/goals/:id/entries', (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    if (id === null || !goals.getGoal(id)) {
+      return goalNotFound(res, req.params.id);
+    }
+    
+    const { entryId } = req.body;
+    if (!Number.isSafeInteger(entryId) || entryId <= 0) {
+      return res.status(400).json({ error: 'Invalid link', message: 'entryId must be a positive integer' });
+    }
+    if (!entries.getEntry(entryId)) {
+      return entryNotFound(res, entryId);
+    }
+    
+    res.json(withProgress(goals.setEntryLink(id, entryId, true), entries.findEntries()));
+    
+  } catch (error) {
+    console.error('Error linking entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while linking the entry'
+    });
+  }
+});
+
+/**
+ * DELETE /goals/:id/entries/:entryId
+ * Unlinks an entry from a goal.
+ * 
+ * Response: the saved goal with its progress (404 if there is no such goal)
+ */
+app.delete('/goals/:id/entries/:entryId', (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    const entryId = parseEntryId(req.params.entryId);
+    if (id === null || !goals.getGoal(id)) {
+      return goalNotFound(res, req.params.id);
+    }
+    if (entryId === null) {
+      return entryNotFound(res, req.params.entryId);
+    }
+    
+    res.json(withProgress(goals.setEntryLink(id, entryId, false), entries.findEntries()));
+    
+  } catch (error) {
+    console.error('Error unlinking entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while unlinking the entry'
+    });
+  }
+});
+
+/**
+ * GET /goals/:id/suggestions
+ * Suggests unlinked entries from the goal's period that probably belong to
+ * it: same area, metrics its target counts, or words from its title.
+ * 
+ * Response: { suggestions: { entry, score, reasons: string[] }[] }, best first
+ *   (404 if there is no such goal)
+ */
+app.get('/goals/:id/suggestions', (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    const goal = id === null ? null : goals.getGoal(id);
+    if (!goal) {
+      return goalNotFound(res, req.params.id);
+    }
+    res.json({ suggestions: goals.suggestEntries(goal, entries.findEntries()) });
+    
+  } catch (error) {
+    console.error('Error suggesting entries:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while suggesting entries'
+    });
+  }
+});
+
+/**
+ * GET /export
+ * Downloads the entries matching the filters as a file.
+ * 
+ * Query: ?format=json|csv|markdown|ics (default json) plus the GET /entries
+ *   filters status, area, tags, from and to
+ * Response: the file, as an attachment (json: { schemaVersion, exportedAt, entries }
+ *   with every stored field; csv: one row per entry; markdown: a journal grouped
+ *   by day; ics: each entry's next step as a VTODO)
+ */
+app.get('/export', (req, res) => {
+  try {
+    const format = req.query.format === undefined ? 'json' : req.query.format;
+    if (!Object.prototype.hasOwnProperty.call(exporter.EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: 'Unknown format',
+        message: `Format must be one of: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    
+    const parsed = parseEntryFilters(req.query);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+    
+    const file = exporter.exportEntries(entries.findEntries(parsed.filters), format);
+    res.type(file.contentType).attachment(file.filename).send(file.body);
+    
+  } catch (error) {
+    console.error('Error exporting entries:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while exporting entries'
+    });
+  }
+});
+
+/**
+ * POST /import/preview
+ * Reads uploaded journals into draft entries without saving anything: daily
+ * notes named by date, text/Markdown journals with date lines, JSON exports
+ * and zip archives of those (see importer.js). Each draft is analyzed and its
+ * area inferred; drafts that repeat a saved entry get duplicateOf.
+ * 
+ * Request body: { files: { name: string, content?: string, base64?: string }[] }
+ *   (text files as content, zip archives base64-encoded)
+ * Response: { entries: { source, date, timestamp, text, area, areaSource, tags,
+ *             analysis, duplicateOf, id?, status? }[], skipped: { source, reason }[] }
+ */
+app.post('/import/preview', async (req, res) => {
+  try {
+    const { files } = req.body;
+    
+    // Validation: files must be a non-empty array of named files
+    const validFile = file => file && typeof file.name === 'string' &&
+      (typeof file.content === 'string' || typeof file.base64 === 'string');
+    if (!Array.isArray(files) || files.length === 0 || !files.every(validFile)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Files must be a non-empty array of { name, content } or { name, base64 }'
+      });
+    }
+    
+    const parsed = importer.parseImportFiles(files);
+    if (parsed.drafts.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({
+        error: 'Import too large',
+        message: `An import can hold at most ${MAX_IMPORT_ENTRIES} entries (found ${parsed.drafts.length})`
+      });
+    }
+    
+    const skipped = [...parsed.skipped];
+    const drafts = [];
+    for (const draft of parsed.drafts) {
+      const validation = validateText(draft.text);
+      if (validation.error) {
+        skipped.push({ source: `${draft.source} (${draft.date})`, reason: validation.error.message });
+        continue;
+      }
+      
+      // Old entries are analyzed on their own: history-based next steps would
+      // compare them with today
+      const analysis = await providers.analyze(validation.text, {
+        area: draft.area || undefined,
+        tags: draft.tags
+      });
+      drafts.push({ ...draft, text: validation.text, analysis, ...importer.inferArea(draft, analysis) });
+    }
+    
+    const checked = importer.markDuplicates(drafts, entries.findEntries());
+    checked.repeated.forEach(index => {
+      skipped.push({ source: `${drafts[index].source} (${drafts[index].date})`, reason: 'Repeats an earlier entry in the import' });
+    });
+    
+    res.json({ entries: checked.drafts, skipped });
+    
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while reading the import'
+    });
+  }
+});
+
+/**
+ * POST /import
+ * Saves entries chosen from an import preview in one write. Entries that
+ * repeat a saved entry (same ID, or same day and text) or an earlier entry in
+ * the list are skipped, as are invalid ones; entries without an analysis are
+ * analyzed first.
+ * 
+ * Request body: { entries: { text, timestamp, area?, tags?, status?, analysis?, id? }[] }
+ * Response: { entries: Object[], skipped: { index, reason }[] } (201) with the saved entries
+ */
+app.post('/import', async (req, res) => {
+  try {
+    const items = req.body.entries;
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Entries must be an array of 1 to ${MAX_IMPORT_ENTRIES} entries`
+      });
+    }
+    
+    const skipped = [];
+    const valid = [];
+    items.forEach((item, index) => {
+      const validation = validateText(item && item.text);
+      if (validation.error) {
+        skipped.push({ index, reason: validation.error.message });
+        return;
+      }
+      const { id, area, tags, status, timestamp, analysis } = item;
+      const problem = entries.validateEntryFields({ id, area, tags, status, timestamp, analysis }) ||
+        (timestamp === undefined ? 'Timestamp is required' : null);
+      if (problem) {
+        skipped.push({ index, reason: problem });
+        return;
+      }
+      valid.push({ index, id, text: validation.text, area, tags, status, timestamp, analysis });
+    });
+    
+    const checked = importer.markDuplicates(valid, entries.findEntries());
+    checked.repeated.forEach(position => {
+      skipped.push({ index: valid[position].index, reason: 'Repeats an earlier entry in the import' });
+    });
+    
+    const accepted = [];
+    for (const item of checked.drafts) {
+      if (item.duplicateOf !== null) {
+        skipped.push({ index: item.index, reason: `Already saved as entry ${item.duplicateOf}` });
+        continue;
+      }
+      const { index, duplicateOf, ...fields } = item;
+      fields.analysis = fields.analysis || await providers.analyze(fields.text, {
+        area: fields.area,
+        tags: fields.tags
+      });
+      accepted.push(fields);
+    }
+    
+    skipped.sort((a, b) => a.index - b.index);
+    res.status(201).json({ entries: entries.createEntries(accepted), skipped });
+    
+  } catch (error) {
+    if (error.code === 'DUPLICATE_ID') {
+      return res.status(409).json({ error: 'Duplicate entry', message: error.message });
+    }
+    console.error('Error importing entries:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while importing entries'
+    });
+  }
+});
+
+// Review digests and how each picks its period from the query
+const REPORT_PERIODS = {
+  weekly: { kind: 'week', param: 'week', parse: reports.parseWeek, hint: 'an ISO week like 2026-W11 or a date like 2026-03-14' },
+  monthly: { kind: 'month', param: 'month', parse: reports.parseMonth, hint: 'a month like 2026-03' }
+};
+
+/**
+ * GET /reports/weekly, GET /reports/monthly
+ * Builds a review digest of one week (ISO week, Monday to Sunday) or month:
+ * entries per area, the sentiment mix against the previous period, the top
+ * summary bullets, open action items and blockers, and areas with no entries.
+ * 
+ * Query: ?week=2026-W11 (or any date in the week) / ?month=2026-03, default the
+ *   current one; ?format=json|markdown (default json)
+ * Response: { period, label, start, end, previous, next, totals, sentiment,
+ *             areas, highlights, actionItems, blockers, inactiveAreas },
+ *   or the digest as a Markdown document
+ */
+app.get('/reports/:period', (req, res) => {
+  try {
+    const config = REPORT_PERIODS[req.params.period];
+    if (!config) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Reports are available for: ${Object.keys(REPORT_PERIODS).join(', ')}`
+      });
+    }
+    
+    const format = req.query.format === undefined ? 'json' : req.query.format;
+    if (format !== 'json' && format !== 'markdown') {
+      return res.status(400).json({
+        error: 'Unknown format',
+        message: 'Format must be one of: json, markdown'
+      });
+    }
+    
+    const value = req.query[config.param];
+    const period = config.parse(value);
+    if (!period) {
+      return res.status(400).json({
+        error: `Invalid ${config.param}`,
+        message: `${config.param} must be ${config.hint}`
+      });
+    }
+    
+    const digest = reports.buildDigest(entries.findEntries(), config.kind, period);
+    if (format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(reports.renderDigestMarkdown(digest));
+    }
+    res.json(digest);
+    
+  } catch (error) {
+    console.error('Error building report:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while building the report'
+    });
+  }
+});
+
+/**
+ * GET /trends
+ * Builds time series of entry counts and average sentiment score per day,
+ * week (ISO, Monday to Sunday) or month, overall and optionally per area or tag.
+ * 
+ * Query: ?bucket=day|week|month (default week), from and to (default the last
+ *   30 days, 12 weeks or 12 months), groupBy=area|tag, plus the GET /entries
+ *   filters status, area and tags
+ * Response: { bucket, groupBy, from, to, count, averageScore,
+ *             overall: { label, start, end, count, averageScore }[],
+ *             groups: { name, count, averageScore, points }[] }
+ *   where averageScore is null for buckets without analyzed entries
+ */
+app.get('/trends', (req, res) => {
+  try {
+    const bucket = req.query.bucket === undefined ? 'week' : req.query.bucket;
+    if (!Object.prototype.hasOwnProperty.call(reports.TREND_BUCKETS, bucket)) {
+      return res.status(400).json({
+        error: 'Invalid bucket',
+        message: `Bucket must be one of: ${Object.keys(reports.TREND_BUCKETS).join(', ')}`
+      });
+    }
+    
+    const { groupBy } = req.query;
+    if (groupBy !== undefined && groupBy !== 'area' && groupBy !== 'tag') {
+      return res.status(400).json({
+        error: 'Invalid groupBy',
+        message: 'groupBy must be one of: area, tag'
+      });
+    }
+    
+    const parsed = parseEntryFilters(req.query);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+    const { from, to } = parsed.filters;
+    if (from && to && from > to) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: 'from must not be after to'
+      });
+    }
+    
+    const buckets = reports.trendBuckets(bucket, { from, to }, new Date(), MAX_TREND_BUCKETS);
+    if (buckets.length > MAX_TREND_BUCKETS) {
+      return res.status(400).json({
+        error: 'Range too large',
+        message: `Trends can cover at most ${MAX_TREND_BUCKETS} buckets; use a larger bucket or a shorter range`
+      });
+    }
+    
+    res.json(reports.buildTrends(entries.findEntries(parsed.filters), bucket, buckets, groupBy));
+    
+  } catch (error) {
+    console.error('Error building trends:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred while building trends'
+    });
+  }
+});
+
+// Bodies over the size limit get a JSON error like every other rejection
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: req.path === '/analyze/batch'
+        ? `Batch requests must be ${MAX_BATCH_BODY} or less`
+        : req.path.startsWith('/import')
+          ? `Imports must be ${MAX_IMPORT_BODY} or less`
+          : 'Request body is too large'
     });
   }
+  next(error);
 });
 
 // Start the server
 app.listen(PORT, () => {
   console.log(`Goal Update Analyzer running at http://localhost:${PORT}`);
   console.log(`Press Ctrl+C to stop the server`);
+  
+  // Reports a mistyped ANALYZER_PROVIDER right away rather than on the first analysis
+  providers.getDefaultProviderName();
 });
 
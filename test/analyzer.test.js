@@ -0,0 +1,84 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the lexicon and friends away from the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goal-update-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { analyzeText } = require('../analyzer');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function metricsOf(text) {
+  return analyzeText(text).metrics.map(({ kind, value, unit, sets }) => (
+    sets === undefined ? { kind, value, unit } : { kind, value, unit, sets }
+  ));
+}
+
+test('reads distance and clock-style duration', () => {
+  assert.deepStrictEqual(metricsOf('Ran 5k in 24:30'), [
+    { kind: 'distance', value: 5, unit: 'km' },
+    { kind: 'duration', value: 1470, unit: 's' }
+  ]);
+});
+
+test('reads hour-long clock durations', () => {
+  assert.deepStrictEqual(metricsOf('Half marathon in 1:45:10'), [
+    { kind: 'duration', value: 6310, unit: 's' }
+  ]);
+});
+
+test('reads durations with units', () => {
+  assert.deepStrictEqual(metricsOf('Studied for 1.5 hours'), [
+    { kind: 'duration', value: 5400, unit: 's' }
+  ]);
+});
+
+test('reads pace and sets x reps', () => {
+  assert.deepStrictEqual(metricsOf('Pace 4:50/km'), [
+    { kind: 'pace', value: 290, unit: 's/km' }
+  ]);
+  assert.deepStrictEqual(metricsOf('Did 5x10 reps'), [
+    { kind: 'reps', value: 10, unit: 'reps', sets: 5 }
+  ]);
+});
+
+test('does not read times of day as durations', () => {
+  const texts = [
+    'Meeting at 10:30',
+    'Meeting at 1:45:10 tomorrow',
+    'Done by 17:00',
+    'Worked until 22:00',
+    'Lunch @9:00',
+    'Woke up at 7:15pm'
+  ];
+  for (const text of texts) {
+    assert.deepStrictEqual(metricsOf(text), [], text);
+  }
+});
+
+function actionsOf(text, language) {
+  const now = new Date(2026, 9, 19);
+  return analyzeText(text, { now, language }).actionItems.map(({ text, source, dueDate }) => ({ text, source, dueDate }));
+}
+
+test('extracts commitments and to-do bullets with due dates', () => {
+  assert.deepStrictEqual(actionsOf('I will send the report by Friday. I was going to run.\n- email the landlord\n- went for a run', 'en'), [
+    { text: 'send the report by Friday', source: 'commitment', dueDate: '2026-10-23' },
+    { text: 'email the landlord', source: 'imperative', dueDate: null }
+  ]);
+});
+
+test('extracts action items in the entry language', () => {
+  assert.deepStrictEqual(actionsOf('Mañana voy a llamar al casero. No tengo que trabajar.\n- comprar leche', 'es'), [
+    { text: 'llamar al casero', source: 'commitment', dueDate: null },
+    { text: 'comprar leche', source: 'imperative', dueDate: null }
+  ]);
+  assert.deepStrictEqual(actionsOf('Morgen muss ich den Vermieter anrufen. Ich muss nicht laufen.\n- Milch kaufen\n- Lange gelaufen', 'de'), [
+    { text: 'den Vermieter anrufen', source: 'commitment', dueDate: null },
+    { text: 'Milch kaufen', source: 'imperative', dueDate: null }
+  ]);
+});
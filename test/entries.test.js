@@ -0,0 +1,39 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goal-update-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { analyzeText } = require('../analyzer');
+const entries = require('../entries');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const MINIMAL = { summaryBullets: ['Ran 5k'], sentimentLabel: 'Positive', nextStep: 'Rest tomorrow' };
+
+test('accepts heuristic and older minimal analyses', () => {
+  const analysis = analyzeText('Ran 5k in 24:30 but stuck waiting on the API. I will email Bob tomorrow.\n- [ ] book physio');
+  assert.strictEqual(entries.validateEntryFields({ analysis }), null);
+  assert.strictEqual(entries.validateEntryFields({ analysis: MINIMAL }), null);
+});
+
+test('rejects analyses the app could not render safely', () => {
+  const invalid = [
+    [],
+    { ...MINIMAL, sentimentLabel: '<img src=x onerror=alert(1)>' },
+    { summaryBullets: ['Ran 5k'], nextStep: 'Rest' },
+    { ...MINIMAL, summaryBullets: 'Ran 5k' },
+    { ...MINIMAL, nextStep: null },
+    { ...MINIMAL, sentimentScore: '0.5' },
+    { ...MINIMAL, sentences: [{ text: 'Ran 5k', label: 'positive" onmouseover="x' }] },
+    { ...MINIMAL, blockers: [{ text: 'Stuck', category: 'x" onclick="y' }] },
+    { ...MINIMAL, metrics: [{ value: 5 }] },
+    { ...MINIMAL, mood: { energy: { score: 'high', evidence: [] } } }
+  ];
+  for (const analysis of invalid) {
+    assert.match(entries.validateEntryFields({ analysis }), /^Analysis /, JSON.stringify(analysis));
+  }
+});
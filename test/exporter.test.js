@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { exportEntries } = require('../exporter');
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+function entry(fields = {}, analysis = {}) {
+  return {
+    id: 1792400000000,
+    timestamp: new Date(2026, 9, 18, 9, 30).toISOString(),
+    text: 'Ran 5k in 24:30',
+    area: 'Running',
+    tags: ['run'],
+    status: 'inbox',
+    analysis: { summaryBullets: ['Ran 5k in 24:30'], sentimentLabel: 'Positive', sentimentScore: -0.25, nextStep: 'Rest', ...analysis },
+    ...fields
+  };
+}
+
+function csvRows(list) {
+  return exportEntries(list, 'csv', NOW).body.replace(/^\uFEFF/, '').trim().split('\r\n');
+}
+
+test('csv export keeps cells from running as formulas', () => {
+  const [header, row] = csvRows([entry({ text: '=HYPERLINK("http://example.com")', tags: ['@home'] }, { nextStep: '+1 more rep' })]);
+  const columns = header.split(',');
+  const cells = row.match(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g).map(cell => cell.replace(/,$/, ''));
+  
+  assert.strictEqual(cells[columns.indexOf('text')], '"\'=HYPERLINK(""http://example.com"")"');
+  assert.strictEqual(cells[columns.indexOf('tags')], '\'@home');
+  assert.strictEqual(cells[columns.indexOf('nextStep')], '\'+1 more rep');
+  assert.strictEqual(cells[columns.indexOf('sentimentScore')], '-0.25', 'numbers are not prefixed');
+});
+
+test('markdown export escapes block syntax in text, next steps and blockers', () => {
+  const { body } = exportEntries([entry(
+    { text: '# Not a heading\n- not a list' },
+    { nextStep: 'Plan\n## Fake day', blockers: [{ text: 'Stuck\n> quoted', category: 'time' }] }
+  )], 'markdown', NOW);
+  
+  assert.match(body, /^\\# Not a heading$/m);
+  assert.match(body, /^\\- not a list$/m);
+  assert.match(body, /^- \*\*Next step:\*\* Plan\n\\## Fake day$/m);
+  assert.match(body, /^- \*\*Blocker \(time\):\*\* Stuck\n\\> quoted$/m);
+  assert.strictEqual(body.match(/^## /gm).length, 1, 'only the real day heading');
+});
+
+test('ics export dates next steps from action items and skips entries without one', () => {
+  const { body } = exportEntries([
+    entry({ id: 1 }, { nextStep: 'Email Bob (tomorrow)', actionItems: [{ text: 'email Bob', dueDate: '2026-10-20' }] }),
+    entry({ id: 2, status: 'processed' }, { nextStep: 'Stretch', actionItems: [{ text: null, dueDate: '2026-10-21' }] }),
+    entry({ id: 3 }, { nextStep: undefined }),
+    entry({ id: 4, analysis: undefined })
+  ], 'ics', NOW);
+  const todos = body.split('BEGIN:VTODO').slice(1);
+  
+  assert.strictEqual(todos.length, 2);
+  assert.match(todos[0], /UID:entry-1@/);
+  assert.match(todos[0], /DUE;VALUE=DATE:20261020/);
+  assert.match(todos[1], /STATUS:COMPLETED/);
+  assert.doesNotMatch(todos[1], /DUE/);
+});
+
+test('json export round-trips the entries as stored', () => {
+  const list = [entry({ id: 1 }), entry({ id: 2, tags: [] })];
+  const exported = JSON.parse(exportEntries(list, 'json', NOW).body);
+  
+  assert.strictEqual(exported.schemaVersion, 1);
+  assert.deepStrictEqual(exported.entries, list);
+});
@@ -0,0 +1,122 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goal-update-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { exportEntries } = require('../exporter');
+const importer = require('../importer');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const SAVED = [
+  {
+    id: 1773500000000,
+    timestamp: '2026-03-14T10:00:00.000Z',
+    text: 'Ran 5k in 24:30',
+    area: 'Running',
+    tags: ['run'],
+    status: 'processed',
+    analysis: { summaryBullets: ['Ran 5k in 24:30'], sentimentLabel: 'Positive', nextStep: 'Rest' }
+  },
+  {
+    id: 1773400000000,
+    timestamp: '2026-03-13T18:00:00.000Z',
+    text: 'Read two chapters',
+    area: 'Reading / Learning',
+    tags: [],
+    status: 'inbox',
+    analysis: { summaryBullets: ['Read two chapters'], sentimentLabel: 'Neutral', nextStep: 'Keep going' }
+  }
+];
+
+/**
+ * Builds a zip archive (deflated files, no ZIP64) and returns it base64-encoded.
+ */
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(([name, content]) => {
+    const nameBytes = Buffer.from(name);
+    const data = zlib.deflateRawSync(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]).toString('base64');
+}
+
+test('a JSON export imports again with its fields, oldest first, analyses left out', () => {
+  const { body } = exportEntries(SAVED, 'json', new Date(2026, 2, 15));
+  const { drafts, skipped } = importer.parseImportFiles([{ name: 'export.json', content: body }]);
+  
+  assert.deepStrictEqual(skipped, []);
+  assert.deepStrictEqual(drafts.map(({ id, timestamp, text, area, tags, status, analysis }) =>
+    ({ id, timestamp, text, area, tags, status, analysis })), [...SAVED].reverse().map(entry => ({ ...entry, analysis: undefined })));
+  
+  const checked = importer.markDuplicates(drafts, SAVED);
+  assert.deepStrictEqual(checked.drafts.map(draft => draft.duplicateOf), [SAVED[1].id, SAVED[0].id]);
+});
+
+test('skips exported entries without text, timestamp or string tags', () => {
+  const content = JSON.stringify([
+    { text: 'Fine', timestamp: '2026-03-01T10:00:00Z', tags: ['a'] },
+    { text: 'Bad tags', timestamp: '2026-03-01T10:00:00Z', tags: ['a', 5] },
+    { text: '', timestamp: '2026-03-01T10:00:00Z' },
+    { text: 'No date' }
+  ]);
+  const { drafts, skipped } = importer.parseImportFiles([{ name: 'list.json', content }]);
+  
+  assert.deepStrictEqual(drafts.map(draft => draft.text), ['Fine']);
+  assert.deepStrictEqual(skipped.map(item => item.source), ['list.json #2', 'list.json #3', 'list.json #4']);
+});
+
+test('reads daily notes from a zip archive', () => {
+  const base64 = zip([
+    ['notes/2026-03-14.md', Buffer.from('Ran 5k today #running')],
+    ['notes/2026-03-15.md', Buffer.from('Rest day')]
+  ]);
+  const { drafts, skipped } = importer.parseImportFiles([{ name: 'notes.zip', base64 }]);
+  
+  assert.deepStrictEqual(skipped, []);
+  assert.deepStrictEqual(drafts.map(draft => [draft.date, draft.text]), [
+    ['2026-03-14', 'Ran 5k today #running'],
+    ['2026-03-15', 'Rest day']
+  ]);
+  assert.deepStrictEqual(drafts[0].tags, ['running']);
+});
+
+test('refuses zip archives with too many files or too much data', () => {
+  const tooMany = zip(Array.from({ length: 2001 }, (_, i) => [`${i}.txt`, Buffer.from('x')]));
+  const tooBig = zip(Array.from({ length: 51 }, (_, i) => [`${i}.txt`, Buffer.alloc(1024 * 1024, 'a')]));
+  
+  const many = importer.parseImportFiles([{ name: 'many.zip', base64: tooMany }]);
+  assert.strictEqual(many.drafts.length, 0);
+  assert.match(many.skipped[0].reason, /more than 2000 files/);
+  
+  const big = importer.parseImportFiles([{ name: 'big.zip', base64: tooBig }]);
+  assert.strictEqual(big.drafts.length, 0);
+  assert.match(big.skipped[0].reason, /more than 50 MB/);
+});
@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goal-update-test-'));
+process.env.DATA_DIR = dataDir;
+
+const reports = require('../reports');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('trend buckets default to the last TREND_BUCKETS periods', () => {
+  const buckets = reports.trendBuckets('week', {}, new Date(2026, 9, 19));
+  
+  assert.strictEqual(buckets.length, reports.TREND_BUCKETS.week);
+  assert.strictEqual(buckets[0].label, '2026-W32');
+  assert.strictEqual(buckets[buckets.length - 1].label, '2026-W43');
+});
+
+test('trend buckets stop one past the limit for long ranges', () => {
+  const range = { from: new Date(2000, 0, 1), to: new Date(2026, 0, 1) };
+  
+  assert.strictEqual(reports.trendBuckets('day', range, new Date(), 400).length, 401);
+});
+
+test('trends count entries and average sentiment per bucket and area', () => {
+  const list = [
+    { timestamp: new Date(2026, 9, 19, 9).toISOString(), area: 'Running', tags: [], analysis: { sentimentScore: 0.5 } },
+    { timestamp: new Date(2026, 9, 18, 9).toISOString(), area: 'Work', tags: [], analysis: { sentimentScore: -0.1 } },
+    { timestamp: new Date(2026, 9, 1, 9).toISOString(), area: 'Work', tags: [], analysis: { sentimentScore: 1 } }
+  ];
+  const buckets = reports.trendBuckets('day', { from: new Date(2026, 9, 17), to: new Date(2026, 9, 19, 23) });
+  const trends = reports.buildTrends(list, 'day', buckets, 'area');
+  
+  assert.deepStrictEqual(trends.overall.map(point => [point.label, point.count, point.averageScore]), [
+    ['2026-10-17', 0, null],
+    ['2026-10-18', 1, -0.1],
+    ['2026-10-19', 1, 0.5]
+  ]);
+  assert.strictEqual(trends.count, 2);
+  assert.strictEqual(trends.averageScore, 0.2);
+  assert.deepStrictEqual(trends.groups.map(group => [group.name, group.count]), [['Running', 1], ['Work', 1]]);
+});
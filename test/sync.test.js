@@ -0,0 +1,195 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+// public/sync.js runs against a real server on a free port with its own data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goal-update-test-'));
+const SYNC_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'sync.js'), 'utf8');
+const TIMESTAMP = '2026-10-01T10:00:00.000Z';
+
+let server;
+let baseUrl;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      await fetch(`${baseUrl}/entries`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Server did not start');
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Loads a fresh copy of sync.js with its own localStorage. Retry timers are
+ * recorded instead of scheduled.
+ */
+function loadSync(url = baseUrl) {
+  const storage = new Map();
+  const context = {
+    console: { log() {}, error() {} },
+    window: { addEventListener() {} },
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    fetch: (resource, options) => fetch(url + resource, options),
+    setTimeout: () => 0,
+    clearTimeout: () => {}
+  };
+  vm.createContext(context);
+  vm.runInContext(`${SYNC_SOURCE}
+    this.sync = { configureSync, saveSyncQueue, getSyncQueue, getRejectedChanges, retryRejectedChanges, flushSyncQueue };`, context);
+  
+  const synced = [];
+  const states = [];
+  context.sync.configureSync({
+    onEntrySynced: (entry, previousId) => synced.push({ entry, previousId }),
+    onStateChange: state => states.push(state)
+  });
+  return { sync: context.sync, synced, states };
+}
+
+async function request(method, resource, body) {
+  const response = await fetch(baseUrl + resource, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function queuedEntry(id, text, fields = {}) {
+  return { id, text, timestamp: TIMESTAMP, area: 'Misc', tags: [], status: 'inbox', ...fields };
+}
+
+test('saves a new entry under a new ID when another device took its ID', async () => {
+  await request('POST', '/entries', { id: 1000, text: 'Entry from the other device', timestamp: TIMESTAMP });
+  const { sync, synced } = loadSync();
+  sync.saveSyncQueue([
+    { type: 'create', entry: queuedEntry(1000, 'Entry from this device') },
+    { type: 'update', id: 1000, changes: { status: 'processed' }, changedAt: { status: new Date().toISOString() } }
+  ]);
+  
+  await sync.flushSyncQueue();
+  
+  assert.strictEqual(synced.length, 2);
+  const { entry, previousId } = synced[0];
+  assert.strictEqual(previousId, 1000);
+  assert.notStrictEqual(entry.id, 1000);
+  assert.strictEqual(synced[1].entry.id, entry.id, 'the queued change follows the new ID');
+  
+  const other = await request('GET', '/entries/1000');
+  assert.strictEqual(other.body.text, 'Entry from the other device');
+  assert.strictEqual(other.body.status, 'inbox');
+  const mine = await request('GET', `/entries/${entry.id}`);
+  assert.strictEqual(mine.body.text, 'Entry from this device');
+  assert.strictEqual(mine.body.status, 'processed');
+});
+
+test('applies changes on top when a create is sent again', async () => {
+  await request('POST', '/entries', { id: 2000, text: 'Uploaded before', timestamp: TIMESTAMP });
+  const { sync, synced } = loadSync();
+  sync.saveSyncQueue([{
+    type: 'create',
+    entry: queuedEntry(2000, 'Uploaded before'),
+    changes: { status: 'archived' },
+    changedAt: { status: new Date().toISOString() }
+  }]);
+  
+  await sync.flushSyncQueue();
+  
+  assert.deepStrictEqual(synced.map(({ entry, previousId }) => [entry.id, entry.status, previousId]), [[2000, 'archived', undefined]]);
+  const all = await request('GET', '/entries?status=all&limit=500');
+  assert.strictEqual(all.body.entries.filter(entry => entry.text === 'Uploaded before').length, 1);
+});
+
+test('keeps the newer change when an older one arrives later', async () => {
+  // Both changes happen after the server created the entry; the queued one first
+  const queuedAt = new Date(Date.now() + 60000).toISOString();
+  const otherDeviceAt = new Date(Date.now() + 120000).toISOString();
+  await request('POST', '/entries', { id: 3000, text: 'Edited on two devices', timestamp: TIMESTAMP });
+  await request('PATCH', '/entries/3000', { area: 'Work', changedAt: { area: otherDeviceAt } });
+  const { sync } = loadSync();
+  sync.saveSyncQueue([{
+    type: 'update',
+    id: 3000,
+    changes: { area: 'Running', tags: ['late'] },
+    changedAt: { area: queuedAt, tags: queuedAt }
+  }]);
+  
+  await sync.flushSyncQueue();
+  
+  assert.strictEqual(sync.getRejectedChanges().length, 0);
+  const { body } = await request('GET', '/entries/3000');
+  assert.strictEqual(body.area, 'Work');
+  assert.deepStrictEqual(body.tags, ['late']);
+});
+
+test('sets rejected changes aside and sends them again on request', async () => {
+  const { sync, synced, states } = loadSync();
+  sync.saveSyncQueue([
+    { type: 'update', id: 424242, changes: { status: 'processed' }, changedAt: { status: new Date().toISOString() } }
+  ]);
+  
+  await sync.flushSyncQueue();
+  
+  assert.strictEqual(synced.length, 0);
+  assert.strictEqual(sync.getSyncQueue().length, 0);
+  const rejected = sync.getRejectedChanges();
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].op.id, 424242);
+  assert.match(rejected[0].message, /424242/);
+  assert.deepStrictEqual({ ...states[states.length - 1] }, { status: 'synced', pending: 0, rejected: 1 });
+  
+  await request('POST', '/entries', { id: 424242, text: 'Created after all', timestamp: TIMESTAMP });
+  await sync.retryRejectedChanges();
+  
+  assert.strictEqual(sync.getRejectedChanges().length, 0);
+  assert.deepStrictEqual(synced.map(({ entry }) => [entry.id, entry.status]), [[424242, 'processed']]);
+});
+
+test('keeps the queue while the server is unreachable', async () => {
+  const { sync, states } = loadSync(`http://localhost:${await freePort()}`);
+  const op = { type: 'create', entry: queuedEntry(5000, 'Written offline') };
+  sync.saveSyncQueue([op]);
+  
+  await sync.flushSyncQueue();
+  
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(sync.getSyncQueue())), [op]);
+  assert.strictEqual(states[states.length - 1].status, 'offline');
+});